@@ -0,0 +1,58 @@
+// 数据备份与迁移命令，直接读写 DATA_SAVE_MODE 指定的存储
+// 用法:
+//   npm run backup -- export [文件]              导出全部数据，未指定文件时保存到备份目录
+//   npm run backup -- import <文件> [--replace]  导入备份，默认合并到现有数据
+//   npm run backup -- list                       列出备份目录中的备份
+// 在不同存储之间迁移时，先以原来的 DATA_SAVE_MODE 导出，再以新的 DATA_SAVE_MODE 导入
+const fs = require('fs').promises
+const path = require('path')
+const backupManager = require('./utils/backup')
+const { logger } = require('./utils/logger')
+
+const USAGE = `用法:
+  npm run backup -- export [文件]              导出全部数据，未指定文件时保存到备份目录
+  npm run backup -- import <文件> [--replace]  导入备份，默认合并到现有数据
+  npm run backup -- list                       列出备份目录中的备份`
+
+const main = async () => {
+    const [command, ...args] = process.argv.slice(2)
+    const files = args.filter(arg => !arg.startsWith('--'))
+
+    switch (command) {
+        case 'export': {
+            if (files.length === 0) {
+                const backup = await backupManager.createBackup()
+                console.log(JSON.stringify(backup, null, 2))
+                return
+            }
+            const filePath = path.resolve(files[0])
+            const archive = await backupManager.exportArchive()
+            await fs.writeFile(filePath, JSON.stringify(archive, null, 2), 'utf8')
+            logger.success(`已导出 ${archive.data.accounts.length} 个账户到 ${filePath}`, 'BACKUP')
+            return
+        }
+        case 'import': {
+            if (files.length === 0) {
+                throw new Error('请指定要导入的备份文件')
+            }
+            const archive = JSON.parse(await fs.readFile(path.resolve(files[0]), 'utf8'))
+            const summary = await backupManager.importArchive(archive, args.includes('--replace') ? 'replace' : 'merge')
+            console.log(JSON.stringify(summary, null, 2))
+            return
+        }
+        case 'list': {
+            console.log(JSON.stringify(await backupManager.listBackups(), null, 2))
+            return
+        }
+        default:
+            console.log(USAGE)
+            process.exitCode = 1
+    }
+}
+
+main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch(error => {
+        logger.error(`备份命令执行失败: ${error.message}`, 'BACKUP')
+        process.exit(1)
+    })
@@ -42,14 +42,38 @@ const config = {
     apiKeys: apiKeys,
     adminKey: adminKey,
     socks5Proxies: socks5Proxies, // 添加 SOCKS5 代理列表
+    proxyCheckInterval: parseInt(settings.PROXY_CHECK_INTERVAL || process.env.PROXY_CHECK_INTERVAL || '300'), // 代理健康检查间隔（秒），0 为关闭
+    proxyCheckUrl: settings.PROXY_CHECK_URL || process.env.PROXY_CHECK_URL || 'https://chat.qwen.ai',
+    proxyCheckTimeout: parseInt(settings.PROXY_CHECK_TIMEOUT || process.env.PROXY_CHECK_TIMEOUT) || 10000,
+    proxyMaxLatency: parseInt(settings.PROXY_MAX_LATENCY || process.env.PROXY_MAX_LATENCY) || 3000,
+    proxyMinSuccessRate: parseFloat(settings.PROXY_MIN_SUCCESS_RATE || process.env.PROXY_MIN_SUCCESS_RATE) || 0.7,
+    proxyMaxAccounts: parseInt(settings.PROXY_MAX_ACCOUNTS || process.env.PROXY_MAX_ACCOUNTS) || 0, // 每个代理最多绑定的账户数，0 为不限制
+    proxyDefaultProtocol: settings.PROXY_DEFAULT_PROTOCOL || process.env.PROXY_DEFAULT_PROTOCOL || 'socks5', // host:port 格式代理使用的协议
+    proxySubscriptions: (settings.PROXY_SUBSCRIPTIONS || process.env.PROXY_SUBSCRIPTIONS || '').split(/\r?\n|,/).map(item => item.trim()).filter(Boolean),
+    proxySubscriptionInterval: parseInt(settings.PROXY_SUBSCRIPTION_INTERVAL || process.env.PROXY_SUBSCRIPTION_INTERVAL || '3600'), // 订阅同步间隔（秒），0 为关闭
     simpleModelMap: settings.SIMPLE_MODEL_MAP ? settings.SIMPLE_MODEL_MAP === 'true' : process.env.SIMPLE_MODEL_MAP === 'true',
     listenAddress: settings.LISTEN_ADDRESS || process.env.LISTEN_ADDRESS || null,
     listenPort: settings.SERVICE_PORT || process.env.SERVICE_PORT || 3000,
-    searchInfoMode: settings.SEARCH_INFO_MODE || process.env.SEARCH_INFO_MODE === 'table' ? "table" : "text",
+    searchInfoMode: (settings.SEARCH_INFO_MODE || process.env.SEARCH_INFO_MODE) === 'table' ? "table" : "text",
     outThink: settings.OUTPUT_THINK ? settings.OUTPUT_THINK === 'true' : process.env.OUTPUT_THINK === 'true',
+    reasoningFormat: settings.REASONING_FORMAT || process.env.REASONING_FORMAT || null,
+    conversationMode: settings.CONVERSATION_MODE ? settings.CONVERSATION_MODE === 'true' : process.env.CONVERSATION_MODE === 'true',
+    conversationTTL: parseInt(settings.CONVERSATION_TTL || process.env.CONVERSATION_TTL) || 3600,
+    jsonRepairAttempts: parseInt(settings.JSON_REPAIR_ATTEMPTS || process.env.JSON_REPAIR_ATTEMPTS || '1'), // JSON 模式下回答不符合格式时要求模型修正的次数，0 为关闭
     redisURL: settings.REDIS_URL || process.env.REDIS_URL || null,
-    autoRefresh: true,
-    autoRefreshInterval: 6 * 60 * 60,
+    usageRetentionDays: parseInt(settings.USAGE_RETENTION_DAYS || process.env.USAGE_RETENTION_DAYS) || 90,
+    backupInterval: parseInt(settings.BACKUP_INTERVAL || process.env.BACKUP_INTERVAL || '0'), // 定时备份间隔（秒），0 为关闭
+    backupDir: settings.BACKUP_DIR || process.env.BACKUP_DIR || './data/backups',
+    backupRetention: parseInt(settings.BACKUP_RETENTION || process.env.BACKUP_RETENTION) || 7, // 保留的定时备份数量
+    cliDailyLimit: parseInt(settings.CLI_DAILY_LIMIT || process.env.CLI_DAILY_LIMIT) || 2000, // 每个CLI账户每天的请求次数上限
+    modelsTTL: parseInt(settings.MODELS_TTL || process.env.MODELS_TTL) || 3600, // 模型列表缓存时间（秒），过期后在后台重新获取
+    modelAliases: settings.MODEL_ALIASES || process.env.MODEL_ALIASES || '', // 模型别名（JSON），如 {"gpt-4o":{"model":"qwen3-max-thinking"}}
+    hiddenModels: settings.HIDDEN_MODELS || process.env.HIDDEN_MODELS || '', // 不在模型列表中显示的模型，逗号分隔，支持 * 通配符
+    cliModelsTTL: parseInt(settings.CLI_MODELS_TTL || process.env.CLI_MODELS_TTL) || 3600, // CLI 模型列表缓存时间（秒）
+    cliModelPrefix: settings.CLI_MODEL_PREFIX || process.env.CLI_MODEL_PREFIX || '', // 在 /v1/models 中列出 CLI 模型时使用的前缀，为空时不列出
+    modelRoutes: settings.MODEL_ROUTES || process.env.MODEL_ROUTES || '', // /v1/chat/completions 按模型选择后端的规则，如 qwen3-coder-*=cli
+    autoRefresh: settings.AUTO_REFRESH ? settings.AUTO_REFRESH === 'true' : true,
+    autoRefreshInterval: parseInt(settings.AUTO_REFRESH_INTERVAL) || 6 * 60 * 60,
     cacheMode: settings.CACHE_MODE || process.env.CACHE_MODE || "default",
     logLevel: settings.LOG_LEVEL || process.env.LOG_LEVEL || "INFO",
     enableFileLog: settings.ENABLE_FILE_LOG ? settings.ENABLE_FILE_LOG === 'true' : process.env.ENABLE_FILE_LOG === 'true',
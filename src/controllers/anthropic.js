@@ -0,0 +1,222 @@
+const { generateUUID } = require('../utils/tools.js')
+const { createUsageObject, countMessagesTokens } = require('../utils/precise-tokenizer.js')
+const { sendChatRequest } = require('../utils/request.js')
+const { parseUpstreamStream } = require('../utils/stream-parser.js')
+const { sendAnthropicError } = require('../middlewares/anthropic-middleware.js')
+const OutputLimiter = require('../utils/output-limiter.js')
+const usageStats = require('../utils/usage-stats.js')
+const { logger } = require('../utils/logger')
+
+/**
+ * 将输出限制器的结束原因映射为 Anthropic stop_reason
+ * @param {OutputLimiter} limiter - 输出限制器
+ * @returns {string} stop_reason
+ */
+const getStopReason = (limiter) => {
+    if (limiter.finishReason === 'stop') {
+        return 'stop_sequence'
+    } else if (limiter.finishReason === 'length') {
+        return 'max_tokens'
+    }
+    return 'end_turn'
+}
+
+/**
+ * 写入一条 Anthropic SSE 事件
+ * @param {object} res - Express 响应对象
+ * @param {string} event - 事件类型
+ * @param {object} data - 事件数据
+ */
+const writeEvent = (res, event, data = {}) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`)
+}
+
+/**
+ * 处理 Anthropic 流式响应
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {object} response - 上游响应流
+ * @returns {Promise<object>} token用量
+ */
+const handleAnthropicStream = async (req, res, response) => {
+    const { model, prompt_messages } = req.anthropic
+    const limiter = new OutputLimiter({ stop: req.anthropic.stop_sequences, maxTokens: req.anthropic.max_tokens })
+    const message_id = `msg_${generateUUID().replace(/-/g, '')}`
+
+    let blockIndex = -1
+    let blockType = null
+    let completionContent = ''
+    let upstreamUsage = null
+
+    const openBlock = (type) => {
+        if (blockType === type) return
+        closeBlock()
+        blockIndex++
+        blockType = type
+        writeEvent(res, 'content_block_start', {
+            index: blockIndex,
+            content_block: type === 'thinking' ? { type: 'thinking', thinking: '' } : { type: 'text', text: '' }
+        })
+    }
+
+    const closeBlock = () => {
+        if (blockType === null) return
+        writeEvent(res, 'content_block_stop', { index: blockIndex })
+        blockType = null
+    }
+
+    const writeText = (text) => {
+        if (!text) return
+        completionContent += text
+        openBlock('text')
+        writeEvent(res, 'content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text } })
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    })
+
+    writeEvent(res, 'message_start', {
+        message: {
+            id: message_id,
+            type: 'message',
+            role: 'assistant',
+            content: [],
+            model,
+            stop_reason: null,
+            stop_sequence: null,
+            usage: {
+                input_tokens: countMessagesTokens(prompt_messages),
+                output_tokens: 0
+            }
+        }
+    })
+
+    try {
+        for await (const event of parseUpstreamStream(response)) {
+            if (event.type === 'usage') {
+                upstreamUsage = event.usage
+            } else if (event.type === 'delta' && event.phase === 'think') {
+                completionContent += event.content
+                openBlock('thinking')
+                writeEvent(res, 'content_block_delta', { index: blockIndex, delta: { type: 'thinking_delta', thinking: event.content } })
+            } else if (event.type === 'delta' && event.phase === 'answer') {
+                writeText(limiter.push(event.content))
+                if (limiter.finished) break
+            }
+        }
+        writeText(limiter.flush())
+    } catch (error) {
+        logger.error('Anthropic 流式数据处理错误', 'ANTHROPIC', '', error)
+    }
+
+    closeBlock()
+
+    const usage = createUsageObject(prompt_messages, completionContent, limiter.finished ? null : upstreamUsage)
+    writeEvent(res, 'message_delta', {
+        delta: {
+            stop_reason: getStopReason(limiter),
+            stop_sequence: limiter.stopSequence
+        },
+        usage: {
+            output_tokens: usage.completion_tokens
+        }
+    })
+    writeEvent(res, 'message_stop')
+    res.end()
+    return usage
+}
+
+/**
+ * 处理 Anthropic 非流式响应，聚合上游流为完整消息
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {object} response - 上游响应流
+ * @returns {Promise<object>} token用量
+ */
+const handleAnthropicNonStream = async (req, res, response) => {
+    const { model, prompt_messages } = req.anthropic
+    const limiter = new OutputLimiter({ stop: req.anthropic.stop_sequences, maxTokens: req.anthropic.max_tokens })
+
+    let thinkingContent = ''
+    let textContent = ''
+    let upstreamUsage = null
+
+    for await (const event of parseUpstreamStream(response)) {
+        if (event.type === 'usage') {
+            upstreamUsage = event.usage
+        } else if (event.type === 'delta' && event.phase === 'think') {
+            thinkingContent += event.content
+        } else if (event.type === 'delta' && event.phase === 'answer') {
+            textContent += limiter.push(event.content)
+            if (limiter.finished) break
+        }
+    }
+    textContent += limiter.flush()
+
+    const content = []
+    if (thinkingContent) {
+        content.push({ type: 'thinking', thinking: thinkingContent, signature: '' })
+    }
+    content.push({ type: 'text', text: textContent })
+
+    const usage = createUsageObject(prompt_messages, thinkingContent + textContent, limiter.finished ? null : upstreamUsage)
+    res.json({
+        id: `msg_${generateUUID().replace(/-/g, '')}`,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content,
+        stop_reason: getStopReason(limiter),
+        stop_sequence: limiter.stopSequence,
+        usage: {
+            input_tokens: usage.prompt_tokens,
+            output_tokens: usage.completion_tokens
+        }
+    })
+    return usage
+}
+
+/**
+ * Anthropic Messages 接口处理函数
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleAnthropicMessages = async (req, res) => {
+    const { chat_type } = req.body
+
+    if (chat_type !== 't2t' && chat_type !== 'search') {
+        return sendAnthropicError(res, 400, 'invalid_request_error', `model: ${req.anthropic.model} is not supported by /v1/messages`)
+    }
+
+    try {
+        const response_data = await sendChatRequest(req.body)
+
+        if (!response_data.status || !response_data.response) {
+            return sendAnthropicError(res, 500, 'api_error', '请求发送失败！！！')
+        }
+
+        const usage = req.anthropic.stream
+            ? await handleAnthropicStream(req, res, response_data.response)
+            : await handleAnthropicNonStream(req, res, response_data.response)
+        usageStats.record({
+            apiKey: req.apiKeyRecord?.key,
+            account: response_data.email,
+            model: req.body.model,
+            usage
+        })
+    } catch (error) {
+        logger.error('Anthropic 消息处理错误', 'ANTHROPIC', '', error)
+        if (!res.headersSent) {
+            sendAnthropicError(res, 500, 'api_error', '服务错误，请稍后再试')
+        } else {
+            res.end()
+        }
+    }
+}
+
+module.exports = {
+    handleAnthropicMessages
+}
@@ -1,9 +1,8 @@
-const axios = require('axios')
 const { logger } = require('../utils/logger.js')
 const { setResponseHeaders } = require('./chat.js')
 const accountManager = require('../utils/account.js')
-const { sleep } = require('../utils/tools.js')
-const { generateChatID } = require('../utils/request.js')
+const { sleep, isJson } = require('../utils/tools.js')
+const { sendImageVideoRequest, fetchVideoTaskStatus } = require('../utils/request.js')
 const config = require('../config/index.js')
 
 /**
@@ -36,15 +35,6 @@ const handleImageVideoCompletion = async (req, res) => {
             ]
         }
 
-        const chat_id = await generateChatID(token,model)
-
-        if (!chat_id) {
-            // 如果生成chat_id失败，则返回错误
-            throw new Error()
-        } else {
-            reqBody.chat_id = chat_id
-        }
-
         // 拿到用户最后一句消息
         const _userPrompt = messages[messages.length - 1].content
         if (!_userPrompt) {
@@ -145,39 +135,14 @@ const handleImageVideoCompletion = async (req, res) => {
         logger.info(`使用提示: ${reqBody.messages[0].content}`, 'CHAT')
         // console.log(JSON.stringify(reqBody))
         const newChatType = reqBody.messages[0].chat_type
-        const response_data = await axios.post(`https://chat.qwen.ai/api/v2/chat/completions?chat_id=${chat_id}`, reqBody, {
-            headers: {
-                "Authorization": `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                ...(config.ssxmodItna && { 'Cookie': `ssxmod_itna=${config.ssxmodItna};ssxmod_itna2=${config.ssxmodItna2}` })
-            },
-            responseType: newChatType == 't2i' ? 'stream' : 'json',
-            timeout: 1000 * 60 * 5
-        })
+        const response_data = await sendImageVideoRequest(reqBody, token)
 
         try {
-            let contentUrl = null
-            if (newChatType == 't2i') {
-                const decoder = new TextDecoder('utf-8')
-                response_data.data.on('data', async (chunk) => {
-                    const data = decoder.decode(chunk, { stream: true }).split('\n').filter(item => item.trim() != "")
-                    for (const item of data) {
-                        const jsonObj = JSON.parse(item.replace("data:", '').trim())
-                        if (jsonObj && jsonObj.choices && jsonObj.choices[0] && jsonObj.choices[0].delta && jsonObj.choices[0].delta.content.trim() != "" && contentUrl == null) {
-                            contentUrl = jsonObj.choices[0].delta.content
-                        }
-                    }
-                })
-
-                response_data.data.on('end', () => {
-                    return returnResponse(res, model, contentUrl, req.body.stream)
-                })
-            } else if (newChatType == 'image_edit') {
-                contentUrl = response_data.data?.data?.choices[0]?.message?.content[0]?.image
+            if (newChatType == 't2i' || newChatType == 'image_edit') {
+                const contentUrl = await extractImageUrl(response_data, newChatType)
                 return returnResponse(res, model, contentUrl, req.body.stream)
             } else if (newChatType == 't2v') {
-                return handleVideoCompletion(req, res, response_data.data, token)
+                return handleVideoCompletion(req, res, response_data, token)
             }
 
         } catch (error) {
@@ -192,6 +157,77 @@ const handleImageVideoCompletion = async (req, res) => {
     }
 }
 
+/**
+ * 从上游响应中提取图片URL
+ * @param {any} data - 上游响应数据
+ * @param {string} chat_type - 聊天类型 (t2i/image_edit)
+ * @returns {Promise<string|null>} 图片URL
+ */
+const extractImageUrl = async (data, chat_type) => {
+    if (chat_type != 't2i') {
+        return data?.data?.choices[0]?.message?.content[0]?.image || null
+    }
+
+    // t2i 以事件流返回，取第一条非空内容作为图片地址
+    const decoder = new TextDecoder('utf-8')
+    let buffer = ''
+    let contentUrl = null
+    for await (const chunk of data) {
+        buffer += decoder.decode(chunk, { stream: true })
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+        for (const line of lines) {
+            const dataContent = line.replace('data:', '').trim()
+            if (!isJson(dataContent)) continue
+            const content = JSON.parse(dataContent)?.choices?.[0]?.delta?.content
+            if (content && content.trim() != "" && contentUrl == null) {
+                contentUrl = content
+            }
+        }
+    }
+    return contentUrl
+}
+
+/**
+ * 生成或编辑一张图片
+ * @param {object} options - 生成参数
+ * @param {string} options.model - 模型名称
+ * @param {string} options.prompt - 提示词
+ * @param {string|null} options.size - 图片比例，仅生成图片时有效
+ * @param {Array<string>} options.images - 参考图片URL，非空时为图片编辑
+ * @returns {Promise<string|null>} 图片URL
+ */
+const generateImage = async ({ model, prompt, size = null, images = [] }) => {
+    const token = accountManager.getAccountToken()
+    if (!token) {
+        throw new Error('无法获取有效的账户信息')
+    }
+
+    const chat_type = images.length > 0 ? 'image_edit' : 't2i'
+    const reqBody = {
+        "stream": false,
+        "chat_id": null,
+        "model": model,
+        "messages": [
+            {
+                "role": "user",
+                "content": prompt,
+                "files": images.map(url => ({ "type": "image", "url": url })),
+                "chat_type": chat_type,
+                "feature_config": {
+                    "output_schema": "phase"
+                }
+            }
+        ]
+    }
+    if (size && chat_type == 't2i') {
+        reqBody.size = size
+    }
+
+    const response_data = await sendImageVideoRequest(reqBody, token)
+    return extractImageUrl(response_data, chat_type)
+}
+
 /**
  * 返回响应
  * @param {*} res 
@@ -291,27 +327,21 @@ ${content}
 
 const getVideoTaskStatus = async (videoTaskID, token) => {
     try {
-        const response_data = await axios.get(`https://chat.qwen.ai/api/v1/tasks/status/${videoTaskID}`, {
-            headers: {
-                "Authorization": `Bearer ${token}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                ...(config.ssxmodItna && { 'Cookie': `ssxmod_itna=${config.ssxmodItna};ssxmod_itna2=${config.ssxmodItna2}` })
-            }
-        })
+        const { status, content } = await fetchVideoTaskStatus(videoTaskID, token)
 
-        if (response_data.data?.task_status == "success") {
-            logger.info('获取视频任务状态成功', 'CHAT', response_data.data?.content)
-            return response_data.data?.content
+        if (status == "success") {
+            logger.info('获取视频任务状态成功', 'CHAT', content)
+            return content
         }
-        logger.info(`获取视频任务 ${videoTaskID} 状态: ${response_data.data?.task_status}`, 'CHAT')
+        logger.info(`获取视频任务 ${videoTaskID} 状态: ${status}`, 'CHAT')
         return null
     } catch (error) {
-        console.log(error.response.data)
+        console.log(error.response?.data)
         return null
     }
 }
 
 module.exports = {
-    handleImageVideoCompletion
+    handleImageVideoCompletion,
+    generateImage
 }
\ No newline at end of file
@@ -1,6 +1,12 @@
-const { isJson, generateUUID } = require('../utils/tools.js')
+const { generateUUID } = require('../utils/tools.js')
 const { createUsageObject } = require('../utils/precise-tokenizer.js')
 const { sendChatRequest } = require('../utils/request.js')
+const { parseUpstreamStream } = require('../utils/stream-parser.js')
+const { ToolCallParser } = require('../utils/tool-calls.js')
+const { getReasoningFormat, parserMessages } = require('../utils/chat-helpers.js')
+const { conversationStore, saveConversationTurn } = require('../utils/conversation.js')
+const OutputLimiter = require('../utils/output-limiter.js')
+const usageStats = require('../utils/usage-stats.js')
 const accountManager = require('../utils/account.js')
 const config = require('../config/index.js')
 const axios = require('axios')
@@ -29,6 +35,19 @@ const setResponseHeaders = (res, stream) => {
     }
 }
 
+/**
+ * 获取 OpenAI 格式的结束原因，达到 max_tokens 时为 length
+ * @param {OutputLimiter} limiter - 输出限制器
+ * @param {boolean} hasToolCalls - 是否包含工具调用
+ * @returns {string} finish_reason
+ */
+const getFinishReason = (limiter, hasToolCalls) => {
+    if (limiter.finishReason === 'length') {
+        return 'length'
+    }
+    return hasToolCalls ? 'tool_calls' : 'stop'
+}
+
 /**
  * 处理流式响应
  * @param {object} res - Express 响应对象
@@ -36,15 +55,50 @@ const setResponseHeaders = (res, stream) => {
  * @param {boolean} enable_thinking - 是否启用思考模式
  * @param {boolean} enable_web_search - 是否启用网络搜索
  * @param {object} requestBody - 原始请求体，用于提取prompt信息
+ * @param {object} options - 请求级选项
+ * @param {Array|null} options.tools - 工具定义，存在时解析回答中的工具调用
+ * @param {string} options.reasoning_format - 思考输出方式 (reasoning_content/think/none)
+ * @param {object} options.output_limit - { stop, maxTokens }，在代理侧截断回答
+ * @returns {Promise<object|null>} 本轮结果 { response_id, message, usage }，用于记录上游会话和用量
  */
-const handleStreamResponse = async (res, response, enable_thinking, enable_web_search, requestBody = null) => {
+const handleStreamResponse = async (res, response, enable_thinking, enable_web_search, requestBody = null, options = {}) => {
     try {
         const message_id = generateUUID()
-        const decoder = new TextDecoder('utf-8')
+        const reasoning_format = options.reasoning_format || getReasoningFormat()
         let web_search_info = null
         let thinking_start = false
         let thinking_end = false
-        let buffer = ''
+        const toolParser = options.tools ? new ToolCallParser() : null
+        const limiter = new OutputLimiter(options.output_limit)
+        let toolCallIndex = 0
+        let response_id = null
+        let replyContent = '' // 客户端收到的回复正文
+
+        const writeChunk = (delta, finish_reason = null) => {
+            if (delta.content) {
+                replyContent += delta.content
+            }
+            res.write(`data: ${JSON.stringify({
+                "id": `chatcmpl-${message_id}`,
+                "object": "chat.completion.chunk",
+                "created": new Date().getTime(),
+                "choices": [
+                    {
+                        "index": 0,
+                        "delta": delta,
+                        "finish_reason": finish_reason
+                    }
+                ]
+            })}\n\n`)
+        }
+
+        const writeToolCalls = (toolCalls) => {
+            for (const toolCall of toolCalls) {
+                writeChunk({
+                    "tool_calls": [{ "index": toolCallIndex++, ...toolCall }]
+                })
+            }
+        }
 
         // Token消耗量统计
         let totalTokens = {
@@ -67,180 +121,233 @@ const handleStreamResponse = async (res, response, enable_thinking, enable_web_s
             }).join('\n')
         }
 
-        response.on('data', async (chunk) => {
-            const decodeText = decoder.decode(chunk, { stream: true })
-            buffer += decodeText
-
-            const chunks = []
-            let startIndex = 0
-
-            while (true) {
-                const dataStart = buffer.indexOf('data: ', startIndex)
-                if (dataStart === -1) break
+        for await (const event of parseUpstreamStream(response)) {
+            if (event.type === 'created') {
+                response_id = event.response_id
+                continue
+            }
 
-                const dataEnd = buffer.indexOf('\n\n', dataStart)
-                if (dataEnd === -1) break
+            // 提取真实的usage信息（如果上游API提供）
+            if (event.type === 'usage') {
+                totalTokens = {
+                    prompt_tokens: event.usage.prompt_tokens || totalTokens.prompt_tokens,
+                    completion_tokens: event.usage.completion_tokens || totalTokens.completion_tokens,
+                    total_tokens: event.usage.total_tokens || totalTokens.total_tokens
+                }
+                continue
+            }
 
-                const dataChunk = buffer.substring(dataStart, dataEnd).trim()
-                chunks.push(dataChunk)
+            // 处理 web_search 信息
+            if (event.type === 'web_search') {
+                web_search_info = event.info
+                continue
+            }
 
-                startIndex = dataEnd + 2
+            if (event.type !== 'delta') {
+                continue
             }
 
-            if (startIndex > 0) {
-                buffer = buffer.substring(startIndex)
+            let content = event.content
+            // 按 stop 和 max_tokens 截断回答，stop 序列可能跨越多个分片
+            if (event.phase === 'answer') {
+                content = limiter.push(content)
+            }
+            completionContent += content // 累计完整内容用于token估算
+
+            // 从回答中分离工具调用
+            let toolCalls = []
+            if (toolParser && event.phase === 'answer') {
+                const parsed = toolParser.push(content)
+                content = parsed.content
+                toolCalls = parsed.toolCalls
             }
 
-            for (const item of chunks) {
-                try {
-                    let dataContent = item.replace("data: ", '')
-                    let decodeJson = isJson(dataContent) ? JSON.parse(dataContent) : null
-                    if (decodeJson === null || !decodeJson.choices || decodeJson.choices.length === 0) {
-                        continue
-                    }
+            if (event.phase === 'think') {
+                // 丢弃思考内容
+                if (reasoning_format === 'none') {
+                    continue
+                }
 
-                    // 提取真实的usage信息（如果上游API提供）
-                    if (decodeJson.usage) {
-                        totalTokens = {
-                            prompt_tokens: decodeJson.usage.prompt_tokens || totalTokens.prompt_tokens,
-                            completion_tokens: decodeJson.usage.completion_tokens || totalTokens.completion_tokens,
-                            total_tokens: decodeJson.usage.total_tokens || totalTokens.total_tokens
-                        }
+                if (!thinking_start) {
+                    thinking_start = true
+                    if (web_search_info) {
+                        content = `${await accountManager.generateMarkdownTable(web_search_info, config.searchInfoMode)}\n\n${content}`
                     }
-
-                    // 处理 web_search 信息
-                    if (decodeJson.choices[0].delta && decodeJson.choices[0].delta.name === 'web_search') {
-                        web_search_info = decodeJson.choices[0].delta.extra.web_search_info
+                    if (reasoning_format === 'think') {
+                        content = `<think>\n\n${content}`
                     }
+                }
 
-                    if (!decodeJson.choices[0].delta || !decodeJson.choices[0].delta.content ||
-                        (decodeJson.choices[0].delta.phase !== 'think' && decodeJson.choices[0].delta.phase !== 'answer')) {
-                        continue
-                    }
+                // 以 reasoning_content 字段单独输出思考内容
+                if (reasoning_format === 'reasoning_content') {
+                    writeChunk({ "reasoning_content": content })
+                    continue
+                }
+            }
+            if (event.phase === 'answer' && !thinking_end && thinking_start && reasoning_format === 'think') {
+                thinking_end = true
+                content = `\n\n</think>\n${content}`
+            }
 
-                    let content = decodeJson.choices[0].delta.content
-                    completionContent += content // 累计完整内容用于token估算
+            if (content) {
+                writeChunk({ "content": content })
+            }
+            writeToolCalls(toolCalls)
 
-                    if (decodeJson.choices[0].delta.phase === 'think' && !thinking_start) {
-                        thinking_start = true
-                        if (web_search_info) {
-                            content = `<think>\n\n${await accountManager.generateMarkdownTable(web_search_info, config.searchInfoMode)}\n\n${content}`
-                        } else {
-                            content = `<think>\n\n${content}`
-                        }
-                    }
-                    if (decodeJson.choices[0].delta.phase === 'answer' && !thinking_end && thinking_start) {
-                        thinking_end = true
-                        content = `\n\n</think>\n${content}`
-                    }
+            // 达到 stop 序列或 max_tokens 时停止读取上游
+            if (limiter.finished) {
+                break
+            }
+        }
 
-                    const StreamTemplate = {
-                        "id": `chatcmpl-${message_id}`,
-                        "object": "chat.completion.chunk",
-                        "created": new Date().getTime(),
-                        "choices": [
-                            {
-                                "index": 0,
-                                "delta": {
-                                    "content": content
-                                },
-                                "finish_reason": null
-                            }
-                        ]
-                    }
+        // 输出限制器中暂存的回答
+        const restContent = limiter.flush()
+        completionContent += restContent
+        if (toolParser) {
+            const parsed = toolParser.push(restContent)
+            if (parsed.content) {
+                writeChunk({ "content": parsed.content })
+            }
+            writeToolCalls(parsed.toolCalls)
+        } else if (restContent) {
+            writeChunk({ "content": restContent })
+        }
 
-                    res.write(`data: ${JSON.stringify(StreamTemplate)}\n\n`)
-                } catch (error) {
-                    logger.error('流式数据处理错误', 'CHAT', '', error)
-                    res.status(500).json({ error: "服务错误!!!" })
-                }
+        // 输出工具调用解析器中剩余的内容
+        if (toolParser) {
+            const parsed = toolParser.flush()
+            if (parsed.content) {
+                writeChunk({ "content": parsed.content })
             }
-        })
-
-        response.on('end', async () => {
-            try {
-                // 处理最终的搜索信息
-                if ((config.outThink === false || !enable_thinking) && web_search_info && config.searchInfoMode === "text") {
-                    const webSearchTable = await accountManager.generateMarkdownTable(web_search_info, "text")
-                    res.write(`data: ${JSON.stringify({
-                        "id": `chatcmpl-${message_id}`,
-                        "object": "chat.completion.chunk",
-                        "created": new Date().getTime(),
-                        "choices": [
-                            {
-                                "index": 0,
-                                "delta": {
-                                    "content": `\n\n---\n${webSearchTable}`
-                                },
-                                "finish_reason": null
-                            }
-                        ]
-                    })}\n\n`)
-                }
+            writeToolCalls(parsed.toolCalls)
+        }
 
-                // 计算最终的token使用量
-                if (totalTokens.prompt_tokens === 0 && totalTokens.completion_tokens === 0) {
-                    totalTokens = createUsageObject(requestBody?.messages || promptText, completionContent, null)
-                    logger.info(`流式使用tiktoken计算 - Prompt: ${totalTokens.prompt_tokens}, Completion: ${totalTokens.completion_tokens}, Total: ${totalTokens.total_tokens}`, 'CHAT')
-                } else {
-                    logger.info(`流式使用上游真实Token - Prompt: ${totalTokens.prompt_tokens}, Completion: ${totalTokens.completion_tokens}, Total: ${totalTokens.total_tokens}`, 'CHAT')
-                }
+        // 处理最终的搜索信息
+        if (!thinking_start && web_search_info && config.searchInfoMode === "text") {
+            const webSearchTable = await accountManager.generateMarkdownTable(web_search_info, "text")
+            writeChunk({ "content": `\n\n---\n${webSearchTable}` })
+        }
 
-                // 确保token数量的有效性
-                totalTokens.prompt_tokens = Math.max(0, totalTokens.prompt_tokens || 0)
-                totalTokens.completion_tokens = Math.max(0, totalTokens.completion_tokens || 0)
-                totalTokens.total_tokens = totalTokens.prompt_tokens + totalTokens.completion_tokens
-
-                // 发送最终的finish chunk，包含finish_reason
-                res.write(`data: ${JSON.stringify({
-                    "id": `chatcmpl-${message_id}`,
-                    "object": "chat.completion.chunk",
-                    "created": new Date().getTime(),
-                    "choices": [
-                        {
-                            "index": 0,
-                            "delta": {},
-                            "finish_reason": "stop"
-                        }
-                    ]
-                })}\n\n`)
-
-                // 发送usage信息chunk（符合OpenAI API标准）
-                res.write(`data: ${JSON.stringify({
-                    "id": `chatcmpl-${message_id}`,
-                    "object": "chat.completion.chunk",
-                    "created": new Date().getTime(),
-                    "choices": [],
-                    "usage": totalTokens
-                })}\n\n`)
-
-                // 发送结束标记
-                res.write(`data: [DONE]\n\n`)
-                res.end()
-            } catch (e) {
-                logger.error('流式响应处理错误', 'CHAT', '', e)
-                res.status(500).json({ error: "服务错误!!!" })
-            }
-        })
+        // 计算最终的token使用量，回答被截断时上游的用量不准确
+        if (limiter.finished || (totalTokens.prompt_tokens === 0 && totalTokens.completion_tokens === 0)) {
+            totalTokens = createUsageObject(requestBody?.messages || promptText, completionContent, null)
+            logger.info(`流式使用tiktoken计算 - Prompt: ${totalTokens.prompt_tokens}, Completion: ${totalTokens.completion_tokens}, Total: ${totalTokens.total_tokens}`, 'CHAT')
+        } else {
+            logger.info(`流式使用上游真实Token - Prompt: ${totalTokens.prompt_tokens}, Completion: ${totalTokens.completion_tokens}, Total: ${totalTokens.total_tokens}`, 'CHAT')
+        }
+
+        // 确保token数量的有效性
+        totalTokens.prompt_tokens = Math.max(0, totalTokens.prompt_tokens || 0)
+        totalTokens.completion_tokens = Math.max(0, totalTokens.completion_tokens || 0)
+        totalTokens.total_tokens = totalTokens.prompt_tokens + totalTokens.completion_tokens
+
+        // 发送最终的finish chunk，包含finish_reason
+        writeChunk({}, getFinishReason(limiter, toolCallIndex > 0))
+
+        // 发送usage信息chunk（符合OpenAI API标准）
+        res.write(`data: ${JSON.stringify({
+            "id": `chatcmpl-${message_id}`,
+            "object": "chat.completion.chunk",
+            "created": new Date().getTime(),
+            "choices": [],
+            "usage": totalTokens
+        })}\n\n`)
+
+        // 发送结束标记
+        res.write(`data: [DONE]\n\n`)
+        res.end()
+
+        return {
+            response_id,
+            message: {
+                "role": "assistant",
+                "content": replyContent,
+                ...(toolParser && toolParser.toolCalls.length > 0 && { "tool_calls": toolParser.toolCalls })
+            },
+            usage: totalTokens
+        }
     } catch (error) {
-        logger.error('聊天处理错误', 'CHAT', '', error)
-        res.status(500).json({ error: "服务错误!!!" })
+        logger.error('流式响应处理错误', 'CHAT', '', error)
+        if (!res.headersSent) {
+            res.status(500).json({ error: "服务错误!!!" })
+        } else {
+            res.end()
+        }
+        return null
     }
 }
 
 /**
- * 处理非流式响应
+ * 处理非流式响应，聚合上游流为完整消息
  * @param {object} res - Express 响应对象
- * @param {object} response - 上游响应数据
+ * @param {object} response - 上游响应流
  * @param {boolean} enable_thinking - 是否启用思考模式
  * @param {boolean} enable_web_search - 是否启用网络搜索
  * @param {string} model - 模型名称
  * @param {object} requestBody - 原始请求体，用于提取prompt信息
+ * @param {object} options - 请求级选项
+ * @param {Array|null} options.tools - 工具定义，存在时解析回答中的工具调用
+ * @param {string} options.reasoning_format - 思考输出方式 (reasoning_content/think/none)
+ * @param {object} options.output_limit - { stop, maxTokens }，在代理侧截断回答
+ * @returns {Promise<object|null>} 本轮结果 { response_id, message, usage }，用于记录上游会话和用量
  */
-const handleNonStreamResponse = async (res, response, enable_thinking, enable_web_search, model, requestBody = null) => {
+const handleNonStreamResponse = async (res, response, enable_thinking, enable_web_search, model, requestBody = null, options = {}) => {
     try {
-        // console.log(JSON.stringify(response))
-        const content = response.data.choices[0].message.content
+        const reasoning_format = options.reasoning_format || getReasoningFormat()
+        let web_search_info = null
+        let reasoningContent = ''
+        let content = ''
+        let usage = null
+        let response_id = null
+        const limiter = new OutputLimiter(options.output_limit)
+
+        for await (const event of parseUpstreamStream(response)) {
+            if (event.type === 'created') {
+                response_id = event.response_id
+            } else if (event.type === 'usage') {
+                usage = event.usage
+            } else if (event.type === 'web_search') {
+                web_search_info = event.info
+            } else if (event.type === 'delta' && event.phase === 'think') {
+                reasoningContent += event.content
+            } else if (event.type === 'delta' && event.phase === 'answer') {
+                content += limiter.push(event.content)
+                // 达到 stop 序列或 max_tokens 时停止读取上游
+                if (limiter.finished) break
+            }
+        }
+        content += limiter.flush()
+        const completionContent = reasoningContent + content
+
+        // 从回答中分离工具调用
+        const message = {
+            "role": "assistant",
+            "content": content
+        }
+        if (options.tools) {
+            const toolParser = new ToolCallParser()
+            const parsed = toolParser.push(content)
+            const rest = toolParser.flush()
+            if (toolParser.toolCalls.length > 0) {
+                message.content = (parsed.content + rest.content) || null
+                message.tool_calls = toolParser.toolCalls
+            }
+        }
+
+        // 按思考输出方式组装思考内容，搜索信息优先放在思考内容开头
+        const showReasoning = reasoningContent && reasoning_format !== 'none'
+        if (showReasoning && web_search_info) {
+            reasoningContent = `${await accountManager.generateMarkdownTable(web_search_info, config.searchInfoMode)}\n\n${reasoningContent}`
+        } else if (web_search_info && config.searchInfoMode === 'text') {
+            const webSearchTable = await accountManager.generateMarkdownTable(web_search_info, 'text')
+            message.content = `${message.content || ''}\n\n---\n${webSearchTable}`
+        }
+
+        if (showReasoning && reasoning_format === 'reasoning_content') {
+            message.reasoning_content = reasoningContent
+        } else if (showReasoning && reasoning_format === 'think') {
+            message.content = `<think>\n\n${reasoningContent}\n\n</think>\n${message.content || ''}`
+        }
 
         // 提取prompt文本用于token估算
         let promptText = ''
@@ -255,20 +362,19 @@ const handleNonStreamResponse = async (res, response, enable_thinking, enable_we
             }).join('\n')
         }
 
-        // 尝试从上游响应中提取真实的usage数据
-        let usage = response.usage || null
-
-        // 计算token使用量
-        if (!usage) {
-            usage = createUsageObject(requestBody?.messages || promptText, content, null)
+        // 计算token使用量，优先使用上游真实的usage数据，回答被截断时上游的用量不准确
+        if (limiter.finished || !usage || (!usage.prompt_tokens && !usage.completion_tokens)) {
+            usage = createUsageObject(requestBody?.messages || promptText, completionContent, null)
             logger.info(`非流式使用tiktoken计算 - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}`, 'CHAT')
         } else {
             logger.info(`非流式使用上游真实Token - Prompt: ${usage.prompt_tokens}, Completion: ${usage.completion_tokens}, Total: ${usage.total_tokens}`, 'CHAT')
         }
 
         // 确保token数量的有效性
-        usage.prompt_tokens = Math.max(0, usage.prompt_tokens || 0)
-        usage.completion_tokens = Math.max(0, usage.completion_tokens || 0)
+        usage = {
+            prompt_tokens: Math.max(0, usage.prompt_tokens || 0),
+            completion_tokens: Math.max(0, usage.completion_tokens || 0)
+        }
         usage.total_tokens = usage.prompt_tokens + usage.completion_tokens
 
         const bodyTemplate = {
@@ -279,22 +385,22 @@ const handleNonStreamResponse = async (res, response, enable_thinking, enable_we
             "choices": [
                 {
                     "index": 0,
-                    "message": {
-                        "role": "assistant",
-                        "content": content
-                    },
-                    "finish_reason": "stop"
+                    "message": message,
+                    "finish_reason": getFinishReason(limiter, Boolean(message.tool_calls))
                 }
             ],
             "usage": usage
         }
         res.json(bodyTemplate)
+
+        return { response_id, message, usage }
     } catch (error) {
         logger.error('非流式聊天处理错误', 'CHAT', '', error)
         res.status(500)
             .json({
                 error: "服务错误!!!"
             })
+        return null
     }
 }
 
@@ -309,9 +415,25 @@ const handleChatCompletion = async (req, res) => {
 
     const enable_thinking = req.enable_thinking
     const enable_web_search = req.enable_web_search
+    const options = {
+        tools: req.tools,
+        reasoning_format: req.reasoning_format,
+        output_limit: req.output_limit
+    }
+    const conversation = req.conversation
 
     try {
-        const response_data = await sendChatRequest(req.body)
+        // 上游始终使用流式请求，非流式响应由代理聚合，以保留思考内容
+        let response_data = await sendChatRequest({ ...req.body, stream: true }, conversation?.session || null)
+
+        // 上游会话不可用时，回退为发送扁平化的完整历史
+        if (response_data.sessionExpired) {
+            logger.warn('上游会话不可用，回退为完整历史请求', 'CONVERSATION')
+            conversationStore.delete(conversation.key)
+            const { messages, thinking_config, chat_type } = conversation.fallback
+            req.body.messages = await parserMessages(messages, thinking_config, chat_type)
+            response_data = await sendChatRequest({ ...req.body, stream: true })
+        }
 
         if (!response_data.status || !response_data.response) {
             res.status(500)
@@ -321,12 +443,37 @@ const handleChatCompletion = async (req, res) => {
             return
         }
 
+        if (conversation?.conversation_id) {
+            res.set('x-conversation-id', conversation.conversation_id)
+        }
+
+        let result = null
         if (stream) {
             setResponseHeaders(res, true)
-            await handleStreamResponse(res, response_data.response, enable_thinking, enable_web_search, req.body)
+            result = await handleStreamResponse(res, response_data.response, enable_thinking, enable_web_search, req.body, options)
         } else {
             setResponseHeaders(res, false)
-            await handleNonStreamResponse(res, response_data.response, enable_thinking, enable_web_search, model, req.body)
+            result = await handleNonStreamResponse(res, response_data.response, enable_thinking, enable_web_search, model, req.body, options)
+        }
+
+        // 记录用量
+        if (result?.usage) {
+            usageStats.record({
+                apiKey: req.apiKeyRecord?.key,
+                account: response_data.email,
+                model,
+                usage: result.usage
+            })
+        }
+
+        // 记录上游会话，下一轮只需发送新的消息
+        if (conversation && result?.response_id) {
+            saveConversationTurn(conversation, {
+                chat_id: response_data.chat_id,
+                email: response_data.email,
+                parent_id: result.response_id,
+                reply: result.message
+            })
         }
 
     } catch (error) {
@@ -0,0 +1,263 @@
+const { generateUUID } = require('../utils/tools.js')
+const { createUsageObject } = require('../utils/precise-tokenizer.js')
+const { sendChatRequest } = require('../utils/request.js')
+const { parseUpstreamStream } = require('../utils/stream-parser.js')
+const { parserMessages } = require('../utils/chat-helpers.js')
+const { checkJsonOutput, buildJsonRepairPrompt } = require('../utils/structured-output.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const OutputLimiter = require('../utils/output-limiter.js')
+const { recordUpstreamRetry } = require('../utils/metrics')
+const { setResponseHeaders } = require('./chat.js')
+const usageStats = require('../utils/usage-stats.js')
+const accountManager = require('../utils/account.js')
+const config = require('../config/index.js')
+const { logger } = require('../utils/logger')
+
+// 修正次数上限，避免配置过大时一个请求长时间占用账户
+const MAX_REPAIR_ATTEMPTS = 3
+// 错误信息中最多列出的校验错误数
+const MAX_REPORTED_ERRORS = 5
+// 流式请求等待回答校验期间发送 SSE 保活注释的间隔
+const KEEP_ALIVE_INTERVAL = 15 * 1000
+
+/**
+ * 流式请求等待校验期间定时发送 SSE 注释，避免客户端或反向代理因长时间收不到数据而断开
+ * 第一次发送注释时才发送响应头，在此之前失败仍可以返回对应的状态码
+ * @param {object} res - Express 响应对象
+ * @returns {Function} 停止发送
+ */
+const startKeepAlive = (res) => {
+    const timer = setInterval(() => {
+        if (!res.headersSent) {
+            setResponseHeaders(res, true)
+        }
+        res.write(': keep-alive\n\n')
+    }, KEEP_ALIVE_INTERVAL)
+    const stop = () => clearInterval(timer)
+    res.once('close', stop)
+    return stop
+}
+
+/**
+ * 返回 OpenAI 格式的错误，流式请求已经开始发送时以 SSE 事件返回并结束响应
+ * @param {object} res - Express 响应对象
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {object} options - { param, code }
+ */
+const sendJsonError = (res, status, message, { param = null, code = null } = {}) => {
+    if (!res.headersSent) {
+        return sendOpenAIError(res, status, message, { param, code })
+    }
+    res.write(`data: ${JSON.stringify({ error: { message, type: 'server_error', param, code } })}\n\n`)
+    res.write(`data: [DONE]\n\n`)
+    res.end()
+}
+
+/**
+ * 读取上游流，聚合思考内容和回答
+ * @param {object} response - 上游响应流
+ * @returns {Promise<object>} { reasoning, content, usage, web_search_info }
+ */
+const collectAnswer = async (response) => {
+    const answer = { reasoning: '', content: '', usage: null, web_search_info: null }
+    for await (const event of parseUpstreamStream(response)) {
+        if (event.type === 'usage') {
+            answer.usage = event.usage
+        } else if (event.type === 'web_search') {
+            answer.web_search_info = event.info
+        } else if (event.type === 'delta' && event.phase === 'think') {
+            answer.reasoning += event.content
+        } else if (event.type === 'delta' && event.phase === 'answer') {
+            answer.content += event.content
+        }
+    }
+    return answer
+}
+
+/**
+ * 计算一次请求的用量，优先使用上游真实的用量
+ * @param {object} answer - collectAnswer 的结果
+ * @param {Array} messages - 发送给上游的消息，用于估算
+ * @returns {object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+const getAttemptUsage = (answer, messages) => {
+    let usage = answer.usage
+    if (!usage || (!usage.prompt_tokens && !usage.completion_tokens)) {
+        usage = createUsageObject(messages, answer.reasoning + answer.content, null)
+    }
+    const prompt_tokens = Math.max(0, usage.prompt_tokens || 0)
+    const completion_tokens = Math.max(0, usage.completion_tokens || 0)
+    return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens }
+}
+
+/**
+ * 发送校验通过的 JSON 回答
+ * 回答正文只包含 JSON，思考内容仅在 reasoning_format 为 reasoning_content 时返回
+ * stop 和 max_tokens 在校验后截断正文，截断后的 JSON 可能不完整，与 OpenAI 一致
+ * @param {object} res - Express 响应对象
+ * @param {object} req - Express 请求对象
+ * @param {string} content - JSON 文本
+ * @param {object} answer - collectAnswer 的结果
+ * @param {object} usage - 所有尝试的总用量
+ */
+const sendJsonAnswer = async (res, req, content, answer, usage) => {
+    const { stream, model } = req.body
+    const id = `chatcmpl-${generateUUID()}`
+    const created = new Date().getTime()
+
+    let reasoning = answer.reasoning
+    if (reasoning && answer.web_search_info) {
+        reasoning = `${await accountManager.generateMarkdownTable(answer.web_search_info, config.searchInfoMode)}\n\n${reasoning}`
+    }
+    const showReasoning = Boolean(reasoning) && req.reasoning_format === 'reasoning_content'
+
+    const limiter = new OutputLimiter(req.output_limit)
+    content = limiter.push(content) + limiter.flush()
+    const finishReason = limiter.finishReason === 'length' ? 'length' : 'stop'
+
+    if (!stream) {
+        setResponseHeaders(res, false)
+        res.json({
+            "id": id,
+            "object": "chat.completion",
+            "created": created,
+            "model": model,
+            "choices": [
+                {
+                    "index": 0,
+                    "message": {
+                        "role": "assistant",
+                        "content": content,
+                        ...(showReasoning && { "reasoning_content": reasoning })
+                    },
+                    "finish_reason": finishReason
+                }
+            ],
+            "usage": usage
+        })
+        return
+    }
+
+    // 回答需要完整校验后才能发送，流式请求一次性发送整个回答，等待期间可能已经发送了响应头
+    if (!res.headersSent) {
+        setResponseHeaders(res, true)
+    }
+    const writeChunk = (delta, finish_reason = null) => {
+        res.write(`data: ${JSON.stringify({
+            "id": id,
+            "object": "chat.completion.chunk",
+            "created": created,
+            "choices": [
+                {
+                    "index": 0,
+                    "delta": delta,
+                    "finish_reason": finish_reason
+                }
+            ]
+        })}\n\n`)
+    }
+
+    if (showReasoning) {
+        writeChunk({ "reasoning_content": reasoning })
+    }
+    writeChunk({ "content": content })
+    writeChunk({}, finishReason)
+    res.write(`data: ${JSON.stringify({
+        "id": id,
+        "object": "chat.completion.chunk",
+        "created": created,
+        "choices": [],
+        "usage": usage
+    })}\n\n`)
+    res.write(`data: [DONE]\n\n`)
+    res.end()
+}
+
+/**
+ * JSON 模式（response_format 为 json_object 或 json_schema）的聊天完成处理函数
+ * 从回答中提取 JSON 并校验，不符合格式时把错误发回给模型要求修正，超过 JSON_REPAIR_ATTEMPTS 次仍失败时返回 502
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleJsonCompletion = async (req, res) => {
+    const { model } = req.body
+    const { format, messages, thinking_config, chat_type } = req.structured_output
+    const repairAttempts = Math.min(Math.max(config.jsonRepairAttempts || 0, 0), MAX_REPAIR_ATTEMPTS)
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    let email = null
+    let errors = []
+    const stopKeepAlive = req.body.stream ? startKeepAlive(res) : () => {}
+
+    const recordUsage = () => {
+        if (usage.total_tokens > 0) {
+            usageStats.record({
+                apiKey: req.apiKeyRecord?.key,
+                account: email,
+                model,
+                usage
+            })
+        }
+    }
+
+    try {
+        for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+            const response_data = await sendChatRequest({ ...req.body, stream: true })
+            if (!response_data.status || !response_data.response) {
+                recordUsage()
+                stopKeepAlive()
+                sendJsonError(res, 500, 'Failed to send the request to the upstream.', { code: 'upstream_error' })
+                return
+            }
+            email = response_data.email
+
+            const answer = await collectAnswer(response_data.response)
+            const attemptUsage = getAttemptUsage(answer, req.body.messages)
+            usage.prompt_tokens += attemptUsage.prompt_tokens
+            usage.completion_tokens += attemptUsage.completion_tokens
+            usage.total_tokens += attemptUsage.total_tokens
+
+            const result = checkJsonOutput(answer.content, format)
+            if (result.errors.length === 0) {
+                if (attempt > 0) {
+                    logger.info(`模型在第 ${attempt} 次修正后返回了有效的 JSON`, 'CHAT')
+                }
+                stopKeepAlive()
+                await sendJsonAnswer(res, req, JSON.stringify(result.value), answer, usage)
+                recordUsage()
+                return
+            }
+
+            errors = result.errors
+            if (attempt < repairAttempts) {
+                logger.warn(`回答不符合 JSON 格式，要求模型修正 (${attempt + 1}/${repairAttempts}): ${errors[0]}`, 'CHAT')
+                recordUpstreamRetry('json_repair')
+                req.body.messages = await parserMessages([
+                    ...messages,
+                    { role: 'assistant', content: answer.content },
+                    { role: 'user', content: buildJsonRepairPrompt(errors) }
+                ], thinking_config, chat_type)
+            }
+        }
+
+        recordUsage()
+        stopKeepAlive()
+        logger.error(`模型未能返回有效的 JSON (共尝试 ${repairAttempts + 1} 次): ${errors.join('; ')}`, 'CHAT')
+        const reported = errors.slice(0, MAX_REPORTED_ERRORS).join('; ') + (errors.length > MAX_REPORTED_ERRORS ? `; and ${errors.length - MAX_REPORTED_ERRORS} more` : '')
+        sendJsonError(res, 502, `The model did not produce valid JSON for response_format after ${repairAttempts + 1} attempt(s): ${reported}`, {
+            param: 'response_format',
+            code: 'invalid_json_output'
+        })
+    } catch (error) {
+        stopKeepAlive()
+        logger.error('JSON 模式聊天处理错误', 'CHAT', '', error)
+        if (res.writableEnded) {
+            return
+        }
+        sendJsonError(res, 500, 'Internal server error.', { code: 'internal_error' })
+    }
+}
+
+module.exports = {
+    handleJsonCompletion
+}
@@ -1,128 +1,281 @@
 const axios = require('axios')
+const usageStats = require('../utils/usage-stats.js')
+const accountManager = require('../utils/account.js')
+const { getAxiosProxyConfig } = require('../utils/proxy-agent')
+const { recordUpstreamError, recordUpstreamRetry } = require('../utils/metrics')
+const { isCliModelAvailable } = require('../models/cli-models.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const { parseGenerationParams } = require('../utils/chat-helpers.js')
 const { logger } = require('../utils/logger')
 
+// 一次请求最多尝试的CLI账户数
+const MAX_ATTEMPTS = 3
+
+/**
+ * 判断上游错误是否可以换一个账户重试：令牌无效、限流或上游服务错误
+ * @param {number} status - 上游状态码
+ * @returns {boolean} 是否可以重试
+ */
+const isRetryableStatus = (status) => status === 401 || status === 429 || status >= 500
+
+/**
+ * 判断上游是否报告账户额度已用完
+ * @param {number} status - 上游状态码
+ * @param {any} details - 上游错误内容
+ * @returns {boolean} 是否为额度错误
+ */
+const isQuotaError = (status, details) => {
+    const text = typeof details === 'string' ? details : JSON.stringify(details || '')
+    return status === 429 && /quota/i.test(text)
+}
+
+/**
+ * 读取上游错误响应的内容，流式请求时响应体为流
+ * @param {any} data - 响应体
+ * @returns {Promise<any>} 解析后的错误内容
+ */
+const readErrorBody = async (data) => {
+    if (!data || typeof data.on !== 'function') {
+        return data
+    }
+
+    const chunks = []
+    try {
+        for await (const chunk of data) {
+            chunks.push(Buffer.from(chunk))
+        }
+    } catch (error) {
+        // 读取失败时返回已读取的部分
+    }
+    const text = Buffer.concat(chunks).toString('utf8')
+    try {
+        return JSON.parse(text)
+    } catch (error) {
+        return text
+    }
+}
+
+/**
+ * 获取上游错误的说明，上游返回 OpenAI 格式的错误时使用其中的 message
+ * @param {number} status - 上游状态码
+ * @param {any} details - 上游错误内容
+ * @returns {string} 错误说明
+ */
+const getUpstreamErrorMessage = (status, details) => {
+    if (typeof details?.error?.message === 'string' && details.error.message) {
+        return details.error.message
+    }
+    if (typeof details === 'string' && details.trim()) {
+        return details.trim().slice(0, 1000)
+    }
+    return `Upstream request failed with status ${status}.`
+}
+
+/**
+ * 使用指定账户向上游发送请求，使用账户绑定的代理
+ * @param {Object} account - 账户对象
+ * @param {Object} body - 请求体
+ * @param {boolean} isStream - 是否为流式请求
+ * @returns {Promise<Object>} axios 响应
+ */
+const sendCliRequest = (account, body, isStream) => {
+    return axios({
+        method: 'POST',
+        url: 'https://portal.qwen.ai/v1/chat/completions',
+        headers: {
+            'Authorization': `Bearer ${account.cli_info.access_token}`,
+            'Content-Type': 'application/json',
+            'Accept': isStream ? 'text/event-stream' : 'application/json'
+        },
+        data: body,
+        timeout: 5 * 60 * 1000,
+        responseType: isStream ? 'stream' : 'json',
+        validateStatus: function () {
+            return true
+        },
+        ...getAxiosProxyConfig(accountManager.getProxyForAccount(account.email))
+    })
+}
+
+/**
+ * 将上游的成功响应转发给客户端
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Object} response - axios 响应
+ * @param {boolean} isStream - 是否为流式请求
+ */
+const relayResponse = (req, res, response, isStream) => {
+    const account = req.account
+
+    // 处理流式响应
+    if (isStream) {
+        // 设置响应头为流式
+        res.setHeader('Content-Type', 'text/event-stream')
+        res.setHeader('Cache-Control', 'no-cache')
+        res.setHeader('Connection', 'keep-alive')
+        res.setHeader('Access-Control-Allow-Origin', '*')
+        res.setHeader('Access-Control-Allow-Headers', '*')
+
+        // 直接管道传输流式数据
+        response.data.pipe(res)
+
+        // 保留末尾数据，用于读取最后一个分片中的 usage
+        let streamTail = ''
+        response.data.on('data', (chunk) => {
+            streamTail = (streamTail + chunk.toString()).slice(-4096)
+        })
+
+        // 记录流中已返回的 usage，取最后一次出现的统计值
+        const recordStreamUsage = () => {
+            const lastNumber = (field) => Number(streamTail.match(new RegExp(`"${field}"\\s*:\\s*(\\d+)`, 'g'))?.pop()?.match(/\d+/)[0]) || 0
+            usageStats.record({
+                apiKey: req.apiKeyRecord?.key,
+                account: account.email,
+                model: req.body.model,
+                usage: {
+                    prompt_tokens: lastNumber('prompt_tokens'),
+                    completion_tokens: lastNumber('completion_tokens'),
+                    total_tokens: lastNumber('total_tokens')
+                }
+            })
+        }
+
+        // 处理流错误，已开始输出时结束响应，避免客户端一直等待
+        response.data.on('error', (streamError) => {
+            logger.error(`CLI请求使用账号[${account.email}]流式传输失败 - 当前请求数: ${account.cli_info?.request_number}`, 'CLI', '❌', streamError)
+            recordStreamUsage()
+            if (!res.headersSent) {
+                sendOpenAIError(res, 500, 'Upstream stream failed.', { code: 'stream_error' })
+            } else {
+                res.end()
+            }
+        })
+
+        // 处理流结束
+        response.data.on('end', () => {
+            recordStreamUsage()
+            logger.success(`CLI请求使用账号[${account.email}]转发成功 (流式) - 当前请求数: ${account.cli_info?.request_number}`, 'CLI')
+            res.end()
+        })
+    } else {
+        // 处理JSON响应
+        res.json(response.data)
+        usageStats.record({
+            apiKey: req.apiKeyRecord?.key,
+            account: account.email,
+            model: req.body.model,
+            usage: response.data?.usage
+        })
+        logger.success(`CLI请求使用账号[${account.email}]转发成功 (JSON) - 当前请求数: ${account.cli_info?.request_number}`, 'CLI')
+    }
+}
+
 /**
  * 处理CLI聊天完成请求（支持OpenAI格式的流式和JSON响应）
+ * 开始转发前上游返回 401、429、5xx 或连接失败时，换一个CLI账户重试
  * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
  */
 const handleCliChatCompletion = async (req, res) => {
+    const body = req.body
+    const isStream = body.stream === true
+    const triedEmails = []
+    let failure = null
+
+    if (!body.model) {
+        return sendOpenAIError(res, 400, 'model is required', { param: 'model' })
+    }
+    if (!await isCliModelAvailable(body.model)) {
+        return sendOpenAIError(res, 404, `The model '${body.model}' does not exist.`, { param: 'model', code: 'model_not_found' })
+    }
+
+    // 采样和长度参数直接转发给上游，max_completion_tokens 转换为上游支持的 max_tokens
+    const { params, error } = parseGenerationParams(body)
+    if (error) {
+        return sendOpenAIError(res, 400, error.message, { param: error.param })
+    }
+    const upstreamBody = { ...body, ...params }
+    delete upstreamBody.max_completion_tokens
+
     try {
-        const access_token = req.account.cli_info.access_token
-        const body = req.body
-        const isStream = body.stream === true
-
-        // 打印当前使用的账号邮箱
-        logger.info(`CLI请求使用账号[${req.account.email}]开始处理`, 'CLI', '🚀')
-
-        // 无论成功失败都增加请求计数
-        req.account.cli_info.request_number++
-
-        // 设置请求配置
-        const axiosConfig = {
-            method: 'POST',
-            url: 'https://portal.qwen.ai/v1/chat/completions',
-            headers: {
-                'Authorization': `Bearer ${access_token}`,
-                'Content-Type': 'application/json',
-                'Accept': isStream ? 'text/event-stream' : 'application/json'
-            },
-            data: body,
-            timeout: 5 * 60 * 1000,
-            validateStatus: function () {
-                return true
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const account = attempt === 1 ? req.account : await accountManager.getCliAccount(triedEmails)
+            if (!account) {
+                break
             }
-        }
+            req.account = account
+            triedEmails.push(account.email)
 
-        // 如果是流式请求，设置响应类型为流
-        if (isStream) {
-            axiosConfig.responseType = 'stream'
+            // 打印当前使用的账号邮箱
+            logger.info(`CLI请求使用账号[${account.email}]开始处理 (尝试: ${attempt}/${MAX_ATTEMPTS})`, 'CLI', '🚀')
 
-            // 设置响应头为流式
-            res.setHeader('Content-Type', 'text/event-stream')
-            res.setHeader('Cache-Control', 'no-cache')
-            res.setHeader('Connection', 'keep-alive')
-            res.setHeader('Access-Control-Allow-Origin', '*')
-            res.setHeader('Access-Control-Allow-Headers', '*')
-        }
+            // 无论成功失败都增加请求计数
+            await accountManager.incrementCliRequestNumber(account)
 
-        const response = await axios(axiosConfig)
-
-        // 检查响应状态
-        if (response.status !== 200) {
-            logger.error(`CLI请求使用账号[${req.account.email}]转发失败 - 状态码: ${response.status} - 当前请求数: ${req.account.cli_info.request_number}`, 'CLI', '❌')
-            return res.status(response.status).json({
-                error: {
-                    message: `api_error`,
-                    type: 'api_error',
-                    code: response.status,
-                    details: response.data
-                }
-            })
-        }
+            let response
+            try {
+                response = await sendCliRequest(account, upstreamBody, isStream)
+            } catch (error) {
+                logger.error(`CLI请求使用账号[${account.email}]连接上游失败: ${error.message}`, 'CLI', '❌')
+                recordUpstreamError('cli', error)
+                failure = { status: 503, message: 'Failed to connect to the upstream.', code: 'connection_error' }
 
-        // 处理流式响应
-        if (isStream) {
-            // 直接管道传输流式数据
-            response.data.pipe(res)
-
-            // 处理流错误
-            response.data.on('error', (streamError) => {
-                logger.error(`CLI请求使用账号[${req.account.email}]流式传输失败 - 当前请求数: ${req.account.cli_info.request_number}`, 'CLI', '❌')
-                if (!res.headersSent) {
-                    res.status(500).json({
-                        error: {
-                            message: 'stream_error',
-                            type: 'stream_error',
-                            code: 500
-                        }
-                    })
+                // 连接失败可能由代理引起，更换代理后换一个账户重试
+                const proxy = accountManager.getProxyForAccount(account.email)
+                if (proxy) {
+                    await accountManager.handleNetworkFailure(account.email, proxy)
                 }
-            })
+                if (attempt < MAX_ATTEMPTS) {
+                    recordUpstreamRetry('cli')
+                }
+                continue
+            }
 
-            // 处理流结束
-            response.data.on('end', () => {
-                logger.success(`CLI请求使用账号[${req.account.email}]转发成功 (流式) - 当前请求数: ${req.account.cli_info.request_number}`, 'CLI')
-                res.end()
-            })
-        } else {
-            // 处理JSON响应
-            res.json(response.data)
-            logger.success(`CLI请求使用账号[${req.account.email}]转发成功 (JSON) - 当前请求数: ${req.account.cli_info.request_number}`, 'CLI')
+            if (response.status === 200) {
+                return relayResponse(req, res, response, isStream)
+            }
+
+            const details = await readErrorBody(response.data)
+            logger.error(`CLI请求使用账号[${account.email}]转发失败 - 状态码: ${response.status} - 当前请求数: ${account.cli_info?.request_number}`, 'CLI', '❌')
+            recordUpstreamError('cli', { response: { status: response.status } })
+            failure = {
+                status: response.status,
+                message: getUpstreamErrorMessage(response.status, details),
+                type: details?.error?.type || null,
+                code: details?.error?.code || 'upstream_error'
+            }
+
+            if (isQuotaError(response.status, details)) {
+                accountManager.markCliAccountExhausted(account)
+            } else if (response.status === 401) {
+                // 令牌失效时在后台刷新，本次请求换一个账户
+                accountManager.refreshCliAccount(account.email).catch(error => {
+                    logger.error(`CLI账户 ${account.email} 令牌刷新失败`, 'CLI', '', error)
+                })
+            }
+
+            if (!isRetryableStatus(response.status)) {
+                break
+            }
+            if (attempt < MAX_ATTEMPTS) {
+                recordUpstreamRetry('cli')
+            }
         }
     } catch (error) {
-        logger.error(`CLI请求使用账号[${req.account.email}]处理异常 - 当前请求数: ${req.account.cli_info.request_number}`, 'CLI', '💥', error.message)
-
-        // 如果是axios错误，提供更详细的错误信息
-        if (error.response) {
-            return res.status(error.response.status).json({
-                error: {
-                    message: "api_error",
-                    type: 'api_error',
-                    code: error.response.status,
-                    details: error.response.data
-                }
-            })
-        } else if (error.request) {
-            return res.status(503).json({
-                error: {
-                    message: 'connection_error',
-                    type: 'connection_error',
-                    code: 503
-                }
-            })
-        } else {
-            return res.status(500).json({
-                error: {
-                    message: 'internal_error',
-                    type: 'internal_error',
-                    code: 500
-                }
-            })
+        logger.error(`CLI请求使用账号[${req.account.email}]处理异常 - 当前请求数: ${req.account.cli_info?.request_number}`, 'CLI', '💥', error.message)
+        if (res.headersSent) {
+            return res.end()
         }
+        return sendOpenAIError(res, 500, 'Internal server error.', { code: 'internal_error' })
     }
+
+    // 所有账户都已尝试，或者没有其他可用账户
+    if (!failure) {
+        return sendOpenAIError(res, 503, 'No CLI account is available, please try again later.', { code: 'no_available_account' })
+    }
+    return sendOpenAIError(res, failure.status, failure.message, { type: failure.type, code: failure.code })
 }
 
 module.exports = {
     handleCliChatCompletion
-}
\ No newline at end of file
+}
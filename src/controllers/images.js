@@ -0,0 +1,224 @@
+const axios = require('axios')
+const { generateImage } = require('./chat.image.video.js')
+const { parserModel, parseSizeRatio } = require('../utils/chat-helpers.js')
+const { uploadFileToQwenOss } = require('../utils/upload.js')
+const { generateUUID } = require('../utils/tools.js')
+const accountManager = require('../utils/account.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const { checkModelAllowed } = require('../middlewares/authorization.js')
+const { fetchPublicFile } = require('../utils/url-guard.js')
+const { logger } = require('../utils/logger')
+
+// 默认使用的生图模型
+const DEFAULT_IMAGE_MODEL = 'qwen-max-latest'
+// 单次请求最多生成的图片数量
+const MAX_IMAGES = 10
+
+/**
+ * 解析通用参数
+ * @param {object} body - 请求体
+ * @returns {object} 解析结果，参数无效时包含 error
+ */
+const parseImageOptions = (body) => {
+    const { prompt, model, size, n, response_format } = body
+
+    if (!prompt || typeof prompt !== 'string') {
+        return { error: 'prompt is required', param: 'prompt' }
+    }
+
+    const count = n === undefined || n === null || n === '' ? 1 : Number(n)
+    if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES) {
+        return { error: `n must be an integer between 1 and ${MAX_IMAGES}`, param: 'n' }
+    }
+
+    const format = response_format || 'url'
+    if (format !== 'url' && format !== 'b64_json') {
+        return { error: "response_format must be 'url' or 'b64_json'", param: 'response_format' }
+    }
+
+    const ratio = parseSizeRatio(size)
+    if (ratio === undefined) {
+        return { error: `Invalid size: ${size}`, param: 'size' }
+    }
+
+    return {
+        prompt,
+        model: model ? parserModel(model) : DEFAULT_IMAGE_MODEL,
+        size: ratio,
+        n: count,
+        response_format: format
+    }
+}
+
+/**
+ * 上传参考图片到千问OSS
+ * @param {Buffer} buffer - 图片数据
+ * @param {string} filename - 文件名
+ * @returns {Promise<string>} 图片URL
+ */
+const uploadImage = async (buffer, filename) => {
+    const uploadResult = await uploadFileToQwenOss(buffer, filename, accountManager.getAccountToken())
+    if (!uploadResult || uploadResult.status !== 200) {
+        throw new Error('图片上传失败')
+    }
+    return uploadResult.file_url
+}
+
+/**
+ * 将 JSON 请求中的图片（data URL 或公网 https URL）上传到千问OSS
+ * @param {string} source - 图片地址
+ * @returns {Promise<string>} 图片URL
+ */
+const uploadImageSource = async (source) => {
+    const match = source.match(/^data:(.+?);base64,(.*)$/)
+    if (match) {
+        const extension = match[1].split('/')[1] || 'png'
+        return uploadImage(Buffer.from(match[2], 'base64'), `${generateUUID()}.${extension}`)
+    }
+
+    let file
+    try {
+        file = await fetchPublicFile(source)
+    } catch (error) {
+        // 图片地址由客户端提供，下载失败时作为参数错误返回
+        error.param = 'image'
+        throw error
+    }
+    const { data, contentType } = file
+    const extension = (contentType || 'image/png').split('/')[1] || 'png'
+    return uploadImage(data, `${generateUUID()}.${extension}`)
+}
+
+/**
+ * 收集图片编辑请求中的参考图片
+ * 支持 multipart 上传的 image/image[] 字段，以及 JSON 中的 image / images[].image_url
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<Array<string>>} 图片URL
+ */
+const collectEditImages = async (req) => {
+    const images = []
+
+    const files = [...(req.files?.image || []), ...(req.files?.['image[]'] || [])]
+    for (const file of files) {
+        images.push(await uploadImage(file.buffer, file.originalname || `${generateUUID()}.png`))
+    }
+
+    const { image, images: imageList } = req.body
+    const sources = [
+        ...(Array.isArray(image) ? image : image ? [image] : []),
+        ...(Array.isArray(imageList) ? imageList.map(item => typeof item === 'string' ? item : item?.image_url) : [])
+    ].filter(source => typeof source === 'string' && source)
+
+    for (const source of sources) {
+        images.push(await uploadImageSource(source))
+    }
+
+    return images
+}
+
+/**
+ * 下载图片并转换为 base64
+ * @param {string} url - 图片URL
+ * @returns {Promise<string>} base64 数据
+ */
+const downloadImageBase64 = async (url) => {
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 60 * 1000
+    })
+    return Buffer.from(response.data).toString('base64')
+}
+
+/**
+ * 按参数生成图片并返回 OpenAI Images 格式的响应
+ * @param {object} res - Express 响应对象
+ * @param {object} options - parseImageOptions 的结果
+ * @param {Array<string>} images - 参考图片URL
+ */
+const respondWithImages = async (res, options, images = []) => {
+    const data = []
+    for (let i = 0; i < options.n; i++) {
+        const url = await generateImage({
+            model: options.model,
+            prompt: options.prompt,
+            size: options.size,
+            images
+        })
+        if (!url) {
+            throw new Error('上游未返回图片')
+        }
+        logger.info(`图片生成成功 (${i + 1}/${options.n}): ${url}`, 'IMAGE')
+
+        if (options.response_format === 'b64_json') {
+            data.push({ b64_json: await downloadImageBase64(url), revised_prompt: options.prompt })
+        } else {
+            data.push({ url, revised_prompt: options.prompt })
+        }
+    }
+
+    res.json({
+        created: Math.floor(Date.now() / 1000),
+        data
+    })
+}
+
+/**
+ * 图片生成接口 /v1/images/generations
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleImageGenerations = async (req, res) => {
+    const options = parseImageOptions(req.body || {})
+    if (options.error) {
+        return sendOpenAIError(res, 400, options.error, { param: options.param })
+    }
+    if (!checkModelAllowed(req, res, req.body.model || DEFAULT_IMAGE_MODEL)) {
+        return
+    }
+
+    try {
+        await respondWithImages(res, options)
+    } catch (error) {
+        logger.error('图片生成失败', 'IMAGE', '', error)
+        sendOpenAIError(res, 500, error.message || '图片生成失败')
+    }
+}
+
+/**
+ * 图片编辑接口 /v1/images/edits
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleImageEdits = async (req, res) => {
+    const options = parseImageOptions(req.body || {})
+    if (options.error) {
+        return sendOpenAIError(res, 400, options.error, { param: options.param })
+    }
+    if (!checkModelAllowed(req, res, req.body.model || DEFAULT_IMAGE_MODEL)) {
+        return
+    }
+    // 上游不支持蒙版编辑，忽略 mask 会得到与请求不同的结果；上传的 mask 文件由路由拒绝
+    if (req.body.mask) {
+        return sendOpenAIError(res, 400, 'mask is not supported by this model', { param: 'mask', code: 'unsupported_parameter' })
+    }
+
+    try {
+        const images = await collectEditImages(req)
+        if (images.length === 0) {
+            return sendOpenAIError(res, 400, 'image is required', { param: 'image' })
+        }
+
+        await respondWithImages(res, options, images)
+    } catch (error) {
+        logger.error('图片编辑失败', 'IMAGE', '', error)
+        if (error.param) {
+            return sendOpenAIError(res, 400, `Failed to download image: ${error.message}`, { param: error.param })
+        }
+        sendOpenAIError(res, 500, error.message || '图片编辑失败')
+    }
+}
+
+module.exports = {
+    handleImageGenerations,
+    handleImageEdits
+}
@@ -1,20 +1,51 @@
 const { getLatestModels } = require('../models/models-map.js')
+const { getCliModels } = require('../models/cli-models.js')
+const { getModelAliases, resolveModelAlias, isModelHidden } = require('../models/model-aliases.js')
 const config = require('../config/index.js')
+const apiKeyManager = require('../utils/api-keys.js')
 
-const handleGetModels = async (req, res) => {
+/**
+ * 生成模型列表中的一项，附带上下文长度和能力
+ * @param {object} model - 上游返回的模型
+ * @param {string} id - 模型ID
+ * @param {string} chatType - 对话类型：t2t、search、t2i、t2v 或 image_edit
+ * @param {boolean} reasoning - 是否支持输出思考过程
+ * @returns {object} 模型
+ */
+const toModelEntry = (model, id, chatType, reasoning) => {
+    const meta = model?.info?.meta || {}
+    const entry = JSON.parse(JSON.stringify(model))
+    delete entry.name
+    entry.id = id
+    entry.context_length = meta.max_context_length || null
+    entry.max_output_tokens = meta.max_generation_length || null
+    entry.capabilities = {
+        chat_type: chatType,
+        vision: Boolean(meta.capabilities?.vision),
+        reasoning: Boolean(reasoning),
+        tool_calls: chatType === 't2t' || chatType === 'search',
+        web_search: chatType === 'search'
+    }
+    return entry
+}
+
+/**
+ * 获取网页对话的模型及思考、搜索、图片、视频等变体
+ * @returns {Promise<Array>} 模型列表
+ */
+const getWebModels = async () => {
     const models = []
 
     const ModelsMap = await getLatestModels()
 
     for (const model of ModelsMap) {
-        delete model.name
-        models.push(model)
+        const isThinking = model?.info?.meta?.abilities?.thinking
+        models.push(toModelEntry(model, model.id, 't2t', isThinking))
 
         if (config.simpleModelMap) {
             continue
         }
 
-        const isThinking = model?.info?.meta?.abilities?.thinking
         const isSearch = model?.info?.meta?.chat_type?.includes('search')
         const isImage = model?.info?.meta?.chat_type?.includes('t2i')
         const isVideo = model?.info?.meta?.chat_type?.includes('t2v')
@@ -22,54 +53,88 @@ const handleGetModels = async (req, res) => {
         const isDeepResearch = model?.info?.meta?.chat_type?.includes('deep_research')
 
         if (isThinking) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-thinking`
-
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-thinking`, 't2t', true))
         }
 
         if (isSearch) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-search`
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-search`, 'search', false))
         }
 
         if (isThinking && isSearch) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-thinking-search`
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-thinking-search`, 'search', true))
         }
 
         if (isImage) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-image`
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-image`, 't2i', false))
         }
 
         if (isVideo) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-video`
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-video`, 't2v', false))
         }
 
         if (isImageEdit) {
-            const newModelData = JSON.parse(JSON.stringify(model))
-            newModelData.id = `${model.id}-image-edit`
-            models.push(newModelData)
+            models.push(toModelEntry(model, `${model.id}-image-edit`, 'image_edit', false))
         }
 
         // if (isDeepResearch) {
-        //     const newModelData = JSON.parse(JSON.stringify(model))
-        //     newModelData.id = `${model.id}-deep-research`
-        //     models.push(newModelData)
+        //     models.push(toModelEntry(model, `${model.id}-deep-research`, 'deep_research', false))
         // }
     }
+
+    return models
+}
+
+/**
+ * 生成别名对应的模型，复制目标模型的信息，root 为目标模型
+ * @param {Array} models - 已列出的模型
+ * @returns {Array} 别名模型列表
+ */
+const getAliasModels = (models) => {
+    const modelsById = new Map(models.map(model => [model.id, model]))
+    return Object.entries(getModelAliases()).map(([alias, { model }]) => {
+        const target = modelsById.get(model)
+        if (target) {
+            return { ...target, id: alias, root: model }
+        }
+        return { id: alias, object: 'model', created: 1719878112, owned_by: 'qwen', root: model }
+    })
+}
+
+/**
+ * 返回模型列表，只包含未隐藏且当前密钥可以使用的模型，别名按目标模型判断
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Array} models - 模型列表
+ */
+const sendModelList = (req, res, models) => {
+    const record = req.apiKeyRecord
+    const isAllowed = (id) => apiKeyManager.isModelAllowed(record, resolveModelAlias(id)?.model || id)
     res.json({
         "object": "list",
-        "data": models
+        "data": models.filter(model => !isModelHidden(model.id) && (!record || isAllowed(model.id)))
     })
 }
 
+const handleGetModels = async (req, res) => {
+    const models = await getWebModels()
+
+    // 配置了 CLI_MODEL_PREFIX 时同时列出 CLI 端点的模型，通过 /v1/chat/completions 转发到 CLI 端点
+    if (config.cliModelPrefix) {
+        const cliModels = await getCliModels()
+        for (const model of cliModels) {
+            models.push({ ...model, id: `${config.cliModelPrefix}${model.id}` })
+        }
+    }
+
+    models.push(...getAliasModels(models))
+    sendModelList(req, res, models)
+}
+
+const handleGetCliModels = async (req, res) => {
+    sendModelList(req, res, await getCliModels())
+}
+
 module.exports = {
-    handleGetModels
+    handleGetModels,
+    handleGetCliModels
 }
\ No newline at end of file
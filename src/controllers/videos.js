@@ -0,0 +1,89 @@
+const videoJobs = require('../utils/video-jobs.js')
+const { parserModel, parseSizeRatio } = require('../utils/chat-helpers.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const { checkModelAllowed } = require('../middlewares/authorization.js')
+const { assertPublicUrl } = require('../utils/url-guard.js')
+const { logger } = require('../utils/logger')
+
+// 默认使用的视频模型
+const DEFAULT_VIDEO_MODEL = 'qwen-max-latest'
+
+/**
+ * 判断回调地址是否为合法的公网 http(s) 地址，不允许指向本机、内网或链路本地地址
+ * @param {string} url - 回调地址
+ * @returns {Promise<boolean>} 是否合法
+ */
+const isValidCallbackUrl = async (url) => {
+    try {
+        await assertPublicUrl(url, ['http:', 'https:'])
+        return true
+    } catch (e) {
+        logger.warn(`拒绝回调地址 ${url}: ${e.message}`, 'VIDEO')
+        return false
+    }
+}
+
+/**
+ * 创建视频任务 POST /v1/videos
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleCreateVideo = async (req, res) => {
+    const { model, prompt, size, callback_url } = req.body || {}
+
+    if (!prompt || typeof prompt !== 'string') {
+        return sendOpenAIError(res, 400, 'prompt is required', { param: 'prompt' })
+    }
+
+    if (!checkModelAllowed(req, res, model || DEFAULT_VIDEO_MODEL)) {
+        return
+    }
+
+    const ratio = parseSizeRatio(size)
+    if (ratio === undefined) {
+        return sendOpenAIError(res, 400, `Invalid size: ${size}`, { param: 'size' })
+    }
+
+    if (callback_url && (typeof callback_url !== 'string' || !await isValidCallbackUrl(callback_url))) {
+        return sendOpenAIError(res, 400, 'callback_url must be a public http(s) URL', { param: 'callback_url' })
+    }
+
+    try {
+        const job = await videoJobs.createJob({
+            model: model ? parserModel(model) : DEFAULT_VIDEO_MODEL,
+            prompt,
+            size: ratio,
+            callback_url: callback_url || null,
+            api_key: req.apiKeyRecord?.key || ''
+        })
+        logger.info(`创建视频任务 ${job.id}`, 'VIDEO')
+        res.json(videoJobs.toPublic(job))
+    } catch (error) {
+        logger.error('创建视频任务失败', 'VIDEO', '', error)
+        sendOpenAIError(res, 500, '创建视频任务失败')
+    }
+}
+
+/**
+ * 查询视频任务 GET /v1/videos/:id
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ */
+const handleGetVideo = async (req, res) => {
+    try {
+        const job = await videoJobs.getJob(req.params.id)
+        // 其他 API Key 创建的任务按不存在处理
+        if (!job || job.api_key !== (req.apiKeyRecord?.key || '')) {
+            return sendOpenAIError(res, 404, `No video found with id '${req.params.id}'`, { code: 'not_found' })
+        }
+        res.json(videoJobs.toPublic(job))
+    } catch (error) {
+        logger.error('查询视频任务失败', 'VIDEO', '', error)
+        sendOpenAIError(res, 500, '查询视频任务失败')
+    }
+}
+
+module.exports = {
+    handleCreateVideo,
+    handleGetVideo
+}
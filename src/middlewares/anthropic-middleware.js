@@ -0,0 +1,174 @@
+const { fetchPublicFile } = require('../utils/url-guard.js')
+const { logger } = require('../utils/logger')
+
+/**
+ * 返回 Anthropic 格式的错误
+ * @param {object} res - Express 响应对象
+ * @param {number} status - HTTP 状态码
+ * @param {string} type - 错误类型
+ * @param {string} message - 错误信息
+ */
+const sendAnthropicError = (res, status, type, message) => {
+    res.status(status).json({
+        type: 'error',
+        error: {
+            type,
+            message
+        }
+    })
+}
+
+/**
+ * 提取 system 字段文本
+ * @param {string|Array} system - Anthropic system 字段
+ * @returns {string} system 文本
+ */
+const extractSystemText = (system) => {
+    if (typeof system === 'string') {
+        return system
+    } else if (Array.isArray(system)) {
+        return system.filter(item => item.type === 'text').map(item => item.text || '').join('\n')
+    }
+    return ''
+}
+
+/**
+ * 将 Anthropic 图片来源转换为 data URL，远程图片只允许公网 https 地址
+ * @param {object} source - 图片来源 { type: 'base64' | 'url', ... }
+ * @returns {Promise<string|null>} data URL
+ */
+const imageSourceToDataUrl = async (source) => {
+    if (!source) return null
+
+    if (source.type === 'base64' && source.data) {
+        return `data:${source.media_type || 'image/png'};base64,${source.data}`
+    }
+
+    if (source.type === 'url' && source.url) {
+        const { data, contentType } = await fetchPublicFile(source.url)
+        return `data:${contentType || 'image/png'};base64,${data.toString('base64')}`
+    }
+
+    return null
+}
+
+/**
+ * 将 tool_result 的内容展开为文本
+ * @param {string|Array} content - tool_result 内容
+ * @returns {string} 文本
+ */
+const toolResultToText = (content) => {
+    if (typeof content === 'string') {
+        return content
+    } else if (Array.isArray(content)) {
+        return content.filter(item => item.type === 'text').map(item => item.text || '').join('\n')
+    }
+    return ''
+}
+
+/**
+ * 将 Anthropic 内容块转换为 OpenAI 格式的消息内容
+ * @param {string|Array} content - Anthropic 消息内容
+ * @returns {Promise<string|Array>} OpenAI 格式内容
+ */
+const convertContentBlocks = async (content) => {
+    if (!Array.isArray(content)) {
+        return typeof content === 'string' ? content : ''
+    }
+
+    const parts = []
+    for (const block of content) {
+        if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text || '' })
+        } else if (block.type === 'image') {
+            try {
+                const url = await imageSourceToDataUrl(block.source)
+                if (url) {
+                    parts.push({ type: 'image_url', image_url: { url } })
+                }
+            } catch (error) {
+                logger.error('Anthropic 图片下载失败', 'ANTHROPIC', '', error)
+            }
+        } else if (block.type === 'tool_result') {
+            const text = toolResultToText(block.content)
+            if (text) {
+                parts.push({ type: 'text', text })
+            }
+        }
+    }
+    return parts
+}
+
+/**
+ * 将 Anthropic Messages 请求转换为 OpenAI 格式的中间件
+ * 原始参数保存在 req.anthropic 中供控制器使用，之后交给 processRequestBody 处理
+ */
+const convertAnthropicRequest = async (req, res, next) => {
+    try {
+        const {
+            model,              // 模型
+            system,             // 系统提示
+            messages,           // 消息历史
+            max_tokens,         // 最大输出token
+            stop_sequences,     // 停止序列
+            stream,             // 流式输出
+            thinking            // 思考配置
+        } = req.body || {}
+
+        if (!model) {
+            return sendAnthropicError(res, 400, 'invalid_request_error', 'model: Field required')
+        }
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return sendAnthropicError(res, 400, 'invalid_request_error', 'messages: Field required')
+        }
+        if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+            return sendAnthropicError(res, 400, 'invalid_request_error', 'max_tokens: must be a positive integer')
+        }
+
+        const openaiMessages = []
+        const systemText = extractSystemText(system)
+        if (systemText) {
+            openaiMessages.push({ role: 'system', content: systemText })
+        }
+
+        for (const message of messages) {
+            openaiMessages.push({
+                role: message.role,
+                content: await convertContentBlocks(message.content)
+            })
+        }
+
+        req.anthropic = {
+            model,
+            stream: stream === true || stream === 'true',
+            max_tokens,
+            stop_sequences: Array.isArray(stop_sequences) ? stop_sequences : [],
+            // 仅保留文本用于token统计，避免图片数据被计入
+            prompt_messages: openaiMessages.map(message => ({
+                role: message.role,
+                content: typeof message.content === 'string'
+                    ? message.content
+                    : message.content.filter(item => item.type === 'text').map(item => item.text).join('\n')
+            }))
+        }
+
+        // 上游始终使用流式请求，由控制器按客户端需求聚合或转发
+        req.body = {
+            model,
+            messages: openaiMessages,
+            stream: true,
+            enable_thinking: thinking?.type === 'enabled',
+            thinking_budget: thinking?.budget_tokens
+        }
+
+        next()
+    } catch (e) {
+        logger.error('转换 Anthropic 请求时发生错误', 'ANTHROPIC', '', e)
+        sendAnthropicError(res, 500, 'api_error', '在处理请求体时发生错误')
+    }
+}
+
+module.exports = {
+    convertAnthropicRequest,
+    sendAnthropicError
+}
@@ -1,39 +1,96 @@
-const config = require('../config')
+const apiKeyManager = require('../utils/api-keys')
+const { sendOpenAIError } = require('../utils/openai-error')
+
+/**
+ * 从请求头中提取API Key
+ * @param {object} req - Express 请求对象
+ * @returns {string|undefined} API Key（可能带 Bearer 前缀）
+ */
+const getRequestApiKey = (req) => {
+  return req.headers['authorization'] || req.headers['Authorization'] || req.headers['x-api-key']
+}
 
 /**
  * 验证API Key是否有效
  * @param {string} providedKey - 提供的API Key
- * @returns {Object} 验证结果 { isValid: boolean, isAdmin: boolean }
+ * @returns {Object} 验证结果 { isValid: boolean, isAdmin: boolean, record: object|null }
  */
 const validateApiKey = (providedKey) => {
   if (!providedKey) {
-    return { isValid: false, isAdmin: false }
+    return { isValid: false, isAdmin: false, record: null }
   }
 
   // 移除Bearer前缀
   const cleanKey = providedKey.startsWith('Bearer ') ? providedKey.slice(7) : providedKey
 
   // 检查是否在有效的API keys列表中
-  const isValid = config.apiKeys.includes(cleanKey)
-  const isAdmin = cleanKey === config.adminKey
+  const record = apiKeyManager.getRecord(cleanKey)
+  const isValid = !!record
+  const isAdmin = isValid && record.isAdmin
+
+  return { isValid, isAdmin, record }
+}
 
-  return { isValid, isAdmin }
+/**
+ * 检查当前密钥是否允许使用实际请求的模型，不允许时返回 403
+ * @param {object} req - Express 请求对象，需已通过 apiKeyVerify
+ * @param {object} res - Express 响应对象
+ * @param {string} model - 解析别名并补充默认值后的模型
+ * @returns {boolean} 是否允许
+ */
+const checkModelAllowed = (req, res, model) => {
+  if (req.apiKeyRecord && !apiKeyManager.isModelAllowed(req.apiKeyRecord, model)) {
+    sendOpenAIError(res, 403, `The API key is not allowed to use model '${model || ''}'.`, { param: 'model', code: 'model_not_allowed' })
+    return false
+  }
+  return true
 }
 
 /**
  * API Key验证中间件 - 验证任何有效的API Key
+ * 同时检查过期时间、请求频率、每日token和并发流限制，模型白名单由 modelAllowlistVerify 在解析别名后检查
  */
 const apiKeyVerify = (req, res, next) => {
-  const apiKey = req.headers['authorization'] || req.headers['Authorization'] || req.headers['x-api-key']
-  const { isValid, isAdmin } = validateApiKey(apiKey)
+  const apiKey = getRequestApiKey(req)
+  const { isValid, isAdmin, record } = validateApiKey(apiKey)
 
   if (!isValid) {
     return res.status(401).json({ error: 'Unauthorized' })
   }
 
+  if (apiKeyManager.isExpired(record)) {
+    return sendOpenAIError(res, 401, 'The API key has expired.', { code: 'api_key_expired' })
+  }
+
+  const stream = req.body?.stream === true || req.body?.stream === 'true'
+  const limit = apiKeyManager.consume(record, stream)
+  res.set(limit.headers)
+
+  if (!limit.allowed) {
+    res.set('retry-after', String(limit.retryAfter))
+    return sendOpenAIError(res, 429, limit.message, { type: limit.type, code: 'rate_limit_exceeded' })
+  }
+
+  // 连接结束（完成或客户端断开）时释放并发流
+  if (stream) {
+    res.once('close', () => apiKeyManager.releaseStream(record.key))
+  }
+
   // 将权限信息附加到请求对象
   req.isAdmin = isAdmin
   req.apiKey = apiKey
+  req.apiKeyRecord = record
+  next()
+}
+
+/**
+ * 模型白名单验证中间件，检查请求体中的模型，需放在 applyModelAlias 之后
+ * 模型有默认值的接口（如图片、视频）由控制器补充默认值后调用 checkModelAllowed
+ */
+const modelAllowlistVerify = (req, res, next) => {
+  if (!checkModelAllowed(req, res, req.body?.model)) {
+    return
+  }
   next()
 }
 
@@ -41,8 +98,8 @@ const apiKeyVerify = (req, res, next) => {
  * 管理员权限验证中间件 - 只允许管理员API Key
  */
 const adminKeyVerify = (req, res, next) => {
-  const apiKey = req.headers['authorization'] || req.headers['Authorization'] || req.headers['x-api-key']
-  const { isValid, isAdmin } = validateApiKey(apiKey)
+  const apiKey = getRequestApiKey(req)
+  const { isValid, isAdmin, record } = validateApiKey(apiKey)
 
   if (!isValid || !isAdmin) {
     return res.status(403).json({ error: 'Admin access required' })
@@ -50,12 +107,14 @@ const adminKeyVerify = (req, res, next) => {
 
   req.isAdmin = isAdmin
   req.apiKey = apiKey
+  req.apiKeyRecord = record
   next()
 }
 
 module.exports = {
   apiKeyVerify,
+  modelAllowlistVerify,
+  checkModelAllowed,
   adminKeyVerify,
   validateApiKey
 }
-
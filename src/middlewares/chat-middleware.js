@@ -1,13 +1,53 @@
 const { generateUUID } = require('../utils/tools.js')
-const { isChatType, isThinkingEnabled, parserModel, parserMessages } = require('../utils/chat-helpers.js')
+const { isChatType, isThinkingEnabled, getReasoningFormat, parseGenerationParams, parserModel, parserMessages } = require('../utils/chat-helpers.js')
+const { buildToolPrompt, renderToolMessages, injectToolPrompt } = require('../utils/tool-calls.js')
+const { parseResponseFormat, buildJsonPrompt } = require('../utils/structured-output.js')
+const { findConversation } = require('../utils/conversation.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const config = require('../config/index.js')
 const { logger } = require('../utils/logger')
 
+/**
+ * 查找上游会话的中间件
+ * 客户端指定 conversation_id（或 x-conversation-id 请求头），或开启 CONVERSATION_MODE 时生效
+ * 命中的会话保存在 req.conversation 中，由 processRequestBody 只发送新的消息
+ * 会话按 API Key 隔离，其他 API Key 无法通过相同的会话ID或消息历史续写
+ */
+const resolveConversation = (req, res, next) => {
+  const { messages, model } = req.body || {}
+  const conversation_id = req.body?.conversation_id || req.headers['x-conversation-id'] || null
+  const chat_type = isChatType(model)
+
+  if (!conversation_id && !config.conversationMode) {
+    return next()
+  }
+  if (!Array.isArray(messages) || messages.length === 0 || (chat_type !== 't2t' && chat_type !== 'search')) {
+    return next()
+  }
+
+  req.conversation = findConversation(messages, model, conversation_id ? String(conversation_id) : null, req.apiKeyRecord?.key || '')
+  if (req.conversation.session) {
+    logger.info(`续写上游会话 ${req.conversation.session.chat_id}，新消息 ${req.conversation.newMessages.length} 条`, 'CONVERSATION')
+  }
+  next()
+}
+
 /**
  * 处理聊天请求体的中间件
  * 解析和转换请求参数为内部格式
  */
 const processRequestBody = async (req, res, next) => {
   try {
+    // 校验采样和长度参数，上游网页对话不支持这些参数，stop 和 max_tokens 由代理模拟
+    const { params: generation, error } = parseGenerationParams(req.body)
+    if (error) {
+      return sendOpenAIError(res, 400, error.message, { param: error.param })
+    }
+    const { format: responseFormat, error: formatError } = parseResponseFormat(req.body.response_format)
+    if (formatError) {
+      return sendOpenAIError(res, 400, formatError, { param: 'response_format' })
+    }
+
     // 构建请求体
     const body = {
       "stream": true,
@@ -28,7 +68,11 @@ const processRequestBody = async (req, res, next) => {
       stream,              // 流式输出
       enable_thinking,     // 是否启用思考
       thinking_budget,      // 思考预算
-      size                  //图片尺寸
+      size,                 //图片尺寸
+      tools,                // 工具定义
+      tool_choice,          // 工具选择策略
+      functions,            // 旧版函数定义
+      reasoning_format      // 思考输出方式
     } = req.body
 
     // 处理 stream 参数
@@ -46,11 +90,46 @@ const processRequestBody = async (req, res, next) => {
     // 处理 model 参数 : 模型
     body.model = parserModel(model)
     
-    // 处理 messages 参数 : 消息历史
-    body.messages = await parserMessages(messages, isThinkingEnabled(model, enable_thinking, thinking_budget), body.chat_type)
+    // 处理 tools 参数 : 将工具定义注入提示词，并将工具调用历史渲染为文本
+    if (!tools && Array.isArray(functions)) {
+      tools = functions.map(item => ({ type: 'function', function: item }))
+    }
+    req.tools = Array.isArray(tools) && tools.length > 0 && tool_choice !== 'none' ? tools : null
+    if (Array.isArray(messages)) {
+      messages = renderToolMessages(messages)
+    }
+    if (req.tools && Array.isArray(messages)) {
+      messages = injectToolPrompt(messages, buildToolPrompt(req.tools, tool_choice))
+    }
+
+    // 处理 response_format 参数 : 将 JSON 格式要求注入提示词，同时使用工具时按普通对话处理
+    const jsonMode = Boolean(responseFormat) && !req.tools && (body.chat_type === 't2t' || body.chat_type === 'search')
+    if (jsonMode && Array.isArray(messages)) {
+      messages = injectToolPrompt(messages, buildJsonPrompt(responseFormat))
+      // 修正回答时需要重新发送完整历史，JSON 模式不续写上游会话
+      req.conversation = null
+    }
+
+    // 处理 messages 参数 : 消息历史，续写上游会话时只发送新的消息
+    const thinking_config = isThinkingEnabled(model, enable_thinking, thinking_budget)
+    const conversation = req.conversation
+    if (conversation?.session) {
+      // 保留完整历史，会话失效时回退为扁平化请求
+      conversation.fallback = { messages: structuredClone(messages), thinking_config, chat_type: body.chat_type }
+      body.messages = await parserMessages(renderToolMessages(conversation.newMessages), thinking_config, body.chat_type)
+    } else {
+      body.messages = await parserMessages(messages, thinking_config, body.chat_type)
+    }
+    // 保留完整历史，由控制器在回答不符合格式时追加修正提示后重新请求
+    req.structured_output = jsonMode && Array.isArray(messages)
+      ? { format: responseFormat, messages: structuredClone(messages), thinking_config, chat_type: body.chat_type }
+      : null
     
     // 处理 enable_thinking 参数 : 是否启用思考
     req.enable_thinking = isThinkingEnabled(model, enable_thinking, thinking_budget).thinking_enabled
+
+    // 处理 reasoning_format 参数 : 思考输出方式
+    req.reasoning_format = getReasoningFormat(reasoning_format)
     
     // 处理 sub_chat_type 参数 : 子聊天类型
     body.sub_chat_type = body.chat_type
@@ -60,6 +139,12 @@ const processRequestBody = async (req, res, next) => {
       body.size = size
     }
 
+    // 处理 stop 和 max_tokens 参数 : 由控制器截断输出
+    req.output_limit = {
+      stop: generation.stop || [],
+      maxTokens: generation.max_tokens || null
+    }
+
     // 处理请求体,将body赋值给req.body
     req.body = body
 
@@ -75,5 +160,6 @@ const processRequestBody = async (req, res, next) => {
 }
 
 module.exports = {
+  resolveConversation,
   processRequestBody
 }
@@ -0,0 +1,41 @@
+const accountManager = require('../utils/account.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const { logger } = require('../utils/logger')
+
+/**
+ * 获取请求次数最少的可用CLI账户，多进程部署时请求次数为所有进程的合计
+ * 同时在后台为一个尚未初始化CLI的账户进行初始化
+ * @returns {Promise<Object|null>} 账户对象，没有可用账户时返回 null
+ */
+const acquireCliAccount = async () => {
+  // 异步初始化新账号（不阻塞当前请求）
+  const noCliAccount = accountManager.accountTokens.filter(account => !account.cli_info)
+  if (noCliAccount.length > 0) {
+    const randomNewAccount = noCliAccount[Math.floor(Math.random() * noCliAccount.length)]
+    // 异步初始化，不等待结果
+    accountManager.initializeCliForAccount(randomNewAccount).catch(error => {
+      logger.error(`异步初始化CLI账户失败 (${randomNewAccount.email})`, 'CLI', '', error)
+    })
+  }
+
+  return accountManager.getCliAccount()
+}
+
+/**
+ * 选择CLI账户的中间件
+ * 选中的账户保存在 req.account 中，没有可用账户时返回 503
+ */
+const selectCliAccount = async (req, res, next) => {
+  const account = await acquireCliAccount()
+  if (!account) {
+    return sendOpenAIError(res, 503, 'No CLI account is available, please try again later.', { code: 'no_available_account' })
+  }
+
+  req.account = account
+  next()
+}
+
+module.exports = {
+  acquireCliAccount,
+  selectCliAccount
+}
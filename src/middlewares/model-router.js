@@ -0,0 +1,139 @@
+const config = require('../config/index.js')
+const accountManager = require('../utils/account.js')
+const { acquireCliAccount } = require('./cli-middleware.js')
+const { handleCliChatCompletion } = require('../controllers/cli.chat.js')
+const { getCliModels, isCliModelAvailable } = require('../models/cli-models.js')
+const { resolveModelAlias } = require('../models/model-aliases.js')
+const { recordModelRoute } = require('../utils/metrics')
+const { patternToRegExp } = require('../utils/tools.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+const { logger } = require('../utils/logger')
+
+// 可选的后端：web 为网页对话，cli 为 CLI 端点
+const BACKENDS = ['web', 'cli']
+
+// 最近一次解析的 MODEL_ROUTES 及其规则
+let parsedSource = null
+let parsedRules = []
+
+/**
+ * 解析 MODEL_ROUTES，规则以逗号或换行分隔，格式为 模型=后端，模型支持 * 通配符
+ * @param {string} source - 规则文本，如 qwen3-coder-*=cli,*=web
+ * @returns {Array} [{ pattern, backend, regex }]
+ */
+const parseRoutes = (source) => {
+  const rules = []
+  for (const item of source.split(/\r?\n|,/).map(rule => rule.trim()).filter(Boolean)) {
+    const index = item.lastIndexOf('=')
+    const pattern = item.slice(0, index).trim()
+    const backend = item.slice(index + 1).trim().toLowerCase()
+    if (index <= 0 || !pattern || !BACKENDS.includes(backend)) {
+      logger.warn(`忽略无效的模型路由规则: ${item}`, 'ROUTER')
+      continue
+    }
+
+    rules.push({ pattern, backend, regex: patternToRegExp(pattern) })
+  }
+  return rules
+}
+
+/**
+ * 确定模型的首选后端
+ * 带 CLI_MODEL_PREFIX 前缀的模型去掉前缀后使用 CLI 端点，其他模型使用第一条匹配的规则，没有匹配时使用网页对话
+ * @param {string} model - 请求的模型
+ * @returns {{backend: string, model: string, prefixed: boolean}} 后端和转发给后端的模型
+ */
+const resolveRoute = (model) => {
+  if (config.cliModelPrefix && model.startsWith(config.cliModelPrefix)) {
+    return { backend: 'cli', model: model.slice(config.cliModelPrefix.length), prefixed: true }
+  }
+
+  if (config.modelRoutes !== parsedSource) {
+    parsedSource = config.modelRoutes
+    parsedRules = parseRoutes(config.modelRoutes || '')
+  }
+  const rule = parsedRules.find(rule => rule.regex.test(model))
+  return { backend: rule ? rule.backend : 'web', model, prefixed: false }
+}
+
+/**
+ * 转发到 CLI 端点
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Object} account - 选中的CLI账户
+ * @param {string} model - 转发给 CLI 端点的模型
+ * @param {boolean} fallback - 是否为回退
+ */
+const dispatchToCli = (req, res, account, model, fallback) => {
+  recordModelRoute('cli', fallback)
+  req.body.model = model
+  req.account = account
+  return handleCliChatCompletion(req, res)
+}
+
+/**
+ * 解析模型别名的中间件
+ * 将别名替换为目标模型，并补充请求中未指定的默认参数
+ */
+const applyModelAlias = (req, res, next) => {
+  const alias = resolveModelAlias(req.body?.model)
+  if (alias) {
+    req.body.model = alias.model
+    for (const [key, value] of Object.entries(alias.params)) {
+      if (req.body[key] === undefined) {
+        req.body[key] = value
+      }
+    }
+  }
+  next()
+}
+
+/**
+ * 按模型选择后端的中间件
+ * 使用网页对话时交给后续中间件处理，使用 CLI 端点时直接转发；
+ * 首选后端没有可用账户时回退到另一个后端
+ */
+const routeModel = async (req, res, next) => {
+  const requestedModel = req.body?.model
+  if (typeof requestedModel !== 'string' || !requestedModel) {
+    return next()
+  }
+
+  const { backend, model, prefixed } = resolveRoute(requestedModel)
+
+  // 按规则使用 CLI 端点，但 CLI 端点不提供该模型时使用网页对话
+  if (backend === 'cli' && (prefixed || await isCliModelAvailable(model))) {
+    const account = await acquireCliAccount()
+    if (account) {
+      return dispatchToCli(req, res, account, model, false)
+    }
+
+    if (!accountManager.hasAvailableAccount()) {
+      return sendOpenAIError(res, 503, 'No CLI account is available, please try again later.', { code: 'no_available_account' })
+    }
+    logger.warn(`CLI端点没有可用账户，模型 ${model} 回退到网页对话`, 'ROUTER')
+    recordModelRoute('web', true)
+    req.body.model = model
+    return next()
+  }
+
+  if (accountManager.hasAvailableAccount()) {
+    recordModelRoute('web', false)
+    return next()
+  }
+
+  // 网页对话没有可用账户时，CLI 端点提供该模型则回退到 CLI 端点
+  const cliModels = await getCliModels()
+  const account = cliModels.some(item => item.id === model) ? await acquireCliAccount() : null
+  if (!account) {
+    recordModelRoute('web', false)
+    return next()
+  }
+  logger.warn(`网页对话没有可用账户，模型 ${model} 回退到CLI端点`, 'ROUTER')
+  return dispatchToCli(req, res, account, model, true)
+}
+
+module.exports = {
+  applyModelAlias,
+  routeModel
+}
@@ -0,0 +1,131 @@
+const axios = require('axios')
+const accountManager = require('../utils/account.js')
+const config = require('../config/index.js')
+const { getAxiosProxyConfig } = require('../utils/proxy-agent')
+const { logger } = require('../utils/logger')
+
+// 尚未从上游获取到模型列表时返回的模型
+const DEFAULT_CLI_MODELS = ['qwen3-coder-plus', 'qwen3-coder-flash']
+// 获取失败后至少间隔多久再重试
+const RETRY_INTERVAL = 60 * 1000
+// 上游未返回上下文长度时使用的默认值
+const CLI_CONTEXT_LENGTH = 256 * 1024
+
+let cachedModels = null
+let fetchPromise = null
+// 最近一次成功获取模型列表的时间和最近一次失败的原因
+let fetchedAt = null
+let lastError = null
+let lastFailedAt = 0
+
+/**
+ * 转换为 OpenAI 格式的模型
+ * @param {object|string} model - 上游返回的模型或模型ID
+ * @returns {object} { id, object, created, owned_by, context_length, capabilities }
+ */
+const toOpenAIModel = (model) => {
+    const id = typeof model === 'string' ? model : model.id
+    return {
+        id,
+        object: 'model',
+        created: model.created || 1719878112,
+        owned_by: model.owned_by || 'qwen-code',
+        context_length: model.context_length || model.max_model_len || CLI_CONTEXT_LENGTH,
+        capabilities: {
+            chat_type: 't2t',
+            vision: false,
+            reasoning: false,
+            tool_calls: true,
+            web_search: false
+        }
+    }
+}
+
+/**
+ * 从 portal 获取 CLI 端点可用的模型列表
+ * @returns {Promise<Array>} 模型列表，获取失败时返回缓存或默认模型
+ */
+const fetchCliModels = async () => {
+    const account = accountManager.accountTokens.find(acc => acc.cli_info && acc.cli_info.access_token)
+    if (!account) {
+        lastError = '没有可用的CLI账户'
+        lastFailedAt = Date.now()
+        return cachedModels || DEFAULT_CLI_MODELS.map(toOpenAIModel)
+    }
+
+    try {
+        const response = await axios.get('https://portal.qwen.ai/v1/models', {
+            headers: {
+                'Authorization': `Bearer ${account.cli_info.access_token}`,
+                'Accept': 'application/json'
+            },
+            timeout: 30 * 1000,
+            ...getAxiosProxyConfig(accountManager.getProxyForAccount(account.email))
+        })
+        const models = response.data?.data
+        if (!Array.isArray(models) || models.length === 0) {
+            throw new Error('上游返回的模型列表为空')
+        }
+
+        cachedModels = models.filter(model => model && model.id).map(toOpenAIModel)
+        fetchedAt = Date.now()
+        lastError = null
+        logger.info(`已获取 ${cachedModels.length} 个CLI模型`, 'CLI')
+    } catch (error) {
+        lastError = error.message
+        lastFailedAt = Date.now()
+        logger.error(`获取CLI模型列表失败: ${error.message}`, 'CLI')
+    }
+    return cachedModels || DEFAULT_CLI_MODELS.map(toOpenAIModel)
+}
+
+/**
+ * 获取 CLI 端点的模型列表，缓存超过 CLI_MODELS_TTL 后重新获取
+ * 已有缓存时在后台刷新并先返回缓存
+ * @param {boolean} force - 是否强制刷新并等待结果
+ * @returns {Promise<Array>} OpenAI 格式的模型列表
+ */
+const getCliModels = async (force = false) => {
+    const expired = !fetchedAt || Date.now() - fetchedAt > config.cliModelsTTL * 1000
+    const retryable = Date.now() - lastFailedAt > RETRY_INTERVAL
+    if (!force && (!expired || !retryable)) {
+        return cachedModels || DEFAULT_CLI_MODELS.map(toOpenAIModel)
+    }
+
+    // 如果正在获取，复用当前的 Promise
+    if (!fetchPromise) {
+        fetchPromise = fetchCliModels().finally(() => {
+            fetchPromise = null
+        })
+    }
+    return cachedModels && !force ? cachedModels : fetchPromise
+}
+
+/**
+ * 检查 CLI 端点是否提供指定模型
+ * 尚未从上游获取到模型列表时不做限制，避免上游故障时拒绝所有请求
+ * @param {string} model - 模型ID
+ * @returns {Promise<boolean>} 是否提供
+ */
+const isCliModelAvailable = async (model) => {
+    const models = await getCliModels()
+    if (!cachedModels) {
+        return true
+    }
+    return models.some(item => item.id === model)
+}
+
+/**
+ * 获取 CLI 模型列表缓存状态
+ * @returns {{cached: boolean, count: number, fetchedAt: number|null, lastError: string|null}} 缓存状态
+ */
+const getCliModelsCacheStatus = () => {
+    return {
+        cached: Array.isArray(cachedModels),
+        count: Array.isArray(cachedModels) ? cachedModels.length : 0,
+        fetchedAt,
+        lastError
+    }
+}
+
+module.exports = { getCliModels, isCliModelAvailable, getCliModelsCacheStatus }
@@ -0,0 +1,117 @@
+const config = require('../config/index.js')
+const { patternToRegExp } = require('../utils/tools.js')
+const { logger } = require('../utils/logger')
+
+// 最近一次解析的配置，配置被管理员修改后重新解析
+let parsedAliasesSource = null
+let parsedAliases = {}
+let parsedHiddenSource = null
+let parsedHidden = []
+
+/**
+ * 校验并规范化模型别名
+ * 值可以是目标模型，或 { model, params }，params 为请求未指定时使用的默认参数
+ * @param {object} aliases - { 别名: 目标模型 | { model, params } }
+ * @returns {object} { 别名: { model, params } }
+ * @throws {Error} 格式无效时抛出
+ */
+const normalizeModelAliases = (aliases) => {
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+        throw new Error('模型别名必须是对象')
+    }
+
+    const normalized = {}
+    for (const [alias, value] of Object.entries(aliases)) {
+        const target = typeof value === 'string' ? { model: value } : value
+        const name = alias.trim()
+        if (!name || !target || typeof target.model !== 'string' || !target.model.trim()) {
+            throw new Error(`模型别名 ${alias} 缺少目标模型`)
+        }
+        if (target.params !== undefined && (!target.params || typeof target.params !== 'object' || Array.isArray(target.params))) {
+            throw new Error(`模型别名 ${alias} 的默认参数必须是对象`)
+        }
+        if (target.model.trim() === name) {
+            throw new Error(`模型别名 ${alias} 不能指向自身`)
+        }
+
+        const params = { ...(target.params || {}) }
+        delete params.model
+        normalized[name] = { model: target.model.trim(), params }
+    }
+    return normalized
+}
+
+/**
+ * 获取当前的模型别名，忽略配置中无效的别名
+ * @returns {object} { 别名: { model, params } }
+ */
+const getModelAliases = () => {
+    if (config.modelAliases === parsedAliasesSource) {
+        return parsedAliases
+    }
+    parsedAliasesSource = config.modelAliases
+    parsedAliases = {}
+
+    let raw
+    try {
+        raw = typeof config.modelAliases === 'string' ? JSON.parse(config.modelAliases || '{}') : config.modelAliases
+    } catch (error) {
+        logger.error(`MODEL_ALIASES 不是有效的 JSON: ${error.message}`, 'MODELS')
+        return parsedAliases
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        logger.error('MODEL_ALIASES 必须是对象', 'MODELS')
+        return parsedAliases
+    }
+
+    for (const [alias, value] of Object.entries(raw)) {
+        try {
+            Object.assign(parsedAliases, normalizeModelAliases({ [alias]: value }))
+        } catch (error) {
+            logger.warn(`忽略无效的模型别名: ${error.message}`, 'MODELS')
+        }
+    }
+    return parsedAliases
+}
+
+/**
+ * 查找模型别名，别名只解析一层
+ * @param {string} model - 请求的模型
+ * @returns {{model: string, params: object}|null} 目标模型和默认参数，不是别名时返回 null
+ */
+const resolveModelAlias = (model) => {
+    if (typeof model !== 'string') {
+        return null
+    }
+    const aliases = getModelAliases()
+    return Object.prototype.hasOwnProperty.call(aliases, model) ? aliases[model] : null
+}
+
+/**
+ * 获取不在模型列表中显示的模型规则
+ * @returns {Array<string>} 规则列表
+ */
+const getHiddenModels = () => {
+    if (config.hiddenModels !== parsedHiddenSource) {
+        parsedHiddenSource = config.hiddenModels
+        parsedHidden = String(config.hiddenModels || '').split(/\r?\n|,/).map(item => item.trim()).filter(Boolean)
+    }
+    return parsedHidden
+}
+
+/**
+ * 模型是否不在模型列表中显示，隐藏的模型仍然可以请求
+ * @param {string} model - 模型ID
+ * @returns {boolean} 是否隐藏
+ */
+const isModelHidden = (model) => {
+    return getHiddenModels().some(pattern => patternToRegExp(pattern).test(model))
+}
+
+module.exports = {
+    normalizeModelAliases,
+    getModelAliases,
+    resolveModelAlias,
+    getHiddenModels,
+    isModelHidden
+}
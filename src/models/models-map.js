@@ -1,46 +1,126 @@
 const axios = require('axios')
 const accountManager = require('../utils/account.js')
 const config = require('../config/index.js')
+const { getAxiosProxyConfig } = require('../utils/proxy-agent')
+const { getCliModels } = require('./cli-models.js')
+const clusterState = require('../utils/cluster-state')
+const { logger } = require('../utils/logger')
+
+// 管理员刷新模型列表时通知其他进程的事件
+const MODELS_REFRESH_EVENT = 'models-refresh'
+// 获取失败后至少间隔多久再重试
+const RETRY_INTERVAL = 60 * 1000
 
 let cachedModels = null
 let fetchPromise = null
+// 最近一次成功获取模型列表的时间和最近一次失败的原因
+let fetchedAt = null
+let lastError = null
+let lastFailedAt = 0
+let refreshTimer = null
 
+/**
+ * 获取网页对话的模型列表，缓存超过 MODELS_TTL 后重新获取
+ * 已有缓存时在后台刷新并先返回缓存
+ * @param {boolean} force - 是否强制刷新并等待结果
+ * @returns {Promise<Array>} 上游模型列表，从未获取成功时为空数组
+ */
 const getLatestModels = async (force = false) => {
-    // 如果有缓存且不强制刷新，直接返回
-    if (cachedModels && !force) {
+    const expired = !fetchedAt || Date.now() - fetchedAt > config.modelsTTL * 1000
+    const retryable = Date.now() - lastFailedAt > RETRY_INTERVAL
+    // 如果有未过期的缓存且不强制刷新，直接返回
+    if (cachedModels && !force && (!expired || !retryable)) {
         return cachedModels
     }
-    
-    // 如果正在获取，返回当前的 Promise
-    if (fetchPromise) {
-        return fetchPromise
+
+    // 如果正在获取，复用当前的 Promise
+    if (!fetchPromise) {
+        fetchPromise = fetchLatestModels().finally(() => {
+            fetchPromise = null
+        })
     }
-    
+    return cachedModels && !force ? cachedModels : fetchPromise
+}
+
+/**
+ * 从上游获取模型列表
+ * @returns {Promise<Array>} 模型列表，获取失败时返回缓存或空数组
+ */
+const fetchLatestModels = () => {
     const account = accountManager.getNextAccount();
     if (!account) {
         console.error('No account available to fetch latest models.');
-        return Promise.resolve([]);
+        lastFailedAt = Date.now()
+        return Promise.resolve(cachedModels || []);
     }
 
-    fetchPromise = axios.get('https://chat.qwen.ai/api/models', {
+    return axios.get('https://chat.qwen.ai/api/models', {
         headers: {
             'Authorization': `Bearer ${account.token}`,
             'Content-Type': 'application/json',
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
             ...(config.ssxmodItna && { 'Cookie': `ssxmod_itna=${config.ssxmodItna};ssxmod_itna2=${config.ssxmodItna2}` })
-        }
+        },
+        ...getAxiosProxyConfig(accountManager.getProxyForAccount(account.email))
     }).then(response => {
         // console.log(response)
         cachedModels = response.data.data
-        fetchPromise = null
+        fetchedAt = Date.now()
+        lastError = null
         return cachedModels
     }).catch(error => {
         console.error('Error fetching latest models:', error)
-        fetchPromise = null
-        return []
+        lastError = error.message
+        lastFailedAt = Date.now()
+        return cachedModels || []
     })
-    
-    return fetchPromise
 }
 
-module.exports = { getLatestModels }
\ No newline at end of file
+/**
+ * 立即刷新网页对话和 CLI 端点的模型列表，并通知其他进程刷新
+ * @param {boolean} broadcast - 是否通知其他进程
+ * @returns {Promise<{models: number, cliModels: number}>} 刷新后的模型数量
+ */
+const refreshModels = async (broadcast = true) => {
+    const [models, cliModels] = await Promise.all([getLatestModels(true), getCliModels(true)])
+    if (broadcast) {
+        await clusterState.publish(MODELS_REFRESH_EVENT)
+    }
+    return { models: models.length, cliModels: cliModels.length }
+}
+
+/**
+ * 按 MODELS_TTL 定时在后台刷新模型列表，每个进程各自刷新
+ */
+const startModelsRefresh = () => {
+    if (refreshTimer || !(config.modelsTTL > 0)) {
+        return
+    }
+    refreshTimer = setInterval(() => {
+        getLatestModels(true).catch(error => {
+            logger.error('定时刷新模型列表失败', 'MODELS', '', error)
+        })
+    }, config.modelsTTL * 1000)
+    refreshTimer.unref()
+}
+
+clusterState.on(MODELS_REFRESH_EVENT, () => {
+    refreshModels(false).catch(error => {
+        logger.error('同步刷新模型列表失败', 'MODELS', '', error)
+    })
+})
+
+/**
+ * 获取模型列表缓存状态
+ * @returns {{cached: boolean, count: number, fetchedAt: number|null, lastError: string|null}} 缓存状态
+ */
+const getModelsCacheStatus = () => {
+    return {
+        cached: Array.isArray(cachedModels),
+        count: Array.isArray(cachedModels) ? cachedModels.length : 0,
+        fetchedAt,
+        lastError
+    }
+}
+
+module.exports = { getLatestModels, getModelsCacheStatus, refreshModels, startModelsRefresh }
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express')
+const router = express.Router()
+const { apiKeyVerify, modelAllowlistVerify } = require('../middlewares/authorization.js')
+const { convertAnthropicRequest } = require('../middlewares/anthropic-middleware.js')
+const { processRequestBody } = require('../middlewares/chat-middleware.js')
+const { applyModelAlias } = require('../middlewares/model-router.js')
+const { handleAnthropicMessages } = require('../controllers/anthropic.js')
+
+router.post('/v1/messages',
+    apiKeyVerify,
+    convertAnthropicRequest,
+    applyModelAlias,
+    modelAllowlistVerify,
+    processRequestBody,
+    handleAnthropicMessages
+)
+
+module.exports = router
@@ -0,0 +1,100 @@
+const express = require('express')
+const router = express.Router()
+const { adminKeyVerify } = require('../middlewares/authorization')
+const backupManager = require('../utils/backup')
+const { logger } = require('../utils/logger')
+
+const IMPORT_MODES = ['merge', 'replace']
+
+/**
+ * 导入备份并在当前进程中重新加载数据
+ * @param {object} res - 响应对象
+ * @param {object} archive - 备份内容
+ * @param {string} mode - 导入方式
+ */
+const importAndReload = async (res, archive, mode) => {
+  try {
+    backupManager.parseArchive(archive)
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  let summary
+  try {
+    summary = await backupManager.importArchive(archive, mode)
+  } catch (error) {
+    logger.error('导入备份失败', 'BACKUP', '', error)
+    return res.status(500).json({ error: error.message })
+  }
+
+  try {
+    await backupManager.reloadServices()
+  } catch (error) {
+    logger.error('导入备份后重新加载数据失败', 'BACKUP', '', error)
+    return res.status(500).json({ error: `数据已导入，但重新加载失败，请重启服务: ${error.message}`, mode, ...summary })
+  }
+  res.json({ mode, ...summary })
+}
+
+// 导出全部数据，下载为 JSON 文件
+router.get('/exportData', adminKeyVerify, async (req, res) => {
+  try {
+    const archive = await backupManager.exportArchive()
+    const fileName = `qwen2api-backup-${archive.createdAt.replace(/[:.]/g, '-')}.json`
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+    res.type('application/json').send(JSON.stringify(archive, null, 2))
+  } catch (error) {
+    logger.error('导出数据失败', 'BACKUP', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 导入备份，请求体为备份内容，mode=merge 合并（默认），mode=replace 替换全部数据
+router.post('/importData', adminKeyVerify, async (req, res) => {
+  const mode = req.query.mode || 'merge'
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${IMPORT_MODES.join(', ')}` })
+  }
+  await importAndReload(res, req.body, mode)
+})
+
+// 列出备份目录中的备份
+router.get('/backups', adminKeyVerify, async (req, res) => {
+  try {
+    res.json({ backups: await backupManager.listBackups() })
+  } catch (error) {
+    logger.error('获取备份列表失败', 'BACKUP', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 立即创建一份备份
+router.post('/createBackup', adminKeyVerify, async (req, res) => {
+  try {
+    res.json(await backupManager.createBackup())
+  } catch (error) {
+    logger.error('创建备份失败', 'BACKUP', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 从备份目录中的备份恢复
+router.post('/restoreBackup', adminKeyVerify, async (req, res) => {
+  const { name, mode = 'merge' } = req.body
+  if (!IMPORT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${IMPORT_MODES.join(', ')}` })
+  }
+
+  let archive
+  try {
+    archive = await backupManager.readBackup(name)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Backup not found' })
+    }
+    return res.status(400).json({ error: error.message })
+  }
+  await importAndReload(res, archive, mode)
+})
+
+module.exports = router
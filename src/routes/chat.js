@@ -1,11 +1,18 @@
 const express = require('express')
 const router = express.Router()
-const { apiKeyVerify } = require('../middlewares/authorization.js')
-const { processRequestBody } = require('../middlewares/chat-middleware.js')
+const { apiKeyVerify, modelAllowlistVerify } = require('../middlewares/authorization.js')
+const { resolveConversation, processRequestBody } = require('../middlewares/chat-middleware.js')
+const { applyModelAlias, routeModel } = require('../middlewares/model-router.js')
 const { handleChatCompletion } = require('../controllers/chat.js')
 const { handleImageVideoCompletion } = require('../controllers/chat.image.video.js')
+const { handleJsonCompletion } = require('../controllers/chat.json.js')
 
 const selectChatCompletion = (req, res, next) => {
+    // 指定了 response_format 的文本对话需要校验回答
+    if (req.structured_output) {
+        return handleJsonCompletion(req, res, next)
+    }
+
     const ChatCompletionMap = {
         't2t': handleChatCompletion,
         'search': handleChatCompletion,
@@ -20,12 +27,16 @@ const selectChatCompletion = (req, res, next) => {
     if (chatCompletion) {
         chatCompletion(req, res, next)
     } else {
-        handleImageCompletion(req, res, next)
+        handleChatCompletion(req, res, next)
     }
 }
 
 router.post('/v1/chat/completions',
     apiKeyVerify,
+    applyModelAlias,
+    modelAllowlistVerify,
+    routeModel,
+    resolveConversation,
     processRequestBody,
     selectChatCompletion
 )
@@ -0,0 +1,32 @@
+const express = require('express')
+const router = express.Router()
+const { validateApiKey } = require('../middlewares/authorization.js')
+const { getReadiness } = require('../utils/health.js')
+const { logger } = require('../utils/logger')
+
+// 存活检查：进程能够响应即可
+router.get('/healthz', (req, res) => {
+    res.json({
+        status: 'ok',
+        uptime: Math.floor(process.uptime())
+    })
+})
+
+// 就绪检查：账户、代理、Redis 和模型列表，管理员密钥可查看详细信息
+router.get('/readyz', async (req, res) => {
+    try {
+        const readiness = await getReadiness()
+        const { isAdmin } = validateApiKey(req.headers['authorization'] || req.headers['x-api-key'])
+        const body = { status: readiness.ready ? 'ready' : 'not_ready' }
+        if (isAdmin) {
+            body.checkedAt = readiness.checkedAt
+            body.checks = readiness.checks
+        }
+        res.status(readiness.ready ? 200 : 503).json(body)
+    } catch (error) {
+        logger.error('就绪检查失败', 'HEALTH', '', error)
+        res.status(503).json({ status: 'not_ready' })
+    }
+})
+
+module.exports = router
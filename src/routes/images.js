@@ -0,0 +1,55 @@
+const express = require('express')
+const router = express.Router()
+const multer = require('multer')
+const { apiKeyVerify } = require('../middlewares/authorization.js')
+const { handleImageGenerations, handleImageEdits } = require('../controllers/images.js')
+const { sendOpenAIError } = require('../utils/openai-error.js')
+
+// 单张图片的大小上限，与下载图片 URL 的上限一致
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024
+// 单次请求最多上传的图片数量
+const MAX_IMAGE_FILES = 16
+
+// 图片编辑的 multipart 上传，文件仅保存在内存中
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGE_FILES }
+}).fields([
+    { name: 'image', maxCount: MAX_IMAGE_FILES },
+    { name: 'image[]', maxCount: MAX_IMAGE_FILES }
+])
+
+/**
+ * 解析图片编辑的上传文件，上传不符合限制时返回 400
+ * 上游不支持蒙版，不接收 mask 文件
+ */
+const parseEditUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!(error instanceof multer.MulterError)) {
+            return next(error)
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field === 'mask') {
+            return sendOpenAIError(res, 400, 'mask is not supported by this model', { param: 'mask', code: 'unsupported_parameter' })
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return sendOpenAIError(res, 400, `image must be at most ${MAX_IMAGE_SIZE / 1024 / 1024}MB`, { param: error.field || 'image' })
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || (error.code === 'LIMIT_UNEXPECTED_FILE' && error.field?.startsWith('image'))) {
+            return sendOpenAIError(res, 400, `At most ${MAX_IMAGE_FILES} images can be uploaded`, { param: 'image' })
+        }
+        sendOpenAIError(res, 400, error.message, { param: error.field || null })
+    })
+}
+
+router.post('/v1/images/generations',
+    apiKeyVerify,
+    handleImageGenerations
+)
+
+router.post('/v1/images/edits',
+    apiKeyVerify,
+    parseEditUpload,
+    handleImageEdits
+)
+
+module.exports = router
@@ -1,31 +1,16 @@
 const express = require('express')
 const router = express.Router()
 const { apiKeyVerify } = require('../middlewares/authorization')
-const { handleGetModels } = require('../controllers/models.js')
+const { handleGetModels, handleGetCliModels } = require('../controllers/models.js')
 
 router.get('/v1/models', apiKeyVerify, handleGetModels)
 
 router.get('/models', handleGetModels)
 
-router.post('/cli/v1/models', async (req, res) => {
-    res.json({
-        object: 'list',
-        data: [
-            {
-                id: 'qwen3-coder-plus',
-                object: 'model',
-                created: 1719878112,
-                owned_by: 'qwen-code'
-            },
-            {
-                id: 'qwen3-coder-flash',
-                object: 'model',
-                created: 1719878112,
-                owned_by: 'qwen-code'
-            },
-        ]
-    })
-})
+router.get('/cli/v1/models', apiKeyVerify, handleGetCliModels)
+
+// 兼容旧版本的 POST 请求
+router.post('/cli/v1/models', apiKeyVerify, handleGetCliModels)
 
 
 module.exports = router
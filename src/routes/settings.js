@@ -4,11 +4,34 @@ const config = require('../config')
 const { apiKeyVerify, adminKeyVerify } = require('../middlewares/authorization')
 const { logger } = require('../utils/logger')
 const accountManager = require('../utils/account')
+const apiKeyManager = require('../utils/api-keys')
+const runtimeConfig = require('../utils/runtime-config')
+const proxyImporter = require('../utils/proxy-import')
+const { isSupportedProxyUrl } = require('../utils/proxy-agent')
+const { refreshModels, getModelsCacheStatus } = require('../models/models-map.js')
+const { getCliModelsCacheStatus } = require('../models/cli-models.js')
+const { normalizeModelAliases, getModelAliases, getHiddenModels } = require('../models/model-aliases.js')
+
+/**
+ * 从请求体中提取密钥限制配置
+ * @param {object} body - 请求体
+ * @returns {object} 限制配置，仅包含传入的字段
+ */
+const pickKeyLimits = (body) => {
+  const fields = ['name', 'rpm', 'tokensPerDay', 'maxConcurrentStreams', 'allowedModels', 'expiresAt']
+  const limits = {}
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      limits[field] = body[field]
+    }
+  }
+  return limits
+}
 
 
 router.get('/settings', adminKeyVerify, async (req, res) => {
   // 分离管理员密钥和普通密钥
-  const regularKeys = config.apiKeys.filter(key => key !== config.adminKey)
+  const regularKeys = apiKeyManager.listRecords().filter(record => !record.isAdmin).map(record => record.key)
 
   res.json({
     apiKey: config.apiKey, // 保持向后兼容
@@ -20,7 +43,10 @@ router.get('/settings', adminKeyVerify, async (req, res) => {
     autoRefreshInterval: config.autoRefreshInterval,
     outThink: config.outThink,
     searchInfoMode: config.searchInfoMode,
-    simpleModelMap: config.simpleModelMap
+    simpleModelMap: config.simpleModelMap,
+    proxyMaxAccounts: config.proxyMaxAccounts,
+    modelAliases: getModelAliases(),
+    hiddenModels: getHiddenModels()
   })
 })
 
@@ -33,14 +59,20 @@ router.post('/addRegularKey', adminKeyVerify, async (req, res) => {
     }
 
     // 检查是否已存在
-    if (config.apiKeys.includes(apiKey)) {
+    if (apiKeyManager.getRecord(apiKey)) {
       return res.status(409).json({ error: 'API Key已存在' })
     }
 
-    // 添加到配置中
-    config.apiKeys.push(apiKey)
+    // 添加到配置中，可同时设置限制
+    let record
+    try {
+      record = apiKeyManager.addKey(apiKey, pickKeyLimits(req.body))
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    await runtimeConfig.saveApiKeys()
 
-    res.json({ message: 'API Key添加成功' })
+    res.json({ message: 'API Key添加成功', apiKey: record })
   } catch (error) {
     logger.error('添加API Key失败', 'CONFIG', '', error)
     res.status(500).json({ error: error.message })
@@ -56,17 +88,18 @@ router.post('/deleteRegularKey', adminKeyVerify, async (req, res) => {
     }
 
     // 不能删除管理员密钥
-    if (apiKey === config.adminKey) {
+    const record = apiKeyManager.getRecord(apiKey)
+    if (record && record.isAdmin) {
       return res.status(403).json({ error: '不能删除管理员密钥' })
     }
 
     // 从配置中移除
-    const index = config.apiKeys.indexOf(apiKey)
-    if (index === -1) {
+    if (!record) {
       return res.status(404).json({ error: 'API Key不存在' })
     }
 
-    config.apiKeys.splice(index, 1)
+    apiKeyManager.deleteKey(apiKey)
+    await runtimeConfig.saveApiKeys()
 
     res.json({ message: 'API Key删除成功' })
   } catch (error) {
@@ -75,6 +108,37 @@ router.post('/deleteRegularKey', adminKeyVerify, async (req, res) => {
   }
 })
 
+// 获取所有API Key及其限制和当前用量
+router.get('/apiKeys', adminKeyVerify, async (req, res) => {
+  res.json(apiKeyManager.listRecords())
+})
+
+// 更新API Key的限制
+router.post('/updateApiKey', adminKeyVerify, async (req, res) => {
+  try {
+    const { apiKey } = req.body
+    if (!apiKey) {
+      return res.status(400).json({ error: 'API Key不能为空' })
+    }
+    if (!apiKeyManager.getRecord(apiKey)) {
+      return res.status(404).json({ error: 'API Key不存在' })
+    }
+
+    let record
+    try {
+      record = apiKeyManager.updateKey(apiKey, pickKeyLimits(req.body))
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+    await runtimeConfig.saveApiKeys()
+
+    res.json({ message: 'API Key更新成功', apiKey: record })
+  } catch (error) {
+    logger.error('更新API Key失败', 'CONFIG', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 // 更新自动刷新设置
 router.post('/setAutoRefresh', adminKeyVerify, async (req, res) => {
   try {
@@ -90,8 +154,10 @@ router.post('/setAutoRefresh', adminKeyVerify, async (req, res) => {
         return res.status(400).json({ error: '无效的自动刷新间隔' })
       }
     }
-    config.autoRefresh = autoRefresh
-    config.autoRefreshInterval = autoRefreshInterval || 6 * 60 * 60
+    await runtimeConfig.updateSettings({
+      AUTO_REFRESH: autoRefresh,
+      AUTO_REFRESH_INTERVAL: parseInt(autoRefreshInterval) || 6 * 60 * 60
+    })
     res.json({
       status: true,
       message: '自动刷新设置更新成功'
@@ -110,7 +176,7 @@ router.post('/setOutThink', adminKeyVerify, async (req, res) => {
       return res.status(400).json({ error: '无效的思考输出设置' })
     }
 
-    config.outThink = outThink
+    await runtimeConfig.updateSettings({ OUTPUT_THINK: outThink })
     res.json({
       status: true,
       message: '思考输出设置更新成功'
@@ -129,7 +195,7 @@ router.post('/search-info-mode', adminKeyVerify, async (req, res) => {
       return res.status(400).json({ error: '无效的搜索信息模式' })
     }
 
-    config.searchInfoMode = searchInfoMode
+    await runtimeConfig.updateSettings({ SEARCH_INFO_MODE: searchInfoMode })
     res.json({
       status: true,
       message: '搜索信息模式更新成功'
@@ -148,7 +214,7 @@ router.post('/simple-model-map', adminKeyVerify, async (req, res) => {
       return res.status(400).json({ error: '无效的简化模型映射设置' })
     }
 
-    config.simpleModelMap = simpleModelMap
+    await runtimeConfig.updateSettings({ SIMPLE_MODEL_MAP: simpleModelMap })
     res.json({
       status: true,
       message: '简化模型映射设置更新成功'
@@ -194,10 +260,10 @@ router.post('/addProxy', adminKeyVerify, async (req, res) => {
   if (!proxyUrl) {
     return res.status(400).json({ error: 'Proxy URL is required' });
   }
-  if (!accountManager.proxyManager) {
-    return res.status(500).json({ error: 'Proxy manager is not initialized' });
+  if (!isSupportedProxyUrl(proxyUrl)) {
+    return res.status(400).json({ error: 'Unsupported proxy URL, expected http, https, socks4, socks4a, socks5 or socks5h' });
   }
-  const success = accountManager.proxyManager.addProxy(proxyUrl);
+  const success = accountManager.ensureProxyManager().addProxy(proxyUrl);
   if (success) {
     res.json({ message: 'Proxy added successfully' });
   } else {
@@ -205,6 +271,20 @@ router.post('/addProxy', adminKeyVerify, async (req, res) => {
   }
 });
 
+// 立即执行一轮代理健康检查，返回检查后的代理列表
+router.post('/checkProxies', adminKeyVerify, async (req, res) => {
+  if (!accountManager.proxyManager) {
+    return res.json([]);
+  }
+  try {
+    await accountManager.proxyManager.checkAllProxies();
+    res.json(accountManager.proxyManager.getProxies());
+  } catch (error) {
+    logger.error('代理健康检查失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 router.post('/deleteProxy', adminKeyVerify, async (req, res) => {
   const { proxyUrl } = req.body;
   if (!proxyUrl) {
@@ -221,4 +301,164 @@ router.post('/deleteProxy', adminKeyVerify, async (req, res) => {
   }
 });
 
+// 批量导入代理，每行一个，支持代理地址、host:port 和 host:port:user:pass
+router.post('/importProxies', adminKeyVerify, async (req, res) => {
+  const { proxies, protocol } = req.body;
+  const text = Array.isArray(proxies) ? proxies.join('\n') : proxies;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'proxies is required' });
+  }
+  if (protocol !== undefined && !isSupportedProxyUrl(`${protocol}://127.0.0.1:1`)) {
+    return res.status(400).json({ error: `Unsupported proxy protocol: ${protocol}` });
+  }
+  try {
+    res.json(await proxyImporter.importList(text, protocol));
+  } catch (error) {
+    logger.error('批量导入代理失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 删除全部状态为 failed 的代理，原绑定的账户会重新分配代理
+router.post('/deleteFailedProxies', adminKeyVerify, async (req, res) => {
+  if (!accountManager.proxyManager) {
+    return res.json({ removed: [] });
+  }
+  try {
+    const removed = await accountManager.proxyManager.removeFailedProxies();
+    if (removed.length > 0) {
+      accountManager.assignProxiesToUnboundAccounts().catch(error => logger.error('为账户分配代理失败', 'PROXY', '', error));
+    }
+    res.json({ removed });
+  } catch (error) {
+    logger.error('删除失败代理失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 设置每个代理最多绑定的账户数，0 为不限制
+router.post('/setProxyMaxAccounts', adminKeyVerify, async (req, res) => {
+  const maxAccounts = parseInt(req.body.maxAccounts);
+  if (isNaN(maxAccounts) || maxAccounts < 0) {
+    return res.status(400).json({ error: '无效的代理账户数上限' });
+  }
+  try {
+    await runtimeConfig.updateSettings({ PROXY_MAX_ACCOUNTS: maxAccounts });
+    res.json({ status: true, message: '代理账户数上限更新成功' });
+  } catch (error) {
+    logger.error('更新代理账户数上限失败', 'CONFIG', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 代理订阅
+router.get('/proxySubscriptions', adminKeyVerify, async (req, res) => {
+  res.json(proxyImporter.listSubscriptions());
+});
+
+router.post('/addProxySubscription', adminKeyVerify, async (req, res) => {
+  const { source } = req.body;
+  if (typeof source !== 'string' || !source.trim()) {
+    return res.status(400).json({ error: 'source is required' });
+  }
+  if (proxyImporter.listSubscriptions().some(item => item.source === source.trim())) {
+    return res.status(409).json({ error: 'Subscription already exists' });
+  }
+  try {
+    const result = await proxyImporter.addSubscription(source.trim());
+    res.status(result.error ? 502 : 200).json(result);
+  } catch (error) {
+    logger.error('添加代理订阅失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/deleteProxySubscription', adminKeyVerify, async (req, res) => {
+  const { source, keepProxies } = req.body;
+  const subscription = proxyImporter.listSubscriptions().find(item => item.source === source);
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  if (subscription.fromEnv) {
+    return res.status(400).json({ error: '环境变量 PROXY_SUBSCRIPTIONS 中的订阅无法删除' });
+  }
+  try {
+    const removed = await proxyImporter.removeSubscription(source, keepProxies === true);
+    res.json({ removed });
+  } catch (error) {
+    logger.error('删除代理订阅失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 立即同步订阅，未指定 source 时同步全部订阅
+router.post('/syncProxySubscriptions', adminKeyVerify, async (req, res) => {
+  const { source } = req.body;
+  const sources = source ? [source] : proxyImporter.listSubscriptions().map(item => item.source);
+  if (source && !proxyImporter.listSubscriptions().some(item => item.source === source)) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+  try {
+    const results = [];
+    for (const item of sources) {
+      results.push(await proxyImporter.syncSubscription(item));
+    }
+    res.json(results);
+  } catch (error) {
+    logger.error('同步代理订阅失败', 'PROXY', '', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 立即刷新网页对话和 CLI 端点的模型列表，其他进程同时刷新
+router.post('/refreshModels', adminKeyVerify, async (req, res) => {
+  try {
+    const counts = await refreshModels()
+    res.json({
+      status: true,
+      ...counts,
+      cache: getModelsCacheStatus(),
+      cliCache: getCliModelsCacheStatus()
+    })
+  } catch (error) {
+    logger.error('刷新模型列表失败', 'MODELS', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 设置模型别名，{ 别名: 目标模型 | { model, params } }，会替换全部别名
+router.post('/setModelAliases', adminKeyVerify, async (req, res) => {
+  let aliases
+  try {
+    aliases = normalizeModelAliases(req.body.modelAliases)
+  } catch (error) {
+    return res.status(400).json({ error: error.message })
+  }
+
+  try {
+    await runtimeConfig.updateSettings({ MODEL_ALIASES: JSON.stringify(aliases) })
+    res.json({ status: true, message: '模型别名更新成功', modelAliases: aliases })
+  } catch (error) {
+    logger.error('更新模型别名失败', 'CONFIG', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// 设置不在模型列表中显示的模型，支持 * 通配符
+router.post('/setHiddenModels', adminKeyVerify, async (req, res) => {
+  const { hiddenModels } = req.body
+  if (!Array.isArray(hiddenModels) || hiddenModels.some(item => typeof item !== 'string')) {
+    return res.status(400).json({ error: '隐藏模型必须是字符串数组' })
+  }
+
+  const patterns = hiddenModels.map(item => item.trim()).filter(Boolean)
+  try {
+    await runtimeConfig.updateSettings({ HIDDEN_MODELS: patterns.join(',') })
+    res.json({ status: true, message: '隐藏模型更新成功', hiddenModels: patterns })
+  } catch (error) {
+    logger.error('更新隐藏模型失败', 'CONFIG', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
 module.exports = router
\ No newline at end of file
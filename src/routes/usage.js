@@ -0,0 +1,58 @@
+const express = require('express')
+const router = express.Router()
+const { adminKeyVerify } = require('../middlewares/authorization')
+const usageStats = require('../utils/usage-stats')
+const { getLocalDate } = require('../utils/tools')
+const { logger } = require('../utils/logger')
+
+// 未指定开始日期时默认统计最近30天
+const DEFAULT_RANGE_DAYS = 30
+const METRIC_COLUMNS = ['requests', 'prompt_tokens', 'completion_tokens', 'total_tokens']
+
+/**
+ * 转义 CSV 字段
+ * @param {any} value - 字段值
+ * @returns {string} 转义后的字段
+ */
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// 查询用量统计，支持 JSON 和 CSV 格式
+router.get('/usage', adminKeyVerify, async (req, res) => {
+  try {
+    const { api_key, account, model, format } = req.query
+    const start = req.query.start || getLocalDate(new Date(Date.now() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000))
+    const end = req.query.end || getLocalDate()
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+      return res.status(400).json({ error: '日期格式应为 YYYY-MM-DD' })
+    }
+
+    const groupBy = req.query.group_by ? String(req.query.group_by).split(',').map(field => field.trim()).filter(Boolean) : []
+    const invalidField = groupBy.find(field => !usageStats.GROUP_FIELDS.includes(field))
+    if (invalidField) {
+      return res.status(400).json({ error: `无效的分组字段: ${invalidField}` })
+    }
+
+    if (format === 'csv') {
+      // 未指定分组时导出全部明细
+      const fields = groupBy.length > 0 ? groupBy : usageStats.GROUP_FIELDS
+      const report = await usageStats.query({ start, end, apiKey: api_key, account, model, groupBy: fields })
+      const columns = [...fields.flatMap(field => field === 'api_key' ? ['api_key', 'api_key_name'] : [field]), ...METRIC_COLUMNS]
+      const rows = report.groups.map(group => columns.map(column => escapeCsv(group[column])).join(','))
+
+      res.set('Content-Type', 'text/csv; charset=utf-8')
+      res.set('Content-Disposition', `attachment; filename="usage-${start}-${end}.csv"`)
+      return res.send([columns.join(','), ...rows].join('\n'))
+    }
+
+    res.json(await usageStats.query({ start, end, apiKey: api_key, account, model, groupBy }))
+  } catch (error) {
+    logger.error('查询用量统计失败', 'USAGE', '', error)
+    res.status(500).json({ error: error.message })
+  }
+})
+
+module.exports = router
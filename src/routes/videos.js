@@ -0,0 +1,10 @@
+const express = require('express')
+const router = express.Router()
+const { apiKeyVerify } = require('../middlewares/authorization.js')
+const { handleCreateVideo, handleGetVideo } = require('../controllers/videos.js')
+
+router.post('/v1/videos', apiKeyVerify, handleCreateVideo)
+
+router.get('/v1/videos/:id', apiKeyVerify, handleGetVideo)
+
+module.exports = router
@@ -9,26 +9,53 @@ const fs = require('fs')
 const modelsRouter = require('./routes/models.js')
 const chatRouter = require('./routes/chat.js')
 const cliChatRouter = require('./routes/cli.chat.js')
+const anthropicRouter = require('./routes/anthropic.js')
+const imagesRouter = require('./routes/images.js')
+const videosRouter = require('./routes/videos.js')
+const healthRouter = require('./routes/health.js')
 const verifyRouter = require('./routes/verify.js')
 const accountsRouter = require('./routes/accounts.js')
 const settingsRouter = require('./routes/settings.js')
+const usageRouter = require('./routes/usage.js')
+const backupRouter = require('./routes/backup.js')
 const TokenManager = require('./utils/token-manager');
 const DataPersistence = require('./utils/data-persistence');
 const accountManager = require('./utils/account');
+const videoJobs = require('./utils/video-jobs');
+const runtimeConfig = require('./utils/runtime-config');
+const proxyImporter = require('./utils/proxy-import');
+const backupManager = require('./utils/backup');
+const { startModelsRefresh } = require('./models/models-map.js');
+const clusterState = require('./utils/cluster-state');
+const { metricsMiddleware, renderMetrics } = require('./utils/metrics');
+const { adminKeyVerify } = require('./middlewares/authorization');
 
 
 
 app.use(bodyParser.json({ limit: '128mb' }))
 app.use(bodyParser.urlencoded({ limit: '128mb', extended: true }))
 app.use(cors())
+app.use(metricsMiddleware)
+
+// Prometheus 指标
+app.get('/metrics', adminKeyVerify, (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+  res.send(renderMetrics())
+})
 
 // API路由
+app.use(healthRouter)
 app.use(modelsRouter)
 app.use(chatRouter)
 app.use(cliChatRouter)
+app.use(anthropicRouter)
+app.use(imagesRouter)
+app.use(videosRouter)
 app.use(verifyRouter)
 app.use('/api', accountsRouter)
 app.use('/api', settingsRouter)
+app.use('/api', usageRouter)
+app.use('/api', backupRouter)
 
 app.use(express.static(path.join(__dirname, '../public/dist')))
 
@@ -65,6 +92,24 @@ const startServer = async () => {
     await accountManager.initializationPromise;
     logger.info('AccountManager 初始化完成，启动 Web 服务器...', 'SERVER');
 
+    // 加入多进程共享状态，选举负责定时任务的主进程
+    await clusterState.start();
+
+    // 加载已保存的设置和API Key
+    await runtimeConfig.init();
+
+    // 加载代理订阅并在后台同步
+    await proxyImporter.init();
+
+    // 恢复未完成的视频任务
+    await videoJobs.init();
+
+    // 开启定时备份
+    backupManager.start();
+
+    // 定时刷新模型列表
+    startModelsRefresh();
+
     const server = app.listen(config.listenPort, config.listenAddress, () => {
       const address = server.address();
       serverInfo.address = address.address;
@@ -6,6 +6,7 @@ const os = require('os');
 
 // Now that pre-config has run, we can safely load other modules
 const fileConfig = require('./utils/file-config');
+const { CONFIG_SYNC_MESSAGE } = require('./utils/config-sync');
 const { logger } = require('./utils/logger');
 
 // Load .env file which might have been modified by pre-config
@@ -78,6 +79,17 @@ if (instances === 1) {
       }
     })
 
+    // 将工作进程的配置变更转发给其他工作进程
+    cluster.on('message', (worker, message) => {
+      if (message && message.type === CONFIG_SYNC_MESSAGE) {
+        for (const other of Object.values(cluster.workers)) {
+          if (other && other !== worker) {
+            other.send(message)
+          }
+        }
+      }
+    })
+
     // 监听工作进程在线
     cluster.on('online', (worker) => {
       logger.info(`工作进程 ${worker.process.pid} 已上线`, 'CLUSTER')
@@ -108,15 +120,13 @@ if (instances === 1) {
     logger.info(`工作进程启动 - PID: ${process.pid}`, 'WORKER')
     require('./server.js')
 
-    // 工作进程优雅关闭处理
+    // 工作进程优雅关闭处理，data-persistence 写入未保存的数据后退出进程
     process.on('SIGTERM', () => {
       logger.info(`工作进程 ${process.pid} 收到SIGTERM信号，正在关闭...`, 'WORKER')
-      process.exit(0)
     })
 
     process.on('SIGINT', () => {
       logger.info(`工作进程 ${process.pid} 收到SIGINT信号，正在关闭...`, 'WORKER');
-      process.exit(0);
     });
   }
 }
@@ -74,6 +74,14 @@ class AccountRotator {
     return account;
   }
 
+  /**
+   * 是否存在可用的账户（有令牌且不在冷却期）
+   * @returns {boolean} 是否存在
+   */
+  hasAvailableAccount() {
+    return this.accounts.some(account => this._isAccountAvailable(account))
+  }
+
   /**
    * 记录账户使用失败
    * @param {string} email - 邮箱地址
@@ -95,6 +103,24 @@ class AccountRotator {
     this.failureCounts.delete(email)
   }
 
+  /**
+   * 应用其他进程记录的失败状态
+   * @param {string} email - 邮箱地址
+   * @param {Object|null} state - { failures, updatedAt }，为空时重置失败计数
+   */
+  applyFailureState(email, state) {
+    if (!state || !(state.failures > 0)) {
+      this.failureCounts.delete(email)
+      return
+    }
+
+    this.failureCounts.set(email, state.failures)
+    // 冷却期从最后一次使用开始计算，失败发生在其他进程时以失败时间为准
+    if (state.updatedAt > (this.lastUsedTimes.get(email) || 0)) {
+      this.lastUsedTimes.set(email, state.updatedAt)
+    }
+  }
+
   /**
    * 获取账户统计信息
    * @returns {Object} 统计信息
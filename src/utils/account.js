@@ -2,9 +2,24 @@ const config = require('../config/index.js')
 const dataPersistence = require('./data-persistence')
 const TokenManager = require('./token-manager')
 const AccountRotator = require('./account-rotator')
+const clusterState = require('./cluster-state')
 const { logger } = require('./logger')
-const { getProxyHost } = require('./tools')
+const { getProxyHost, getLocalDate } = require('./tools')
 const { getRandomWindowsUserAgent } = require('./user-agent')
+const { isSupportedProxyUrl } = require('./proxy-agent')
+
+// 多进程共享的 CLI 请求计数、账户失败状态和令牌更新事件
+const CLI_REQUEST_COUNTER = 'cli-requests'
+const ACCOUNT_FAILURES = 'account-failures'
+const ACCOUNT_TOKENS_EVENT = 'account-tokens'
+const CLI_TOKENS_EVENT = 'cli-tokens'
+const CLI_EXHAUSTED_EVENT = 'cli-exhausted'
+// CLI 令牌在过期前多久刷新，以及刷新和重新授权都失败后的重试间隔
+const CLI_REFRESH_AHEAD = 5 * 60 * 1000
+const CLI_RETRY_DELAY = 5 * 60 * 1000
+// setTimeout 支持的最长延迟
+const MAX_TIMER_DELAY = 2 ** 31 - 1
+
 /**
  * 账户管理器
  * 统一管理账户、令牌、模型等功能
@@ -26,10 +41,15 @@ class Account {
         // cli请求次数定时刷新器
         this.cliRequestNumberInterval = null
         this.cliDailyResetInterval = null
+        // 正在刷新的CLI令牌，避免同一账户并发刷新
+        this.cliRefreshes = new Map()
 
         // 代理管理器
         this.proxyManager = null;
 
+        // 接收其他进程的账户状态变化
+        this._setupClusterSync()
+
         // 初始化
         this.initializationPromise = this._initialize();
     }
@@ -44,8 +64,14 @@ class Account {
             const savedStatuses = await this.dataPersistence.loadProxyStatuses();
             const fileProxies = Object.keys(savedStatuses);
 
-            // 合并来自环境变量和文件的代理，并去重
-            const combinedProxies = [...new Set([...config.socks5Proxies, ...fileProxies])];
+            // 合并来自环境变量和文件的代理，去重并跳过不支持的代理地址
+            const combinedProxies = [...new Set([...config.socks5Proxies, ...fileProxies])].filter(proxyUrl => {
+                if (isSupportedProxyUrl(proxyUrl)) {
+                    return true;
+                }
+                logger.warn(`跳过不支持的代理地址: ${proxyUrl}`, 'PROXY');
+                return false;
+            });
 
             // 初始化 ProxyManager
             if (combinedProxies.length > 0) {
@@ -63,16 +89,20 @@ class Account {
                 });
 
                 await this.proxyManager.initialize(newStatuses, savedBindings);
+                this.proxyManager.startHealthCheck();
                 
                 // 保存更新后的代理状态
                 await this.dataPersistence.saveProxyStatuses(newStatuses);
             } else {
-                logger.info('未配置 SOCKS5 代理，将直接连接', 'PROXY');
+                logger.info('未配置代理，将直接连接', 'PROXY');
             }
 
             // 加载账户信息
             await this.loadAccountTokens()
 
+            // 加载其他进程记录的账户失败状态
+            await this._loadSharedFailures()
+
             // 为已加载的账户对象附加代理信息
             if (this.proxyManager) {
                 this.accountTokens.forEach(acc => {
@@ -81,12 +111,7 @@ class Account {
             }
 
             // 设置定期刷新令牌
-            if (config.autoRefresh) {
-                this.refreshInterval = setInterval(
-                    () => this.autoRefreshTokens(),
-                    (config.autoRefreshInterval || 21600) * 1000 // 默认6小时
-                )
-            }
+            this.applyAutoRefresh()
 
             this.isInitialized = true
             logger.success(`账户管理器初始化完成，共加载 ${this.accountTokens.length} 个账户`, 'ACCOUNT')
@@ -95,6 +120,24 @@ class Account {
         }
     }
 
+    /**
+     * 按当前配置重新设置令牌自动刷新定时器
+     */
+    applyAutoRefresh() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval)
+            this.refreshInterval = null
+        }
+
+        if (config.autoRefresh) {
+            // 多进程共享状态时只由主进程刷新，刷新结果会同步给其他进程
+            this.refreshInterval = setInterval(
+                () => clusterState.isLeader() && this.autoRefreshTokens(),
+                (config.autoRefreshInterval || 21600) * 1000 // 默认6小时
+            )
+        }
+    }
+
     /**
      * 加载账户令牌数据
      * @returns {Promise<void>}
@@ -155,8 +198,9 @@ class Account {
             // 更新账户轮询器
             this.accountRotator.setAccounts(this.accountTokens)
 
-            // 初始化 CLI 账户,随机初始化一个账号
-            if (this.accountTokens.length > 0) {
+            // 恢复已保存的 CLI 账户，没有可用的 CLI 账户时随机初始化一个账号
+            const restoredCliAccounts = this._restoreCliAccounts()
+            if (restoredCliAccounts === 0 && this.accountTokens.length > 0) {
                 const randomIndex = Math.floor(Math.random() * this.accountTokens.length);
                 const randomAccount = this.accountTokens[randomIndex];
 
@@ -227,36 +271,142 @@ class Account {
             const cliAccount = await cliManager.initCliAccount(account.token, account.proxy);
 
             if (cliAccount.access_token && cliAccount.refresh_token && cliAccount.expiry_date) {
-                account.cli_info = {
-                    access_token: cliAccount.access_token,
-                    refresh_token: cliAccount.refresh_token,
-                    expiry_date: cliAccount.expiry_date,
-                    refresh_token_interval: setInterval(async () => {
-                        try {
-                            const refreshToken = await cliManager.refreshAccessToken({
-                                access_token: account.cli_info.access_token,
-                                refresh_token: account.cli_info.refresh_token,
-                                expiry_date: account.cli_info.expiry_date,
-                            }, account.proxy); // 传递代理
-                            if (refreshToken.access_token && refreshToken.refresh_token && refreshToken.expiry_date) {
-                                account.cli_info.access_token = refreshToken.access_token;
-                                account.cli_info.refresh_token = refreshToken.refresh_token;
-                                account.cli_info.expiry_date = refreshToken.expiry_date;
-                                logger.info(`CLI账户 ${account.email} 令牌刷新成功`, 'CLI');
-                            }
-                        } catch (error) {
-                            logger.error(`CLI账户 ${account.email} 令牌刷新失败`, 'CLI', '', error);
-                        }
-                    }, 1000 * 60 * 60 * 2),
-                    request_number: 0,
-                };
+                this._applyCliTokens(account, cliAccount);
+                await this._saveCliTokens(account);
                 logger.success(`CLI账户 ${account.email} 初始化成功`, 'CLI');
+                return true;
             } else {
                 logger.error(`CLI账户 ${account.email} 初始化失败：无效的响应数据`, 'CLI');
             }
         } catch (error) {
             logger.error(`CLI账户 ${account.email} 初始化失败`, 'CLI', '', error);
         }
+        return false;
+    }
+
+    /**
+     * 恢复存储中已保存令牌的 CLI 账户，并按令牌有效期安排刷新
+     * @returns {number} 恢复的 CLI 账户数
+     * @private
+     */
+    _restoreCliAccounts() {
+        const today = getLocalDate()
+        let restored = 0
+
+        for (const account of this.accountTokens) {
+            const cliInfo = account.cli_info
+            if (!cliInfo) {
+                continue
+            }
+            if (!cliInfo.access_token || !cliInfo.refresh_token || !cliInfo.expiry_date) {
+                delete account.cli_info
+                continue
+            }
+
+            // 保存的请求次数只在当天有效
+            if (cliInfo.request_date !== today) {
+                cliInfo.request_number = 0
+                cliInfo.request_date = today
+            }
+            this._scheduleCliRefresh(account)
+            restored++
+        }
+
+        if (restored > 0) {
+            logger.info(`已恢复 ${restored} 个CLI账户的令牌`, 'CLI')
+        }
+        return restored
+    }
+
+    /**
+     * 更新账户的 CLI 令牌并重新安排刷新，保留请求次数
+     * @param {Object} account - 账户对象
+     * @param {Object} tokens - { access_token, refresh_token, expiry_date }
+     * @private
+     */
+    _applyCliTokens(account, { access_token, refresh_token, expiry_date }) {
+        account.cli_info = Object.assign(account.cli_info || { request_number: 0, request_date: getLocalDate() }, {
+            access_token,
+            refresh_token,
+            expiry_date
+        })
+        this._scheduleCliRefresh(account)
+    }
+
+    /**
+     * 保存账户的 CLI 令牌，并同步给其他进程
+     * @param {Object} account - 账户对象
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _saveCliTokens(account) {
+        const { access_token, refresh_token, expiry_date } = account.cli_info
+        await this.dataPersistence.saveCliInfo(account.email, { access_token, refresh_token, expiry_date })
+        await clusterState.publish(CLI_TOKENS_EVENT, { email: account.email, access_token, refresh_token, expiry_date })
+    }
+
+    /**
+     * 安排 CLI 令牌的刷新，默认在令牌过期前刷新
+     * @param {Object} account - 账户对象
+     * @param {number|null} delay - 延迟毫秒数，为空时按令牌有效期计算
+     * @private
+     */
+    _scheduleCliRefresh(account, delay = null) {
+        const cliInfo = account.cli_info
+        if (cliInfo.refresh_timer) {
+            clearTimeout(cliInfo.refresh_timer)
+        }
+
+        if (delay === null) {
+            delay = Number(cliInfo.expiry_date) - Date.now() - CLI_REFRESH_AHEAD
+        }
+        cliInfo.refresh_timer = setTimeout(() => this._refreshCliAccount(account.email), Math.min(Math.max(delay, 0), MAX_TIMER_DELAY))
+        cliInfo.refresh_timer.unref()
+    }
+
+    /**
+     * 刷新 CLI 令牌，刷新失败时重新进行设备授权
+     * @param {string} email - 邮箱地址
+     * @param {boolean} force - 是否立即刷新，不等待主进程刷新
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _refreshCliAccount(email, force = false) {
+        const account = this.accountTokens.find(acc => acc.email === email)
+        if (!account || !account.cli_info) {
+            return
+        }
+
+        // 多进程共享状态时由主进程刷新并广播新令牌，令牌过期仍未收到时再自行刷新
+        if (!force && clusterState.enabled && !clusterState.isLeader() && Date.now() < Number(account.cli_info.expiry_date)) {
+            this._scheduleCliRefresh(account, CLI_RETRY_DELAY)
+            return
+        }
+
+        const cliManager = require('./cli.manager')
+        const tokens = await cliManager.refreshAccessToken(account.cli_info, account.proxy)
+        if (tokens.access_token && tokens.refresh_token && tokens.expiry_date) {
+            this._applyCliTokens(account, tokens)
+            await this._saveCliTokens(account)
+            logger.info(`CLI账户 ${email} 令牌刷新成功`, 'CLI')
+            return
+        }
+
+        logger.warn(`CLI账户 ${email} 令牌刷新失败，重新进行设备授权`, 'CLI')
+        if (await this._initializeCliAccount(account)) {
+            return
+        }
+
+        if (Date.now() < Number(account.cli_info.expiry_date)) {
+            this._scheduleCliRefresh(account, CLI_RETRY_DELAY)
+            return
+        }
+
+        // 令牌已过期且无法重新授权，移除 CLI 信息，之后的 CLI 请求会重新初始化该账户
+        clearTimeout(account.cli_info.refresh_timer)
+        delete account.cli_info
+        await this.dataPersistence.saveCliInfo(email, null)
+        logger.error(`CLI账户 ${email} 令牌已过期且重新授权失败，已移除CLI信息`, 'CLI')
     }
 
     /**
@@ -287,16 +437,221 @@ class Account {
 
     /**
      * 重置CLI请求次数
+     * 多进程共享计数时由主进程清空共享计数，其他进程在下次请求时同步
      * @private
      */
-    _resetCliRequestNumbers() {
+    async _resetCliRequestNumbers() {
         const cliAccounts = this.accountTokens.filter(account => account.cli_info)
         cliAccounts.forEach(account => {
             account.cli_info.request_number = 0
         })
+
+        if (clusterState.enabled) {
+            if (!clusterState.isLeader()) {
+                return
+            }
+            try {
+                await clusterState.resetCounters(CLI_REQUEST_COUNTER)
+            } catch (error) {
+                logger.error('重置共享的CLI请求次数失败', 'CLI', '', error)
+                return
+            }
+        }
         logger.info(`已重置 ${cliAccounts.length} 个CLI账户的请求次数`, 'CLI')
     }
 
+    /**
+     * 从共享计数同步CLI账户的请求次数
+     * @returns {Promise<void>}
+     */
+    async syncCliRequestNumbers() {
+        if (!clusterState.enabled) {
+            return
+        }
+
+        try {
+            const counters = await clusterState.getCounters(CLI_REQUEST_COUNTER)
+            this.accountTokens.forEach(account => {
+                if (account.cli_info) {
+                    account.cli_info.request_number = counters[account.email] || 0
+                }
+            })
+        } catch (error) {
+            logger.error('同步CLI请求次数失败，使用本进程的计数', 'CLI', '', error)
+        }
+    }
+
+    /**
+     * 选择请求次数最少的可用CLI账户
+     * 跳过当天请求次数达到 CLI_DAILY_LIMIT 或上游报告额度已用完的账户
+     * @param {Array<string>} excludedEmails - 本次请求已尝试过的账户
+     * @returns {Promise<Object|null>} 账户对象或null
+     */
+    async getCliAccount(excludedEmails = []) {
+        await this.syncCliRequestNumbers()
+
+        const today = getLocalDate()
+        const candidates = this.accountTokens.filter(account =>
+            account.cli_info &&
+            account.cli_info.request_number < config.cliDailyLimit &&
+            account.cli_info.exhausted_date !== today &&
+            !excludedEmails.includes(account.email)
+        )
+        if (candidates.length === 0) {
+            return null
+        }
+
+        // 请求次数相同的账户中随机选择，避免多个进程集中使用同一个账户
+        const fewest = Math.min(...candidates.map(account => account.cli_info.request_number))
+        const leastUsed = candidates.filter(account => account.cli_info.request_number === fewest)
+        return leastUsed[Math.floor(Math.random() * leastUsed.length)]
+    }
+
+    /**
+     * 将CLI账户标记为当天额度已用完，次日自动恢复
+     * @param {Object} account - 账户对象
+     */
+    markCliAccountExhausted(account) {
+        const exhausted_date = getLocalDate()
+        account.cli_info.exhausted_date = exhausted_date
+        logger.warn(`CLI账户 ${account.email} 当天额度已用完，今天不再使用`, 'CLI')
+
+        this.dataPersistence.saveCliInfo(account.email, { exhausted_date }).catch(error => {
+            logger.error(`保存CLI账户 ${account.email} 的额度状态失败`, 'CLI', '', error)
+        })
+        clusterState.publish(CLI_EXHAUSTED_EVENT, { email: account.email, exhausted_date })
+    }
+
+    /**
+     * 立即刷新CLI令牌，用于上游返回令牌无效时
+     * @param {string} email - 邮箱地址
+     * @returns {Promise<void>}
+     */
+    refreshCliAccount(email) {
+        if (!this.cliRefreshes.has(email)) {
+            this.cliRefreshes.set(email, this._refreshCliAccount(email, true).finally(() => {
+                this.cliRefreshes.delete(email)
+            }))
+        }
+        return this.cliRefreshes.get(email)
+    }
+
+    /**
+     * 增加CLI账户的请求次数，多进程共享计数时所有进程累计
+     * @param {Object} account - 账户对象
+     * @returns {Promise<number>} 增加后的请求次数
+     */
+    async incrementCliRequestNumber(account) {
+        if (clusterState.enabled) {
+            try {
+                account.cli_info.request_number = await clusterState.incrementCounter(CLI_REQUEST_COUNTER, account.email)
+                return account.cli_info.request_number
+            } catch (error) {
+                logger.error(`增加CLI账户 ${account.email} 的共享请求次数失败`, 'CLI', '', error)
+            }
+        }
+        account.cli_info.request_number++
+        account.cli_info.request_date = getLocalDate()
+
+        // 保存请求次数，重启后当天的计数继续有效
+        const { request_number, request_date } = account.cli_info
+        this.dataPersistence.saveCliInfo(account.email, { request_number, request_date }).catch(error => {
+            logger.error(`保存CLI账户 ${account.email} 的请求次数失败`, 'CLI', '', error)
+        })
+        return request_number
+    }
+
+    /**
+     * 注册多进程事件处理：其他进程刷新的令牌、记录的账户失败状态和代理状态
+     * @private
+     */
+    _setupClusterSync() {
+        clusterState.on(ACCOUNT_TOKENS_EVENT, (updates) => {
+            for (const { email, token, expires } of updates || []) {
+                const account = this.accountTokens.find(acc => acc.email === email)
+                if (account) {
+                    account.token = token
+                    account.expires = expires
+                }
+            }
+        })
+
+        clusterState.on(CLI_TOKENS_EVENT, ({ email, ...tokens }) => {
+            const account = this.accountTokens.find(acc => acc.email === email)
+            if (account) {
+                this._applyCliTokens(account, tokens)
+            }
+        })
+
+        clusterState.on(CLI_EXHAUSTED_EVENT, ({ email, exhausted_date }) => {
+            const account = this.accountTokens.find(acc => acc.email === email)
+            if (account && account.cli_info) {
+                account.cli_info.exhausted_date = exhausted_date
+            }
+        })
+
+        clusterState.on(ACCOUNT_FAILURES, ({ key, value }) => {
+            this.accountRotator.applyFailureState(key, value)
+        })
+
+        // 代理健康检查只在主进程执行，其他进程应用检查后的代理状态和绑定
+        const ProxyManager = require('./proxy-manager')
+        clusterState.on(ProxyManager.STATE_EVENT, (state) => {
+            if (this.proxyManager) {
+                this.proxyManager.applySharedState(state)
+            }
+        })
+    }
+
+    /**
+     * 加载共享的账户失败状态
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _loadSharedFailures() {
+        if (!clusterState.enabled) {
+            return
+        }
+
+        try {
+            const states = await clusterState.getEntries(ACCOUNT_FAILURES)
+            for (const [email, state] of Object.entries(states)) {
+                this.accountRotator.applyFailureState(email, state)
+            }
+        } catch (error) {
+            logger.error('加载共享的账户失败状态失败', 'ACCOUNT', '', error)
+        }
+    }
+
+    /**
+     * 将账户的失败状态同步给其他进程
+     * @param {string} email - 邮箱地址
+     * @private
+     */
+    _shareFailureState(email) {
+        if (!clusterState.enabled) {
+            return
+        }
+
+        const failures = this.accountRotator.failureCounts.get(email) || 0
+        const state = failures > 0 ? { failures, updatedAt: Date.now() } : null
+        clusterState.setEntry(ACCOUNT_FAILURES, email, state).catch(error => {
+            logger.error(`同步账户 ${email} 的失败状态失败`, 'ACCOUNT', '', error)
+        })
+    }
+
+    /**
+     * 将刷新后的令牌同步给其他进程
+     * @param {Array} accounts - 令牌已更新的账户
+     * @private
+     */
+    _shareTokens(accounts) {
+        if (accounts.length === 0) {
+            return
+        }
+        clusterState.publish(ACCOUNT_TOKENS_EVENT, accounts.map(({ email, token, expires }) => ({ email, token, expires })))
+    }
+
     /**
      * 验证和清理无效令牌
      * @private
@@ -366,6 +721,7 @@ class Account {
 
         let successCount = 0
         let failedCount = 0
+        const refreshedAccounts = []
 
         // 逐个刷新账户，每次成功后立即保存
         for (const account of needsRefresh) {
@@ -386,18 +742,19 @@ class Account {
                     })
 
                     // 重置失败计数
-                    this.accountRotator.resetFailures(account.email)
+                    this.resetAccountFailures(account.email)
+                    refreshedAccounts.push(updatedAccount)
                     successCount++
 
                     logger.info(`账户 ${account.email} 令牌刷新并保存成功 (${successCount}/${needsRefresh.length})`, 'TOKEN', '✅')
                 } else {
                     // 记录失败的账户
-                    this.accountRotator.recordFailure(account.email)
+                    this.recordAccountFailure(account.email)
                     failedCount++
                     logger.error(`账户 ${account.email} 令牌刷新失败 (${failedCount} 个失败)`, 'TOKEN', '❌')
                 }
             } catch (error) {
-                this.accountRotator.recordFailure(account.email)
+                this.recordAccountFailure(account.email)
                 failedCount++
                 logger.error(`账户 ${account.email} 刷新过程中出错`, 'TOKEN', '', error)
             }
@@ -408,6 +765,7 @@ class Account {
 
         // 更新轮询器
         this.accountRotator.setAccounts(this.accountTokens)
+        this._shareTokens(refreshedAccounts)
 
         logger.success(`令牌刷新完成: 成功 ${successCount} 个，失败 ${failedCount} 个`, 'TOKEN')
         return successCount
@@ -436,6 +794,23 @@ class Account {
         return account;
     }
 
+    /**
+     * 是否存在可用于网页对话的账户，不记录账户使用
+     * @returns {boolean} 是否存在
+     */
+    hasAvailableAccount() {
+        return this.isInitialized && this.accountRotator.hasAvailableAccount();
+    }
+
+    /**
+     * 获取可用账户的令牌
+     * @returns {string|null} 令牌或null
+     */
+    getAccountToken() {
+        const account = this.getNextAccount();
+        return account ? account.token : null;
+    }
+
     /**
      * 根据邮箱获取特定账户对象
      * @param {string} email - 邮箱地址
@@ -457,6 +832,55 @@ class Account {
         return this.proxyManager.getProxyForAccount(email);
     }
 
+    /**
+     * 获取代理管理器，尚未创建时创建一个空的代理管理器
+     * 用于启动时未配置代理、之后通过导入或订阅添加代理的情况
+     * @returns {ProxyManager} 代理管理器
+     */
+    ensureProxyManager() {
+        if (!this.proxyManager) {
+            const ProxyManager = require('./proxy-manager');
+            this.proxyManager = new ProxyManager(this.dataPersistence, []);
+            this.proxyManager.startHealthCheck();
+        }
+        return this.proxyManager;
+    }
+
+    /**
+     * 为尚未绑定代理的账户分配代理
+     * @returns {Promise<number>} 新绑定代理的账户数
+     */
+    async assignProxiesToUnboundAccounts() {
+        if (!this.proxyManager) {
+            return 0;
+        }
+
+        let assigned = 0;
+        for (const account of this.accountTokens) {
+            if (this.proxyManager.getProxyForAccount(account.email)) {
+                continue;
+            }
+            const proxy = await this.proxyManager.assignProxy(account.email);
+            if (!proxy) {
+                // 没有可分配的代理时，其余账户也无法分配
+                break;
+            }
+            account.proxy = proxy;
+            assigned++;
+        }
+        return assigned;
+    }
+
+    /**
+     * 根据令牌获取账户的代理，用于只持有令牌的请求
+     * @param {string} token - 账户令牌
+     * @returns {string|null} 代理URL或null
+     */
+    getProxyForToken(token) {
+        const account = this.accountTokens.find(acc => acc.token === token);
+        return account ? this.getProxyForAccount(account.email) : null;
+    }
+
     /**
      * 保存更新后的账户数据
      * @param {Array} updatedAccounts - 更新后的账户列表
@@ -504,7 +928,8 @@ class Account {
             })
 
             // 重置失败计数
-            this.accountRotator.resetFailures(email)
+            this.resetAccountFailures(email)
+            this._shareTokens([updatedAccount])
 
             return true
         }
@@ -606,6 +1031,7 @@ class Account {
      */
     recordAccountFailure(email) {
         this.accountRotator.recordFailure(email)
+        this._shareFailureState(email)
     }
 
     /**
@@ -613,7 +1039,11 @@ class Account {
      * @param {string} email - 邮箱地址
      */
     resetAccountFailures(email) {
+        const hadFailures = this.accountRotator.failureCounts.has(email)
         this.accountRotator.resetFailures(email)
+        if (hadFailures) {
+            this._shareFailureState(email)
+        }
     }
 
     /**
@@ -743,8 +1173,7 @@ class Account {
         }
 
         try {
-            await this._initializeCliAccount(account)
-            return true
+            return await this._initializeCliAccount(account)
         } catch (error) {
             logger.error(`为账户 ${account.email} 初始化CLI失败`, 'CLI', '', error)
             return false
@@ -820,16 +1249,35 @@ class Account {
 
         // 清理所有CLI账户的刷新定时器
         this.accountTokens.forEach(account => {
-            if (account.cli_info && account.cli_info.refresh_token_interval) {
-                clearInterval(account.cli_info.refresh_token_interval)
-                account.cli_info.refresh_token_interval = null
+            if (account.cli_info && account.cli_info.refresh_timer) {
+                clearTimeout(account.cli_info.refresh_timer)
+                account.cli_info.refresh_timer = null
             }
         })
 
+        // 停止代理健康检查
+        if (this.proxyManager) {
+            this.proxyManager.stopHealthCheck()
+        }
+
         this.accountRotator.reset()
         logger.info('账户管理器已清理资源', 'ACCOUNT', '🧹')
     }
 
+    /**
+     * 从数据存储重新加载账户和代理，用于导入备份后立即生效
+     * @returns {Promise<void>}
+     */
+    async reload() {
+        await this.initializationPromise
+        this.destroy()
+        this.accountTokens = []
+        this.proxyManager = null
+        this.isInitialized = false
+        this.initializationPromise = this._initialize()
+        await this.initializationPromise
+    }
+
     /**
      * 处理网络请求失败，检查代理是否失效并重新分配
      * @param {string} email - 账户邮箱
@@ -894,13 +1342,6 @@ process.on('exit', () => {
     }
 })
 
-// 处理意外退出
-process.on('SIGINT', () => {
-    if (accountManager) {
-        accountManager.destroy()
-    }
-    process.exit(0)
-})
 
 
 module.exports = accountManager
\ No newline at end of file
@@ -0,0 +1,379 @@
+const config = require('../config/index.js')
+const { logger } = require('./logger')
+const { getLocalDate, patternToRegExp } = require('./tools')
+
+// 请求频率统计窗口
+const RPM_WINDOW = 60 * 1000
+
+/**
+ * 距离次日零点的毫秒数
+ * @returns {number} 毫秒数
+ */
+const msUntilTomorrow = () => {
+    const tomorrow = new Date()
+    tomorrow.setHours(24, 0, 0, 0)
+    return tomorrow.getTime() - Date.now()
+}
+
+/**
+ * 将毫秒格式化为 OpenAI x-ratelimit-reset-* 头的时长格式（如 1m30s）
+ * @param {number} ms - 毫秒数
+ * @returns {string} 时长
+ */
+const formatResetDuration = (ms) => {
+    let seconds = Math.max(1, Math.ceil(ms / 1000))
+    const hours = Math.floor(seconds / 3600)
+    seconds -= hours * 3600
+    const minutes = Math.floor(seconds / 60)
+    seconds -= minutes * 60
+    return `${hours ? `${hours}h` : ''}${hours || minutes ? `${minutes}m` : ''}${seconds}s`
+}
+
+/**
+ * 解析可选的正整数限制
+ * @param {any} value - 输入值
+ * @param {string} field - 字段名
+ * @returns {number|null} 限制值，未设置时为 null
+ */
+const parseLimit = (value, field) => {
+    if (value === undefined || value === null || value === '' || value === 0 || value === '0') {
+        return null
+    }
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`${field} 必须是正整数`)
+    }
+    return number
+}
+
+/**
+ * 解析过期时间
+ * @param {any} value - 时间戳(毫秒)或日期字符串
+ * @returns {number|null} 时间戳，未设置时为 null
+ */
+const parseExpiresAt = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null
+    }
+    const time = typeof value === 'number' ? value : /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value)
+    if (Number.isNaN(time)) {
+        throw new Error('expiresAt 不是有效的时间')
+    }
+    return time
+}
+
+/**
+ * 解析模型白名单，支持数组或逗号分隔的字符串，* 为通配符
+ * @param {any} value - 模型规则
+ * @returns {Array<string>} 模型规则，空数组表示不限制
+ */
+const parseAllowedModels = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return []
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',')
+    return list.map(item => String(item).trim()).filter(item => item.length > 0)
+}
+
+/**
+ * API Key 管理器
+ * 每个密钥是一条记录，包含请求频率、每日token、并发流、模型白名单和过期时间等限制
+ */
+class ApiKeyManager {
+    constructor() {
+        this.records = new Map()
+        // 运行时用量 key -> { requests: number[], activeStreams: number, tokenDate: string, tokens: number }
+        this.usage = new Map()
+
+        for (const key of config.apiKeys) {
+            this.records.set(key, this._createRecord(key, {}, key === config.adminKey))
+        }
+    }
+
+    /**
+     * 创建密钥记录
+     * @param {string} key - 密钥
+     * @param {object} limits - 限制配置
+     * @param {boolean} isAdmin - 是否为管理员密钥
+     * @returns {object} 密钥记录
+     * @private
+     */
+    _createRecord(key, limits, isAdmin = false) {
+        return {
+            key,
+            name: limits.name || '',
+            isAdmin,
+            rpm: parseLimit(limits.rpm, 'rpm'),
+            tokensPerDay: parseLimit(limits.tokensPerDay, 'tokensPerDay'),
+            maxConcurrentStreams: parseLimit(limits.maxConcurrentStreams, 'maxConcurrentStreams'),
+            allowedModels: parseAllowedModels(limits.allowedModels),
+            expiresAt: parseExpiresAt(limits.expiresAt),
+            createdAt: limits.createdAt || Date.now()
+        }
+    }
+
+    /**
+     * 获取密钥记录
+     * @param {string} key - 密钥
+     * @returns {object|null} 密钥记录
+     */
+    getRecord(key) {
+        return this.records.get(key) || null
+    }
+
+    /**
+     * 获取所有密钥记录及当前用量
+     * @returns {Array<object>} 密钥记录
+     */
+    listRecords() {
+        return [...this.records.values()].map(record => ({
+            ...record,
+            usage: this.getUsage(record.key)
+        }))
+    }
+
+    /**
+     * 添加密钥
+     * @param {string} key - 密钥
+     * @param {object} limits - 限制配置
+     * @returns {object} 密钥记录
+     */
+    addKey(key, limits = {}) {
+        if (this.records.has(key)) {
+            throw new Error('API Key已存在')
+        }
+        const record = this._createRecord(key, limits)
+        this.records.set(key, record)
+        logger.info(`添加API Key ${key.substring(0, 8)}...`, 'CONFIG')
+        return record
+    }
+
+    /**
+     * 更新密钥限制，仅更新传入的字段
+     * @param {string} key - 密钥
+     * @param {object} limits - 限制配置
+     * @returns {object} 密钥记录
+     */
+    updateKey(key, limits = {}) {
+        const record = this.records.get(key)
+        if (!record) {
+            throw new Error('API Key不存在')
+        }
+        const updated = this._createRecord(key, { ...record, ...limits, createdAt: record.createdAt }, record.isAdmin)
+        this.records.set(key, updated)
+        return updated
+    }
+
+    /**
+     * 删除密钥
+     * @param {string} key - 密钥
+     * @returns {boolean} 是否删除成功
+     */
+    deleteKey(key) {
+        this.usage.delete(key)
+        return this.records.delete(key)
+    }
+
+    /**
+     * 导出用于持久化的密钥记录
+     * 已删除的环境变量密钥记为 null，避免重启后重新出现
+     * @returns {object} key -> 密钥记录
+     */
+    exportRecords() {
+        const exported = {}
+        for (const key of config.apiKeys) {
+            if (!this.records.has(key)) {
+                exported[key] = null
+            }
+        }
+        for (const [key, record] of this.records) {
+            exported[key] = { ...record }
+        }
+        return exported
+    }
+
+    /**
+     * 应用已保存的密钥记录，环境变量中的密钥作为基础，管理员密钥始终保留
+     * @param {object} saved - exportRecords 导出的记录
+     */
+    applyRecords(saved = {}) {
+        const records = new Map()
+        for (const key of config.apiKeys) {
+            records.set(key, this.records.get(key) || this._createRecord(key, {}, key === config.adminKey))
+        }
+
+        for (const [key, value] of Object.entries(saved)) {
+            const isAdmin = key === config.adminKey
+            if (value === null) {
+                if (!isAdmin) {
+                    records.delete(key)
+                }
+                continue
+            }
+            try {
+                records.set(key, this._createRecord(key, value, isAdmin))
+            } catch (error) {
+                logger.warn(`忽略无效的API Key记录 ${key.substring(0, 8)}...: ${error.message}`, 'CONFIG')
+            }
+        }
+
+        this.records = records
+        for (const key of this.usage.keys()) {
+            if (!records.has(key)) {
+                this.usage.delete(key)
+            }
+        }
+    }
+
+    /**
+     * 判断密钥是否已过期
+     * @param {object} record - 密钥记录
+     * @returns {boolean} 是否过期
+     */
+    isExpired(record) {
+        return record.expiresAt !== null && record.expiresAt <= Date.now()
+    }
+
+    /**
+     * 判断密钥是否可以使用指定模型
+     * 应传入解析别名并补充默认值后实际使用的模型，设置了白名单时未指定模型视为不允许
+     * @param {object} record - 密钥记录
+     * @param {string} model - 模型名称
+     * @returns {boolean} 是否允许
+     */
+    isModelAllowed(record, model) {
+        if (record.allowedModels.length === 0) {
+            return true
+        }
+        if (!model) {
+            return false
+        }
+        return record.allowedModels.some(pattern => patternToRegExp(pattern).test(String(model)))
+    }
+
+    /**
+     * 获取密钥的运行时用量
+     * @param {string} key - 密钥
+     * @returns {object} 用量
+     * @private
+     */
+    _getState(key) {
+        let state = this.usage.get(key)
+        if (!state) {
+            state = { requests: [], activeStreams: 0, tokenDate: getLocalDate(), tokens: 0 }
+            this.usage.set(key, state)
+        }
+
+        const now = Date.now()
+        state.requests = state.requests.filter(time => now - time < RPM_WINDOW)
+        if (state.tokenDate !== getLocalDate()) {
+            state.tokenDate = getLocalDate()
+            state.tokens = 0
+        }
+        return state
+    }
+
+    /**
+     * 获取密钥的当前用量
+     * @param {string} key - 密钥
+     * @returns {object} { requestsLastMinute, activeStreams, tokensToday }
+     */
+    getUsage(key) {
+        const state = this._getState(key)
+        return {
+            requestsLastMinute: state.requests.length,
+            activeStreams: state.activeStreams,
+            tokensToday: state.tokens
+        }
+    }
+
+    /**
+     * 检查并占用一次请求额度
+     * @param {object} record - 密钥记录
+     * @param {boolean} stream - 是否为流式请求
+     * @returns {object} { allowed, headers, type, message, retryAfter }
+     */
+    consume(record, stream = false) {
+        const state = this._getState(record.key)
+        const now = Date.now()
+        const headers = {}
+
+        if (record.tokensPerDay !== null) {
+            headers['x-ratelimit-limit-tokens'] = String(record.tokensPerDay)
+            headers['x-ratelimit-remaining-tokens'] = String(Math.max(0, record.tokensPerDay - state.tokens))
+            headers['x-ratelimit-reset-tokens'] = formatResetDuration(msUntilTomorrow())
+        }
+
+        let resetRequests = 0
+        if (record.rpm !== null) {
+            resetRequests = state.requests.length > 0 ? RPM_WINDOW - (now - state.requests[0]) : RPM_WINDOW
+            headers['x-ratelimit-limit-requests'] = String(record.rpm)
+            headers['x-ratelimit-remaining-requests'] = String(Math.max(0, record.rpm - state.requests.length))
+            headers['x-ratelimit-reset-requests'] = formatResetDuration(resetRequests)
+        }
+
+        if (record.tokensPerDay !== null && state.tokens >= record.tokensPerDay) {
+            return {
+                allowed: false,
+                headers,
+                type: 'tokens',
+                message: `Rate limit reached on tokens per day (TPD): Limit ${record.tokensPerDay}, Used ${state.tokens}. Please try again in ${formatResetDuration(msUntilTomorrow())}.`,
+                retryAfter: Math.ceil(msUntilTomorrow() / 1000)
+            }
+        }
+
+        if (record.rpm !== null && state.requests.length >= record.rpm) {
+            return {
+                allowed: false,
+                headers,
+                type: 'requests',
+                message: `Rate limit reached on requests per min (RPM): Limit ${record.rpm}, Used ${state.requests.length}, Requested 1. Please try again in ${formatResetDuration(resetRequests)}.`,
+                retryAfter: Math.ceil(resetRequests / 1000)
+            }
+        }
+
+        if (stream && record.maxConcurrentStreams !== null && state.activeStreams >= record.maxConcurrentStreams) {
+            return {
+                allowed: false,
+                headers,
+                type: 'requests',
+                message: `Concurrent stream limit reached: Limit ${record.maxConcurrentStreams}. Please wait for an active stream to finish.`,
+                retryAfter: 1
+            }
+        }
+
+        state.requests.push(now)
+        if (record.rpm !== null) {
+            headers['x-ratelimit-remaining-requests'] = String(Math.max(0, record.rpm - state.requests.length))
+        }
+        if (stream) {
+            state.activeStreams++
+        }
+        return { allowed: true, headers }
+    }
+
+    /**
+     * 释放一个并发流
+     * @param {string} key - 密钥
+     */
+    releaseStream(key) {
+        const state = this.usage.get(key)
+        if (state && state.activeStreams > 0) {
+            state.activeStreams--
+        }
+    }
+
+    /**
+     * 记录密钥消耗的token
+     * @param {string} key - 密钥
+     * @param {number} tokens - token数量
+     */
+    recordTokens(key, tokens) {
+        if (!key || !this.records.has(key) || !Number.isFinite(tokens) || tokens <= 0) {
+            return
+        }
+        this._getState(key).tokens += tokens
+    }
+}
+
+module.exports = new ApiKeyManager()
@@ -0,0 +1,258 @@
+const fs = require('fs').promises
+const path = require('path')
+const config = require('../config/index.js')
+const dataPersistence = require('./data-persistence')
+const clusterState = require('./cluster-state')
+const { logger } = require('./logger')
+
+// 备份文件的格式标识和版本，数据结构不兼容时递增版本
+const ARCHIVE_FORMAT = 'qwen2api-backup'
+const ARCHIVE_VERSION = 1
+// 本地备份文件名，时间戳中的 : 和 . 替换为 -
+const BACKUP_PREFIX = 'qwen2api-backup-'
+const BACKUP_NAME_PATTERN = /^qwen2api-backup-[\w-]+\.json$/
+// 以键值对保存的数据，合并导入时按键覆盖
+const MAP_SECTIONS = ['proxyBindings', 'proxyStatuses', 'proxySubscriptions', 'videoJobs', 'settings', 'apiKeys', 'usage']
+const IMPORT_MODES = ['merge', 'replace']
+
+/**
+ * 判断是否为普通对象
+ * @param {any} value - 待检查的值
+ * @returns {boolean} 是否为普通对象
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * 合并导入的数据：账户按邮箱合并字段，其余数据按键覆盖
+ * @param {object} current - 存储中的数据
+ * @param {object} incoming - 导入的数据
+ * @returns {object} 合并后的数据
+ */
+const mergeData = (current, incoming) => {
+    const accounts = new Map(current.accounts.map(account => [account.email, account]))
+    for (const account of incoming.accounts) {
+        accounts.set(account.email, { ...accounts.get(account.email), ...account })
+    }
+
+    const merged = { accounts: [...accounts.values()] }
+    for (const section of MAP_SECTIONS) {
+        merged[section] = { ...current[section], ...incoming[section] }
+    }
+    return merged
+}
+
+/**
+ * 统计数据中各项的数量
+ * @param {object} data - data.json 结构的数据
+ * @returns {object} 各项数量
+ */
+const summarize = (data) => ({
+    accounts: data.accounts.length,
+    cliAccounts: data.accounts.filter(account => account.cli_info).length,
+    proxies: Object.keys(data.proxyStatuses || {}).length,
+    proxyBindings: Object.keys(data.proxyBindings || {}).length,
+    settings: Object.keys(data.settings || {}).length,
+    apiKeys: Object.keys(data.apiKeys || {}).length
+})
+
+/**
+ * 数据备份与恢复
+ * 备份文件为带版本号的 JSON，包含账户（含 CLI 令牌）、代理状态与绑定、代理订阅、设置、API Key、视频任务和用量统计，
+ * 可以导入到任意 DATA_SAVE_MODE 的存储中，用于在不同存储之间迁移
+ */
+class BackupManager {
+    constructor() {
+        this.backupTimer = null
+    }
+
+    /**
+     * 按配置开始定时备份，多进程运行时只有主进程执行备份
+     */
+    start() {
+        if (this.backupTimer || config.backupInterval <= 0) {
+            return
+        }
+        this.backupTimer = setInterval(() => {
+            if (!clusterState.isLeader()) {
+                return
+            }
+            this.createBackup().catch(error => logger.error('定时备份失败', 'BACKUP', '', error))
+        }, config.backupInterval * 1000)
+        this.backupTimer.unref()
+        logger.info(`已开启定时备份，每 ${config.backupInterval} 秒备份到 ${path.resolve(config.backupDir)}，保留 ${config.backupRetention} 份`, 'BACKUP')
+    }
+
+    /**
+     * 停止定时备份
+     */
+    stop() {
+        if (this.backupTimer) {
+            clearInterval(this.backupTimer)
+            this.backupTimer = null
+        }
+    }
+
+    /**
+     * 导出全部数据
+     * @returns {Promise<object>} 备份内容 { format, version, createdAt, dataSaveMode, data }
+     */
+    async exportArchive() {
+        return {
+            format: ARCHIVE_FORMAT,
+            version: ARCHIVE_VERSION,
+            createdAt: new Date().toISOString(),
+            dataSaveMode: config.dataSaveMode,
+            data: await dataPersistence.exportData()
+        }
+    }
+
+    /**
+     * 校验备份内容并取出其中的数据，也可以直接传入 data.json 的内容
+     * @param {object} archive - 备份内容
+     * @returns {object} data.json 结构的数据
+     */
+    parseArchive(archive) {
+        if (!isPlainObject(archive)) {
+            throw new Error('备份内容必须是 JSON 对象')
+        }
+
+        let data = archive
+        if (archive.format !== undefined) {
+            if (archive.format !== ARCHIVE_FORMAT) {
+                throw new Error(`不支持的备份格式: ${archive.format}`)
+            }
+            if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+                throw new Error(`不支持的备份版本: ${archive.version}`)
+            }
+            data = archive.data
+        }
+
+        // 缺少账户列表时视为无效内容，避免替换导入时清空全部数据
+        if (!isPlainObject(data) || !Array.isArray(data.accounts)) {
+            throw new Error('备份内容缺少 accounts 列表')
+        }
+        if (data.accounts.some(account => !isPlainObject(account) || typeof account.email !== 'string' || !account.email)) {
+            throw new Error('备份中的账户缺少 email')
+        }
+        for (const section of MAP_SECTIONS) {
+            if (data[section] !== undefined && !isPlainObject(data[section])) {
+                throw new Error(`备份中的 ${section} 必须是对象`)
+            }
+        }
+
+        const parsed = { accounts: data.accounts }
+        for (const section of MAP_SECTIONS) {
+            parsed[section] = data[section] || {}
+        }
+        return parsed
+    }
+
+    /**
+     * 将备份导入当前存储
+     * @param {object} archive - 备份内容
+     * @param {string} mode - merge 合并到现有数据，replace 替换全部数据
+     * @returns {Promise<object>} 导入后存储中各项的数量
+     */
+    async importArchive(archive, mode = 'merge') {
+        if (!IMPORT_MODES.includes(mode)) {
+            throw new Error(`不支持的导入方式: ${mode}`)
+        }
+
+        const incoming = this.parseArchive(archive)
+        const data = mode === 'replace' ? incoming : mergeData(await dataPersistence.exportData(), incoming)
+        await dataPersistence.replaceData(data)
+
+        const summary = summarize(data)
+        logger.success(`已${mode === 'replace' ? '替换' : '合并'}导入备份: ${summary.accounts} 个账户，${summary.proxies} 个代理`, 'BACKUP')
+        return summary
+    }
+
+    /**
+     * 重新加载导入后的数据，使其在当前进程中立即生效
+     * 其他工作进程不会重新加载账户和代理，需要重启
+     * @returns {Promise<void>}
+     */
+    async reloadServices() {
+        const accountManager = require('./account')
+        const runtimeConfig = require('./runtime-config')
+        const proxyImporter = require('./proxy-import')
+
+        proxyImporter.stop()
+        await accountManager.reload()
+        await runtimeConfig.reload()
+        await proxyImporter.init()
+    }
+
+    /**
+     * 在备份目录中创建一份备份，并清理超出保留数量的旧备份
+     * @returns {Promise<object>} { name, size, createdAt }
+     */
+    async createBackup() {
+        const archive = await this.exportArchive()
+        const dir = path.resolve(config.backupDir)
+        const name = `${BACKUP_PREFIX}${archive.createdAt.replace(/[:.]/g, '-')}.json`
+        const filePath = path.join(dir, name)
+        const content = JSON.stringify(archive, null, 2)
+
+        // 先写入临时文件再重命名，避免中断时留下不完整的备份
+        await fs.mkdir(dir, { recursive: true })
+        await fs.writeFile(`${filePath}.tmp`, content, 'utf8')
+        await fs.rename(`${filePath}.tmp`, filePath)
+        logger.success(`已创建备份 ${name}`, 'BACKUP')
+
+        await this._pruneBackups()
+        return { name, size: Buffer.byteLength(content), createdAt: archive.createdAt }
+    }
+
+    /**
+     * 获取备份目录中的备份，按时间从新到旧排列
+     * @returns {Promise<Array<object>>} [{ name, size, createdAt }]
+     */
+    async listBackups() {
+        const dir = path.resolve(config.backupDir)
+        let names
+        try {
+            names = await fs.readdir(dir)
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return []
+            }
+            throw error
+        }
+
+        const backups = []
+        for (const name of names.filter(name => BACKUP_NAME_PATTERN.test(name)).sort().reverse()) {
+            const stat = await fs.stat(path.join(dir, name))
+            backups.push({ name, size: stat.size, createdAt: stat.mtime.toISOString() })
+        }
+        return backups
+    }
+
+    /**
+     * 读取备份目录中的备份
+     * @param {string} name - 备份文件名
+     * @returns {Promise<object>} 备份内容
+     */
+    async readBackup(name) {
+        if (typeof name !== 'string' || !BACKUP_NAME_PATTERN.test(name)) {
+            throw new Error('无效的备份文件名')
+        }
+        const content = await fs.readFile(path.join(path.resolve(config.backupDir), name), 'utf8')
+        return JSON.parse(content)
+    }
+
+    /**
+     * 删除超出保留数量的旧备份
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _pruneBackups() {
+        const backups = await this.listBackups()
+        for (const backup of backups.slice(Math.max(config.backupRetention, 1))) {
+            await fs.unlink(path.join(path.resolve(config.backupDir), backup.name))
+            logger.info(`已删除旧备份 ${backup.name}`, 'BACKUP')
+        }
+    }
+}
+
+module.exports = new BackupManager()
@@ -3,6 +3,19 @@ const { sha256Encrypt, generateUUID } = require('./tools.js');
 const { uploadFileToQwenOss } = require('./upload.js');
 const accountManager = require('./account.js');
 const CacheManager = require('./img-caches.js');
+const config = require('../config/index.js');
+
+// 支持的思考输出方式
+const REASONING_FORMATS = ['reasoning_content', 'think', 'none'];
+
+// 上游支持的图片/视频比例
+const SIZE_RATIOS = {
+    '1:1': 1,
+    '4:3': 4 / 3,
+    '3:4': 3 / 4,
+    '16:9': 16 / 9,
+    '9:16': 9 / 16
+};
 
 /**
  * 判断聊天类型
@@ -54,6 +67,76 @@ const isThinkingEnabled = (model, enable_thinking, thinking_budget) => {
     return thinking_config;
 }
 
+/**
+ * 获取思考内容的输出方式
+ * - reasoning_content: 通过独立的 reasoning_content 字段输出
+ * - think: 以 <think> 标签内联到 content 中
+ * - none: 丢弃思考内容
+ * @param {string} reasoning_format - 请求指定的输出方式
+ * @returns {string} 输出方式，未指定或无效时使用全局配置
+ */
+const getReasoningFormat = (reasoning_format) => {
+    if (REASONING_FORMATS.includes(reasoning_format)) {
+        return reasoning_format;
+    }
+    if (REASONING_FORMATS.includes(config.reasoningFormat)) {
+        return config.reasoningFormat;
+    }
+    return config.outThink ? 'think' : 'none';
+}
+
+/**
+ * 校验并解析采样和长度参数
+ * max_completion_tokens 优先于 max_tokens，stop 统一为数组（最多 4 个）
+ * @param {object} body - OpenAI 格式的请求体
+ * @returns {{params: object, error: object|null}} params 只包含请求中指定的参数；
+ * 参数无效时 error 为 { param, message }
+ */
+const parseGenerationParams = (body = {}) => {
+    const params = {};
+    const { temperature, top_p, seed, stop } = body;
+    const max_tokens = body.max_completion_tokens ?? body.max_tokens;
+    const maxTokensParam = body.max_completion_tokens !== undefined && body.max_completion_tokens !== null ? 'max_completion_tokens' : 'max_tokens';
+
+    if (temperature !== undefined && temperature !== null) {
+        if (typeof temperature !== 'number' || temperature < 0 || temperature > 2) {
+            return { params, error: { param: 'temperature', message: 'temperature must be a number between 0 and 2' } };
+        }
+        params.temperature = temperature;
+    }
+
+    if (top_p !== undefined && top_p !== null) {
+        if (typeof top_p !== 'number' || top_p <= 0 || top_p > 1) {
+            return { params, error: { param: 'top_p', message: 'top_p must be a number greater than 0 and at most 1' } };
+        }
+        params.top_p = top_p;
+    }
+
+    if (max_tokens !== undefined && max_tokens !== null) {
+        if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+            return { params, error: { param: maxTokensParam, message: `${maxTokensParam} must be a positive integer` } };
+        }
+        params.max_tokens = max_tokens;
+    }
+
+    if (seed !== undefined && seed !== null) {
+        if (!Number.isInteger(seed)) {
+            return { params, error: { param: 'seed', message: 'seed must be an integer' } };
+        }
+        params.seed = seed;
+    }
+
+    if (stop !== undefined && stop !== null) {
+        const sequences = Array.isArray(stop) ? stop : [stop];
+        if (sequences.length > 4 || sequences.some(item => typeof item !== 'string')) {
+            return { params, error: { param: 'stop', message: 'stop must be a string or an array of at most 4 strings' } };
+        }
+        params.stop = sequences.filter(item => item.length > 0);
+    }
+
+    return { params, error: null };
+}
+
 /**
  * 解析模型名称,移除特殊后缀
  * @param {string} model - 原始模型名称
@@ -76,6 +159,31 @@ const parserModel = (model) => {
     }
 }
 
+/**
+ * 将尺寸参数转换为上游支持的比例
+ * 像素尺寸（如 1024x1792）会取最接近的比例
+ * @param {string} size - 尺寸
+ * @returns {string|null|undefined} 比例，未指定时为 null，无法识别时为 undefined
+ */
+const parseSizeRatio = (size) => {
+    if (!size || size === 'auto') {
+        return null;
+    }
+    if (SIZE_RATIOS[size]) {
+        return size;
+    }
+
+    const match = String(size).match(/^(\d+)\s*[x*×]\s*(\d+)$/i);
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+        return undefined;
+    }
+
+    const ratio = Number(match[1]) / Number(match[2]);
+    return Object.keys(SIZE_RATIOS).reduce((best, key) => {
+        return Math.abs(Math.log(ratio / SIZE_RATIOS[key])) < Math.abs(Math.log(ratio / SIZE_RATIOS[best])) ? key : best;
+    }, '1:1');
+}
+
 /**
  * 从消息中提取文本内容
  * @param {string|Array} content - 消息内容
@@ -177,12 +285,12 @@ const parserMessages = async (messages, thinking_config, chat_type) => {
 
                         try {
                             const buffer = Buffer.from(base64, 'base64');
-                            const cacheIsExist = imgCacheManager.cacheIsExist(signature);
+                            const cacheIsExist = await imgCacheManager.cacheIsExist(signature);
                             
                             if (cacheIsExist) {
                                 finalContent.push({
                                     type: 'image',
-                                    image: imgCacheManager.getCache(signature).url
+                                    image: (await imgCacheManager.getCache(signature)).url
                                 });
                             } else {
                                 const uploadResult = await uploadFileToQwenOss(buffer, filename, accountManager.getAccountToken());
@@ -191,7 +299,7 @@ const parserMessages = async (messages, thinking_config, chat_type) => {
                                         type: 'image',
                                         image: uploadResult.file_url
                                     });
-                                    imgCacheManager.addCache(signature, uploadResult.file_url);
+                                    await imgCacheManager.addCache(signature, uploadResult.file_url);
                                 }
                             }
                         } catch (error) {
@@ -303,11 +411,11 @@ const processOriginalLogic = async (messages, thinking_config, chat_type, imgCac
 
                         try {
                             const buffer = Buffer.from(base64, 'base64');
-                            const cacheIsExist = imgCacheManager.cacheIsExist(signature);
+                            const cacheIsExist = await imgCacheManager.cacheIsExist(signature);
                             if (cacheIsExist) {
                                 delete item.image_url;
                                 item.type = 'image';
-                                item.image = imgCacheManager.getCache(signature).url;
+                                item.image = (await imgCacheManager.getCache(signature)).url;
                                 newContent.push(item);
                             } else {
                                 const uploadResult = await uploadFileToQwenOss(buffer, filename, accountManager.getAccountToken());
@@ -315,7 +423,7 @@ const processOriginalLogic = async (messages, thinking_config, chat_type, imgCac
                                     delete item.image_url;
                                     item.type = 'image';
                                     item.image = uploadResult.file_url;
-                                    imgCacheManager.addCache(signature, uploadResult.file_url);
+                                    await imgCacheManager.addCache(signature, uploadResult.file_url);
                                     newContent.push(item);
                                 }
                             }
@@ -371,6 +479,9 @@ const processOriginalLogic = async (messages, thinking_config, chat_type, imgCac
 module.exports = {
     isChatType,
     isThinkingEnabled,
+    getReasoningFormat,
+    parseGenerationParams,
+    parseSizeRatio,
     parserModel,
     parserMessages
 }
@@ -1,6 +1,6 @@
 const crypto = require('crypto');
 const fetch = require('node-fetch');
-const { SocksProxyAgent } = require('socks-proxy-agent');
+const { getFetchAgent } = require('./proxy-agent');
 const { logger } = require('./logger');
 
 // 辅助函数：创建 fetch 请求的 options
@@ -12,12 +12,9 @@ const createFetchOptions = (proxy, method = 'POST', headers = {}, body = null) =
     if (body) {
         options.body = body;
     }
-    if (proxy) {
-        try {
-            options.agent = new SocksProxyAgent(proxy);
-        } catch (e) {
-            logger.error(`创建SocksProxyAgent失败: ${e.message}`, 'PROXY');
-        }
+    const agent = getFetchAgent(proxy);
+    if (agent) {
+        options.agent = agent;
     }
     return options;
 };
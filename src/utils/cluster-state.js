@@ -0,0 +1,271 @@
+const crypto = require('crypto')
+const os = require('os')
+const config = require('../config/index.js')
+const redis = require('./redis')
+const { logger } = require('./logger')
+
+// 共享状态在 Redis 中的键名前缀和事件频道
+const KEY_PREFIX = 'qwen2api:cluster:'
+const LEADER_KEY = `${KEY_PREFIX}leader`
+const EVENT_CHANNEL = 'qwen2api:cluster-events'
+// 主进程租约时长和续约间隔，主进程退出后最多一个租约时长内由其他进程接替
+const LEADER_TTL = 30 * 1000
+const LEADER_RENEW_INTERVAL = 10 * 1000
+// 只在租约仍属于当前进程时续约
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end"
+
+/**
+ * 多进程共享状态
+ * DATA_SAVE_MODE=redis 时通过 Redis 在 PM2 / 集群的各个工作进程之间共享计数器、账户状态和缓存，
+ * 并选举一个主进程执行定时任务；其他存储模式下每个进程独立运行，并且都视为主进程
+ */
+class ClusterState {
+    constructor() {
+        this.enabled = config.dataSaveMode === 'redis' && Boolean(redis)
+        this.id = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+        this.leader = !this.enabled
+        this.leaderTimer = null
+        this.started = false
+        this.handlers = new Map()
+    }
+
+    /**
+     * 订阅其他进程的事件并开始选举主进程
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.enabled || this.started) {
+            return
+        }
+        this.started = true
+
+        try {
+            await redis.subscribe(EVENT_CHANNEL, (raw) => this._dispatch(raw))
+        } catch (error) {
+            logger.error('订阅多进程事件频道失败', 'CLUSTER', '', error)
+        }
+
+        await this._elect()
+        this.leaderTimer = setInterval(() => this._elect(), LEADER_RENEW_INTERVAL)
+        this.leaderTimer.unref()
+    }
+
+    /**
+     * 停止选举，主进程身份在租约到期后由其他进程接替
+     */
+    stop() {
+        if (this.leaderTimer) {
+            clearInterval(this.leaderTimer)
+            this.leaderTimer = null
+        }
+        this.leader = !this.enabled
+    }
+
+    /**
+     * 当前进程是否为主进程，只有主进程执行令牌自动刷新等定时任务
+     * @returns {boolean} 是否为主进程
+     */
+    isLeader() {
+        return this.leader
+    }
+
+    /**
+     * 获取共享状态信息
+     * @returns {object} { enabled, id, leader }
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            id: this.id,
+            leader: this.leader
+        }
+    }
+
+    /**
+     * 注册其他进程发布的事件的处理函数
+     * @param {string} type - 事件类型
+     * @param {Function} handler - 处理函数 (payload) => void
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, [])
+        }
+        this.handlers.get(type).push(handler)
+    }
+
+    /**
+     * 向其他进程发布事件，当前进程不会收到自己发布的事件
+     * @param {string} type - 事件类型
+     * @param {any} payload - 事件内容，需可序列化为 JSON
+     * @returns {Promise<void>}
+     */
+    async publish(type, payload = null) {
+        if (!this.enabled) {
+            return
+        }
+        try {
+            await redis.publish(EVENT_CHANNEL, JSON.stringify({ sender: this.id, type, payload }))
+        } catch (error) {
+            logger.error(`发布多进程事件 ${type} 失败`, 'CLUSTER', '', error)
+        }
+    }
+
+    /**
+     * 增加共享计数器
+     * @param {string} name - 计数器名称
+     * @param {string} field - 计数项，如账户邮箱
+     * @param {number} amount - 增加的数量
+     * @returns {Promise<number>} 增加后的计数
+     */
+    async incrementCounter(name, field, amount = 1) {
+        return Number(await redis.hincrby(`${KEY_PREFIX}counter:${name}`, field, amount))
+    }
+
+    /**
+     * 获取共享计数器的全部计数
+     * @param {string} name - 计数器名称
+     * @returns {Promise<object>} { 计数项: 计数 }
+     */
+    async getCounters(name) {
+        const raw = await redis.hgetall(`${KEY_PREFIX}counter:${name}`)
+        const counters = {}
+        for (const [field, value] of Object.entries(raw || {})) {
+            counters[field] = Number(value) || 0
+        }
+        return counters
+    }
+
+    /**
+     * 清空共享计数器
+     * @param {string} name - 计数器名称
+     * @returns {Promise<void>}
+     */
+    async resetCounters(name) {
+        await redis.del(`${KEY_PREFIX}counter:${name}`)
+    }
+
+    /**
+     * 设置共享表中的一项，并通知其他进程
+     * 其他进程通过 on(name, ({ key, value }) => {}) 接收，value 为 null 表示已删除
+     * @param {string} name - 共享表名称
+     * @param {string} key - 键
+     * @param {object|null} value - 值，为 null 时删除
+     * @returns {Promise<void>}
+     */
+    async setEntry(name, key, value) {
+        const hashKey = `${KEY_PREFIX}map:${name}`
+        if (value === null) {
+            await redis.hdel(hashKey, key)
+        } else {
+            await redis.hset(hashKey, key, JSON.stringify(value))
+        }
+        await this.publish(name, { key, value })
+    }
+
+    /**
+     * 获取共享表中的全部项
+     * @param {string} name - 共享表名称
+     * @returns {Promise<object>} { 键: 值 }
+     */
+    async getEntries(name) {
+        const raw = await redis.hgetall(`${KEY_PREFIX}map:${name}`)
+        const entries = {}
+        for (const [key, value] of Object.entries(raw || {})) {
+            try {
+                entries[key] = JSON.parse(value)
+            } catch (error) {
+                logger.warn(`忽略无法解析的共享数据 ${name}:${key}`, 'CLUSTER')
+            }
+        }
+        return entries
+    }
+
+    /**
+     * 读取共享缓存
+     * @param {string} name - 缓存名称
+     * @param {string} key - 缓存键
+     * @returns {Promise<string|null>} 缓存值，不存在时返回 null
+     */
+    async getCache(name, key) {
+        return redis.get(`${KEY_PREFIX}cache:${name}:${key}`)
+    }
+
+    /**
+     * 写入共享缓存
+     * @param {string} name - 缓存名称
+     * @param {string} key - 缓存键
+     * @param {string} value - 缓存值
+     * @param {number} ttl - 过期时间（秒）
+     * @returns {Promise<void>}
+     */
+    async setCache(name, key, value, ttl) {
+        await redis.set(`${KEY_PREFIX}cache:${name}:${key}`, value, 'EX', ttl)
+    }
+
+    /**
+     * 获取或续约主进程租约
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _elect() {
+        try {
+            if (this.leader) {
+                const renewed = await redis.eval(RENEW_SCRIPT, 1, LEADER_KEY, this.id, LEADER_TTL)
+                if (Number(renewed) === 1) {
+                    return
+                }
+            }
+            const acquired = await redis.set(LEADER_KEY, this.id, 'PX', LEADER_TTL, 'NX')
+            this._setLeader(acquired === 'OK')
+        } catch (error) {
+            // 无法确认租约时放弃主进程身份，避免多个进程同时执行定时任务
+            logger.error('主进程选举失败', 'CLUSTER', '', error)
+            this._setLeader(false)
+        }
+    }
+
+    /**
+     * 更新主进程身份
+     * @param {boolean} leader - 是否为主进程
+     * @private
+     */
+    _setLeader(leader) {
+        if (leader === this.leader) {
+            return
+        }
+        this.leader = leader
+        if (leader) {
+            logger.info(`进程 ${process.pid} 成为主进程，负责执行定时任务`, 'CLUSTER', '👑')
+        } else {
+            logger.info(`进程 ${process.pid} 不再是主进程`, 'CLUSTER')
+        }
+    }
+
+    /**
+     * 分发其他进程发布的事件
+     * @param {string} raw - 消息内容
+     * @private
+     */
+    _dispatch(raw) {
+        let message
+        try {
+            message = JSON.parse(raw)
+        } catch (error) {
+            logger.warn(`无法解析多进程事件: ${error.message}`, 'CLUSTER')
+            return
+        }
+        if (!message || message.sender === this.id) {
+            return
+        }
+
+        for (const handler of this.handlers.get(message.type) || []) {
+            try {
+                handler(message.payload)
+            } catch (error) {
+                logger.error(`处理多进程事件 ${message.type} 失败`, 'CLUSTER', '', error)
+            }
+        }
+    }
+}
+
+module.exports = new ClusterState()
@@ -0,0 +1,114 @@
+const cluster = require('cluster')
+const fs = require('fs')
+const path = require('path')
+const config = require('../config/index.js')
+const redis = require('./redis')
+const dataPersistence = require('./data-persistence')
+const { logger } = require('./logger')
+
+// 进程间配置同步使用的消息类型（集群 IPC）和频道（Redis）
+const CONFIG_SYNC_MESSAGE = 'qwen2api:config-sync'
+const CONFIG_SYNC_CHANNEL = 'qwen2api:config-sync'
+// 文件和 SQLite 模式下检查数据变化的间隔
+const FILE_WATCH_INTERVAL = 2000
+const DATA_FILE = path.join(__dirname, '../../data/data.json')
+
+/**
+ * 判断是否为 Node.js 集群模式的工作进程
+ * PM2 的集群模式同样基于 cluster，但它的主进程不会转发自定义消息
+ * @returns {boolean} 是否可以通过主进程转发消息
+ */
+const isClusterWorker = () => cluster.isWorker && process.env.pm_id === undefined && typeof process.send === 'function'
+
+/**
+ * 多进程配置同步
+ * - Node.js 集群模式：通过主进程转发 IPC 消息
+ * - Redis 模式：通过 Redis 发布订阅
+ * - 文件模式：监听 data.json 的变化（适用于 PM2 多进程）
+ * - SQLite 模式：检查数据库的 data_version，其他进程提交写入后会变化
+ */
+class ConfigSync {
+    constructor() {
+        this.started = false
+        this.watchTimer = null
+    }
+
+    /**
+     * 开始接收其他进程的配置变更
+     * @param {Function} handler - 变更处理函数 (state) => void，state 为空时需自行从存储中读取
+     */
+    async start(handler) {
+        if (this.started) {
+            return
+        }
+        this.started = true
+
+        if (isClusterWorker()) {
+            process.on('message', (message) => {
+                if (message && message.type === CONFIG_SYNC_MESSAGE && message.pid !== process.pid) {
+                    handler(message.state)
+                }
+            })
+        }
+
+        if (config.dataSaveMode === 'redis' && redis) {
+            try {
+                await redis.subscribe(CONFIG_SYNC_CHANNEL, (raw) => {
+                    try {
+                        const message = JSON.parse(raw)
+                        if (message.pid !== process.pid) {
+                            handler(message.state)
+                        }
+                    } catch (error) {
+                        logger.warn(`无法解析配置同步消息: ${error.message}`, 'SYNC')
+                    }
+                })
+            } catch (error) {
+                logger.error('订阅配置同步频道失败', 'SYNC', '', error)
+            }
+        } else if (config.dataSaveMode === 'file') {
+            fs.watchFile(DATA_FILE, { interval: FILE_WATCH_INTERVAL, persistent: false }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) {
+                    handler(null)
+                }
+            })
+        } else if (config.dataSaveMode === 'sqlite') {
+            try {
+                const store = dataPersistence.getSqliteStore()
+                let dataVersion = store.getDataVersion()
+                this.watchTimer = setInterval(() => {
+                    const current = store.getDataVersion()
+                    if (current !== dataVersion) {
+                        dataVersion = current
+                        handler(null)
+                    }
+                }, FILE_WATCH_INTERVAL)
+                this.watchTimer.unref()
+            } catch (error) {
+                logger.error('监听 SQLite 数据变化失败', 'SYNC', '', error)
+            }
+        }
+    }
+
+    /**
+     * 通知其他进程配置已变更
+     * 文件模式下写入 data.json 本身即为通知
+     * @param {object} state - 变更后的共享配置
+     */
+    async publish(state) {
+        if (isClusterWorker()) {
+            process.send({ type: CONFIG_SYNC_MESSAGE, pid: process.pid, state })
+        }
+
+        if (config.dataSaveMode === 'redis' && redis) {
+            try {
+                await redis.publish(CONFIG_SYNC_CHANNEL, JSON.stringify({ pid: process.pid, state }))
+            } catch (error) {
+                logger.error('发布配置变更失败', 'SYNC', '', error)
+            }
+        }
+    }
+}
+
+module.exports = new ConfigSync()
+module.exports.CONFIG_SYNC_MESSAGE = CONFIG_SYNC_MESSAGE
@@ -0,0 +1,250 @@
+const config = require('../config/index.js')
+const { sha256Encrypt } = require('./tools.js')
+const { logger } = require('./logger')
+
+/**
+ * 提取消息中用于比对的文本
+ * @param {string|Array} content - 消息内容
+ * @returns {string} 文本
+ */
+const extractComparableText = (content) => {
+    if (typeof content === 'string') {
+        return content
+    } else if (Array.isArray(content)) {
+        return content.map(item => {
+            if (item.type === 'text') return item.text || ''
+            if (item.type === 'image' || item.type === 'image_url') return '[image]'
+            return ''
+        }).join('')
+    }
+    return ''
+}
+
+/**
+ * 将工具调用参数规范化，避免空白差异影响比对
+ * @param {string|object} args - 参数
+ * @returns {string} 规范化后的参数
+ */
+const canonicalArguments = (args) => {
+    try {
+        return JSON.stringify(typeof args === 'string' ? JSON.parse(args) : args ?? {})
+    } catch (e) {
+        return String(args)
+    }
+}
+
+/**
+ * 规范化单条消息用于计算会话哈希
+ * 去除思考内容和首尾空白，工具调用只比对函数名和参数
+ * @param {object} message - 消息
+ * @returns {string} 规范化字符串
+ */
+const normalizeMessage = (message) => {
+    const text = extractComparableText(message.content)
+        .replace(/<think>[\s\S]*?<\/think>/g, '')
+        .trim()
+    const toolCalls = Array.isArray(message.tool_calls)
+        ? message.tool_calls.map(call => `${call.function?.name}:${canonicalArguments(call.function?.arguments)}`)
+        : []
+    return JSON.stringify([message.role, text, toolCalls])
+}
+
+/**
+ * 计算消息前缀哈希链，chain[i] 表示前 i 条消息的哈希
+ * @param {Array} messages - 消息数组
+ * @param {string} model - 模型名称，不同模型不共享会话
+ * @param {string} seed - 起始哈希，默认由模型和 API Key 生成
+ * @param {string} owner - 请求使用的 API Key，不同 API Key 不共享会话
+ * @returns {Array<string>} 哈希链
+ */
+const computeMessageChain = (messages, model, seed = null, owner = '') => {
+    const chain = [seed || sha256Encrypt(`model:${model}:key:${owner}`)]
+    for (const message of messages) {
+        chain.push(sha256Encrypt(chain[chain.length - 1] + normalizeMessage(message)))
+    }
+    return chain
+}
+
+/**
+ * 计算单条消息的哈希，用于判断客户端是否重新发送了历史消息
+ * @param {object} message - 消息
+ * @returns {string} 哈希
+ */
+const hashMessage = (message) => sha256Encrypt(normalizeMessage(message))
+
+/**
+ * 判断指定会话ID的请求是否包含已记录的历史消息
+ * 只发送新消息的请求不会包含之前的系统提示或助手回复
+ * @param {Array} messages - 客户端发送的消息数组
+ * @param {object} session - 已记录的会话
+ * @returns {boolean} 是否包含历史消息
+ */
+const containsHistory = (messages, session) => {
+    const known = new Set(session.message_hashes)
+    return hashMessage(messages[0]) === session.message_hashes[0]
+        || messages.some(message => message.role !== 'user' && message.role !== 'tool' && known.has(hashMessage(message)))
+}
+
+/**
+ * 上游会话存储
+ * 记录对话对应的上游 chat_id、账户和最后一条回复的ID
+ */
+class ConversationStore {
+    constructor() {
+        this.sessions = new Map()
+        this.ttl = (config.conversationTTL || 3600) * 1000
+
+        // 定期清理过期会话
+        this.cleanupInterval = setInterval(() => this.cleanup(), 10 * 60 * 1000)
+        this.cleanupInterval.unref()
+    }
+
+    /**
+     * 获取会话
+     * @param {string} key - 会话键
+     * @returns {object|null} 会话信息
+     */
+    get(key) {
+        const session = this.sessions.get(key)
+        if (!session) {
+            return null
+        }
+        if (Date.now() - session.updated_at > this.ttl) {
+            this.sessions.delete(key)
+            return null
+        }
+        return session
+    }
+
+    /**
+     * 保存会话
+     * @param {string} key - 会话键
+     * @param {object} session - 会话信息 { chat_id, email, parent_id, model, message_count }，按会话ID记录时还包含 history_hash 和 message_hashes
+     */
+    set(key, session) {
+        this.sessions.set(key, { ...session, updated_at: Date.now() })
+    }
+
+    /**
+     * 删除会话
+     * @param {string} key - 会话键
+     */
+    delete(key) {
+        this.sessions.delete(key)
+    }
+
+    /**
+     * 清理过期会话
+     */
+    cleanup() {
+        const now = Date.now()
+        for (const [key, session] of this.sessions.entries()) {
+            if (now - session.updated_at > this.ttl) {
+                this.sessions.delete(key)
+            }
+        }
+    }
+}
+
+const conversationStore = new ConversationStore()
+
+/**
+ * 查找请求对应的上游会话
+ * @param {Array} messages - 客户端发送的消息数组
+ * @param {string} model - 模型名称
+ * @param {string|null} conversation_id - 客户端指定的会话ID
+ * @param {string} owner - 请求使用的 API Key，会话只对同一 API Key 可见
+ * @returns {object} { conversation_id, owner, model, message_count, chain, message_hashes, session, key, newMessages }
+ */
+const findConversation = (messages, model, conversation_id = null, owner = '') => {
+    const conversation = {
+        conversation_id,
+        owner,
+        model,
+        message_count: messages.length,
+        chain: computeMessageChain(messages, model, null, owner),
+        message_hashes: null,
+        session: null,
+        key: null,
+        newMessages: messages
+    }
+
+    if (conversation_id) {
+        const key = `id:${owner}:${conversation_id}`
+        const session = conversationStore.get(key)
+        conversation.message_hashes = messages.map(hashMessage)
+        if (!session || session.model !== model || !session.history_hash) {
+            return conversation
+        }
+
+        // 客户端既可以发送完整历史，也可以只发送新的消息；修改或删减了历史时开始新的上游会话
+        if (messages.length > session.message_count && conversation.chain[session.message_count] === session.history_hash) {
+            conversation.session = session
+            conversation.key = key
+            conversation.newMessages = messages.slice(session.message_count)
+        } else if (!containsHistory(messages, session)) {
+            conversation.session = session
+            conversation.key = key
+            conversation.message_count = session.message_count + messages.length
+            conversation.chain = computeMessageChain(messages, model, session.history_hash)
+            conversation.message_hashes = [...session.message_hashes, ...conversation.message_hashes]
+        } else {
+            logger.info(`会话 ${conversation_id} 的消息历史已被修改，开始新的上游会话`, 'CONVERSATION')
+        }
+        return conversation
+    }
+
+    // 从最长的前缀开始匹配已记录的会话
+    for (let i = messages.length - 1; i > 0; i--) {
+        const key = `hash:${conversation.chain[i]}`
+        const session = conversationStore.get(key)
+        if (session) {
+            conversation.session = session
+            conversation.key = key
+            conversation.newMessages = messages.slice(i)
+            break
+        }
+    }
+
+    return conversation
+}
+
+/**
+ * 记录一轮对话完成后的会话状态
+ * @param {object} conversation - findConversation 的返回值
+ * @param {object} turn - 本轮信息 { chat_id, email, parent_id, reply }
+ */
+const saveConversationTurn = (conversation, turn) => {
+    const { chat_id, email, parent_id, reply } = turn
+    const { owner, model, message_count, chain } = conversation
+    if (!chat_id || !email || !parent_id) {
+        return
+    }
+
+    const session = {
+        chat_id,
+        email,
+        parent_id,
+        model,
+        message_count: message_count + 1
+    }
+
+    // 记录包含本轮回复的完整历史哈希，下一轮据此判断客户端发送的消息
+    const history_hash = computeMessageChain([reply], model, chain[chain.length - 1])[1]
+    if (conversation.conversation_id) {
+        conversationStore.set(`id:${owner}:${conversation.conversation_id}`, {
+            ...session,
+            history_hash,
+            message_hashes: [...conversation.message_hashes, hashMessage(reply)]
+        })
+    } else {
+        conversationStore.set(`hash:${history_hash}`, session)
+    }
+    logger.info(`记录上游会话 ${chat_id} (账户: ${email})`, 'CONVERSATION')
+}
+
+module.exports = {
+    conversationStore,
+    findConversation,
+    saveConversationTurn
+}
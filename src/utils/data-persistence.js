@@ -1,48 +1,436 @@
 const fs = require('fs').promises;
+const fsSync = require('fs');
 const path = require('path');
 const { logger } = require('./logger');
 const redis = require('./redis');
+const SqliteStore = require('./sqlite-store');
+
+const REDIS_DATA_KEY = 'qwen_proxy_data';
+// 合并写入的等待时间，期间的多次修改只写入一次
+const WRITE_DELAY = 100;
+// 写入失败后重试的等待时间
+const WRITE_RETRY_DELAY = 1000;
+// 等待文件锁的超时时间和重试间隔
+const LOCK_TIMEOUT = 10 * 1000;
+const LOCK_RETRY_DELAY = 50;
+// 锁文件超过该时间未释放视为持有进程已异常退出
+const LOCK_STALE = 30 * 1000;
+// 收到终止信号后等待写入完成的最长时间
+const SHUTDOWN_TIMEOUT = 10 * 1000;
 
 class DataPersistence {
     constructor() {
         this.mode = process.env.DATA_SAVE_MODE || 'none';
         this.filePath = path.join(__dirname, '../../data/data.json');
+        this.sqlitePath = process.env.SQLITE_PATH ? path.resolve(process.env.SQLITE_PATH) : path.join(__dirname, '../../data/data.db');
+        this.sqlite = null;
         this.cache = null;
+        this.loading = null;
+        // 等待写入的修改和串行执行的写入链
+        this.pendingChanges = [];
+        this.writeTimer = null;
+        this.writeChain = Promise.resolve();
+        // 当前进程是否持有文件锁，用于判断锁文件中的 PID 是否由其他容器中的同号进程写入
+        this.lockHeld = false;
+    }
+
+    // 数据文件的备份和锁文件
+    get backupPath() {
+        return `${this.filePath}.bak`;
+    }
+
+    get lockPath() {
+        return `${this.filePath}.lock`;
+    }
+
+    /**
+     * 获取 SQLite 存储，首次使用时打开数据库并从 data.json 迁移
+     * @returns {SqliteStore} SQLite 存储
+     */
+    getSqliteStore() {
+        if (!this.sqlite) {
+            const store = new SqliteStore(this.sqlitePath).open();
+            store.migrateFromJson(this.filePath);
+            this.sqlite = store;
+        }
+        return this.sqlite;
+    }
+
+    /**
+     * 执行 SQLite 操作，失败时记录错误并返回默认值
+     * @param {Function} action - 接收 SqliteStore 的操作
+     * @param {any} fallback - 失败时的返回值
+     * @returns {any} 操作结果
+     * @private
+     */
+    _withSqlite(action, fallback = undefined) {
+        try {
+            return action(this.getSqliteStore());
+        } catch (error) {
+            logger.error('SQLite 数据操作失败', 'DATA', '', error);
+            return fallback;
+        }
     }
 
     async _getData() {
         if (this.cache) {
             return this.cache;
         }
+        // 并发调用时只读取一次
+        if (!this.loading) {
+            this.loading = this._loadData().finally(() => {
+                this.loading = null;
+            });
+        }
+        return this.loading;
+    }
 
+    /**
+     * 从存储中加载数据到缓存
+     * @returns {Promise<Object>} 加载的数据
+     * @private
+     */
+    async _loadData() {
         try {
             if (this.mode === 'file') {
-                const data = await fs.readFile(this.filePath, 'utf8');
-                this.cache = JSON.parse(data);
+                const { data, corrupted } = await this._readDataFile();
+                if (!data) {
+                    logger.info(corrupted ? '数据文件已损坏且没有可用的备份，正在创建默认文件...' : '数据文件不存在，正在创建默认文件...', 'FILE');
+                    this.cache = this._getDefaultData();
+                    await this._update(() => {});
+                    logger.success('默认数据文件创建成功', 'FILE');
+                    return this.cache;
+                }
+                this.cache = { ...this._getDefaultData(), ...data };
                 return this.cache;
             } else if (this.mode === 'redis') {
-                const data = await redis.get('qwen_proxy_data');
+                const data = await redis.get(REDIS_DATA_KEY);
                 this.cache = data ? JSON.parse(data) : this._getDefaultData();
                 return this.cache;
             }
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                logger.info('数据文件不存在，正在创建默认文件...', 'FILE');
-                await this._saveData(this._getDefaultData());
-                logger.success('默认数据文件创建成功', 'FILE');
-                return this._getDefaultData();
-            }
             logger.error('加载数据失败', 'DATA', '', error);
         }
         return this._getDefaultData();
     }
 
-    async _saveData(data) {
+    /**
+     * 绕过缓存直接读取存储中的数据
+     * @returns {Promise<Object|null>} 存储的数据，不存在时返回 null
+     * @private
+     */
+    async _readStorage() {
+        if (this.mode === 'file') {
+            return (await this._readDataFile()).data;
+        } else if (this.mode === 'redis') {
+            const raw = await redis.get(REDIS_DATA_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } else if (this.mode === 'sqlite') {
+            return this.getSqliteStore().exportData();
+        }
+        return null;
+    }
+
+    /**
+     * 读取 data.json，文件损坏时改为读取备份 data.json.bak
+     * @returns {Promise<{data: Object|null, corrupted: boolean}>} 文件不存在且未损坏时 data 为 null
+     * @private
+     */
+    async _readDataFile() {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { data: null, corrupted: false };
+            }
+            throw error;
+        }
+
+        try {
+            return { data: JSON.parse(content), corrupted: false };
+        } catch (error) {
+            logger.error(`数据文件 ${this.filePath} 已损坏: ${error.message}`, 'FILE');
+        }
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.backupPath, 'utf8'));
+            logger.warn(`已改为使用备份文件 ${this.backupPath} 中的数据`, 'FILE');
+            return { data, corrupted: true };
+        } catch (error) {
+            logger.error(`备份文件 ${this.backupPath} 不可用: ${error.message}`, 'FILE');
+            return { data: null, corrupted: true };
+        }
+    }
+
+    /**
+     * 写入 data.json 和备份 data.json.bak，原文件已损坏时改名保留以便排查
+     * @param {Object} dataToSave - 可序列化的数据
+     * @param {boolean} corrupted - 原文件是否已损坏
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeDataFile(dataToSave, corrupted) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const content = JSON.stringify(dataToSave, null, 2);
+        if (corrupted) {
+            await fs.rename(this.filePath, `${this.filePath}.corrupt-${Date.now()}`).catch(() => {});
+        }
+        await this._writeFileAtomic(this.filePath, content);
+        await this._writeFileAtomic(this.backupPath, content);
+    }
+
+    /**
+     * 原子写入文件：先写入临时文件并同步到磁盘，再重命名覆盖原文件
+     * 写入中断时原文件保持不变
+     * @param {string} filePath - 文件路径
+     * @param {string} content - 文件内容
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * 在文件锁内执行操作，避免多个进程同时写入 data.json
+     * 锁文件的持有进程已退出、锁超过 LOCK_STALE 未释放或记录的是未持有锁的当前进程时视为失效
+     * @param {Function} action - 要执行的操作
+     * @returns {Promise<any>} 操作结果
+     * @private
+     */
+    async _withFileLock(action) {
+        await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+        const deadline = Date.now() + LOCK_TIMEOUT;
+        while (true) {
+            try {
+                const handle = await fs.open(this.lockPath, 'wx');
+                await handle.writeFile(String(process.pid), 'utf8');
+                await handle.close();
+                this.lockHeld = true;
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                if (await this._isLockStale()) {
+                    logger.warn('清理失效的数据文件锁', 'FILE');
+                    await fs.unlink(this.lockPath).catch(() => {});
+                    continue;
+                }
+                if (Date.now() > deadline) {
+                    throw new Error(`等待数据文件锁超时: ${this.lockPath}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+            }
+        }
+
+        try {
+            return await action();
+        } finally {
+            this.lockHeld = false;
+            await fs.unlink(this.lockPath).catch(() => {});
+        }
+    }
+
+    /**
+     * 判断锁文件是否已失效
+     * @returns {Promise<boolean>} 是否失效
+     * @private
+     */
+    async _isLockStale() {
+        try {
+            const [content, stat] = await Promise.all([fs.readFile(this.lockPath, 'utf8'), fs.stat(this.lockPath)]);
+            if (Date.now() - stat.mtimeMs > LOCK_STALE) {
+                return true;
+            }
+            const pid = parseInt(content);
+            // 共享数据目录的容器之间 PID 可能重复，锁文件中是当前进程的 PID 但当前进程并未持有锁时视为失效
+            if (pid === process.pid) {
+                return !this.lockHeld;
+            }
+            if (pid) {
+                try {
+                    process.kill(pid, 0);
+                } catch (error) {
+                    return error.code === 'ESRCH';
+                }
+            }
+            return false;
+        } catch (error) {
+            // 锁已被释放，直接重试
+            return false;
+        }
+    }
+
+    /**
+     * 修改缓存中的数据并加入写入队列，WRITE_DELAY 内的多次修改合并为一次写入
+     * 写入时会在存储中的最新数据上重新执行修改，多个进程修改不同的数据时不会互相覆盖
+     * 非 strict 的修改写入失败时重新排队，稍后重试
+     * @param {Function} mutator - 修改数据的函数，会对缓存和存储中的数据分别执行
+     * @param {boolean} strict - 写入失败时是否抛出错误，默认只记录日志
+     * @returns {Promise<Object>} 修改后的数据
+     * @private
+     */
+    async _update(mutator, strict = false) {
+        if (!this.cache) {
+            const data = await this._getData();
+            this.cache = this.cache || data;
+        }
+        mutator(this.cache);
+        if (this.mode !== 'file' && this.mode !== 'redis') {
+            return this.cache;
+        }
+
+        await new Promise((resolve, reject) => {
+            this.pendingChanges.push({ mutator, strict, resolve, reject });
+            if (!this.writeTimer) {
+                this.writeTimer = setTimeout(() => this._flushChanges(), WRITE_DELAY);
+            }
+        });
+        return this.cache;
+    }
+
+    /**
+     * 立即写入队列中的修改
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this._flushChanges();
+        }
+        return this.writeChain;
+    }
+
+    /**
+     * 将队列中的修改排入写入链，上一次写入完成后再执行
+     * @private
+     */
+    _flushChanges() {
+        this.writeTimer = null;
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+        this.writeChain = this.writeChain
+            .then(() => this._writeChanges(changes))
+            .then(() => changes.forEach(change => change.resolve()), error => {
+                logger.error('保存数据失败', 'DATA', '', error);
+                // strict 的修改由调用方处理失败，其余修改放回队列头部，保持执行顺序并稍后重试
+                const retries = changes.filter(change => !change.strict);
+                changes.forEach(change => change.strict ? change.reject(error) : change.resolve());
+                if (retries.length > 0) {
+                    this.pendingChanges = [...retries, ...this.pendingChanges];
+                    if (!this.writeTimer) {
+                        this.writeTimer = setTimeout(() => this._flushChanges(), WRITE_RETRY_DELAY);
+                    }
+                }
+            });
+    }
+
+    /**
+     * 读取存储中的最新数据，执行修改后写回
+     * @param {Array<Object>} changes - 待写入的修改
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _writeChanges(changes) {
+        if (this.mode === 'redis') {
+            const raw = await redis.get(REDIS_DATA_KEY);
+            const data = this._applyChanges(raw ? JSON.parse(raw) : null, changes);
+            await redis.set(REDIS_DATA_KEY, JSON.stringify(this._serialize(data)));
+            this._refreshCache(data);
+            return;
+        }
+
+        await this._withFileLock(async () => {
+            const { data: stored, corrupted } = await this._readDataFile();
+            const data = this._applyChanges(stored, changes);
+            await this._writeDataFile(this._serialize(data), corrupted);
+            this._refreshCache(data);
+        });
+    }
+
+    /**
+     * 在存储的数据上执行修改
+     * @param {Object|null} stored - 存储中的数据
+     * @param {Array<Object>} changes - 待写入的修改
+     * @returns {Object} 修改后的数据
+     * @private
+     */
+    _applyChanges(stored, changes) {
+        // 存储中没有可用的数据时以缓存为准，缓存中已包含全部修改
+        if (!stored) {
+            return JSON.parse(JSON.stringify(this._serialize(this.cache)));
+        }
+        const data = { ...this._getDefaultData(), ...stored };
+        for (const { mutator } of changes) {
+            mutator(data);
+        }
+        return data;
+    }
+
+    /**
+     * 以写入后的数据作为缓存，包含其他进程的修改，并重新执行尚未写入的修改
+     * @param {Object} data - 写入后的数据
+     * @private
+     */
+    _refreshCache(data) {
+        for (const { mutator } of this.pendingChanges) {
+            mutator(data);
+        }
+        this.cache = data;
+    }
+
+    /**
+     * 进程退出前同步写入尚未写入的修改，只支持文件模式
+     * @private
+     */
+    _flushSync() {
+        if (this.mode !== 'file' || this.pendingChanges.length === 0) {
+            return;
+        }
+        try {
+            let stored = null;
+            try {
+                stored = JSON.parse(fsSync.readFileSync(this.filePath, 'utf8'));
+            } catch (error) {
+                // 读取失败时以缓存为准
+            }
+            const data = this._applyChanges(stored, this.pendingChanges);
+            this.pendingChanges = [];
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            fsSync.writeFileSync(tempPath, JSON.stringify(this._serialize(data), null, 2), 'utf8');
+            fsSync.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logger.error('退出前保存数据失败', 'DATA', '', error);
+        }
+    }
+
+    /**
+     * 构建只包含可序列化字段的数据
+     * @param {Object} data - 运行时数据
+     * @returns {Object} 可序列化的数据
+     * @private
+     */
+    _serialize(data) {
         // 手动构建一个干净的可序列化对象
         const dataToSave = {
             accounts: [],
             proxyBindings: data.proxyBindings || {},
-            proxyStatuses: data.proxyStatuses || {}
+            proxyStatuses: data.proxyStatuses || {},
+            proxySubscriptions: data.proxySubscriptions || {},
+            videoJobs: data.videoJobs || {},
+            settings: data.settings || {},
+            apiKeys: data.apiKeys || {},
+            usage: data.usage || {}
         };
 
         // 清理账户数据，只保留可序列化的字段
@@ -59,71 +447,330 @@ class DataPersistence {
                 // 单独处理 cli_info，移除定时器
                 if (acc.cli_info) {
                     cleanedAcc.cli_info = { ...acc.cli_info };
-                    delete cleanedAcc.cli_info.refresh_token_interval;
+                    delete cleanedAcc.cli_info.refresh_timer;
                 }
                 return cleanedAcc;
             });
         }
-
-        this.cache = data; // 运行时缓存保持不变
-        try {
-            if (this.mode === 'file') {
-                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
-                await fs.writeFile(this.filePath, JSON.stringify(dataToSave, null, 2), 'utf8');
-            } else if (this.mode === 'redis') {
-                await redis.set('qwen_proxy_data', JSON.stringify(dataToSave));
-            }
-        } catch (error) {
-            logger.error('保存数据失败', 'DATA', '', error);
-        }
+        return dataToSave;
     }
 
     _getDefaultData() {
         return {
             accounts: [],
             proxyBindings: {},
-            proxyStatuses: {}
+            proxyStatuses: {},
+            proxySubscriptions: {},
+            videoJobs: {},
+            settings: {},
+            apiKeys: {},
+            usage: {}
         };
     }
 
+    /**
+     * 导出全部数据，结构与 data.json 相同
+     * @returns {Promise<Object>} 全部数据
+     */
+    async exportData() {
+        if (this.mode === 'sqlite') {
+            return this.getSqliteStore().exportData();
+        }
+        await this.flush();
+        const data = this.mode === 'none' ? await this._getData() : await this._readStorage();
+        return this._serialize({ ...this._getDefaultData(), ...data });
+    }
+
+    /**
+     * 用给定数据替换存储中的全部数据，写入失败时抛出错误
+     * @param {Object} data - data.json 结构的数据
+     * @returns {Promise<void>}
+     */
+    async replaceData(data) {
+        const normalized = this._serialize({ ...this._getDefaultData(), ...data });
+        if (this.mode === 'sqlite') {
+            this.getSqliteStore().importData(normalized);
+            return;
+        }
+        // 每次执行都写入新的副本，避免缓存和存储中的数据共用对象
+        await this._update(data => Object.assign(data, JSON.parse(JSON.stringify(normalized))), true);
+    }
+
     async loadAccounts() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadAccounts(), []);
+        }
         const data = await this._getData();
         return data.accounts || [];
     }
 
     async saveAccount(email, accountData) {
-        const data = await this._getData();
-        const index = data.accounts.findIndex(acc => acc.email === email);
-        if (index !== -1) {
-            data.accounts[index] = { ...data.accounts[index], ...accountData };
-        } else {
-            data.accounts.push({ email, ...accountData });
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveAccount(email, accountData));
         }
-        await this._saveData(data);
+        await this._update(data => {
+            const index = data.accounts.findIndex(acc => acc.email === email);
+            if (index !== -1) {
+                data.accounts[index] = { ...data.accounts[index], ...accountData };
+            } else {
+                data.accounts.push({ email, ...accountData });
+            }
+        });
+    }
+
+    /**
+     * 合并保存账户的 CLI 信息，只更新传入的字段，避免覆盖其他进程写入的令牌或计数
+     * @param {string} email - 邮箱
+     * @param {Object|null} cliInfo - 需要更新的 CLI 字段，为 null 时删除账户的 CLI 信息
+     * @returns {Promise<void>}
+     */
+    async saveCliInfo(email, cliInfo) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveCliInfo(email, cliInfo));
+        }
+        await this._update(data => {
+            const account = data.accounts.find(acc => acc.email === email);
+            if (!account) {
+                return;
+            }
+            if (cliInfo === null) {
+                delete account.cli_info;
+            } else {
+                account.cli_info = { ...account.cli_info, ...cliInfo };
+            }
+        });
     }
 
     async loadProxyBindings() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadProxyBindings(), {});
+        }
         const data = await this._getData();
         return data.proxyBindings || {};
     }
 
     async saveProxyBinding(email, proxyUrl) {
-        const data = await this._getData();
-        data.proxyBindings[email] = proxyUrl;
-        await this._saveData(data);
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveProxyBinding(email, proxyUrl));
+        }
+        await this._update(data => {
+            data.proxyBindings[email] = proxyUrl;
+        });
     }
 
     async loadProxyStatuses() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadProxyStatuses(), {});
+        }
         const data = await this._getData();
         return data.proxyStatuses || {};
     }
 
     async saveProxyStatuses(statuses) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveProxyStatuses(statuses));
+        }
+        await this._update(data => {
+            data.proxyStatuses = statuses;
+        });
+    }
+
+    async loadProxySubscriptions() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadProxySubscriptions(), {});
+        }
         const data = await this._getData();
-        data.proxyStatuses = statuses;
-        await this._saveData(data);
+        return data.proxySubscriptions || {};
+    }
+
+    async saveProxySubscriptions(subscriptions) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveProxySubscriptions(subscriptions));
+        }
+        await this._update(data => {
+            data.proxySubscriptions = subscriptions;
+        });
+    }
+
+    /**
+     * 加载视频任务
+     * @param {boolean} fresh - 是否同时读取存储中的最新数据，用于获取其他进程创建或更新的任务
+     * @returns {Promise<Object>} { 任务ID: 任务 }
+     */
+    async loadVideoJobs(fresh = false) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadVideoJobs(), {});
+        }
+        const data = await this._getData();
+        if (!fresh) {
+            return data.videoJobs || {};
+        }
+        // 缓存中可能有尚未写入的任务，存储中的数据优先
+        const stored = await this._readStorage();
+        return { ...(data.videoJobs || {}), ...(stored?.videoJobs || {}) };
+    }
+
+    async saveVideoJob(id, job) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveVideoJob(id, job));
+        }
+        await this._update(data => {
+            data.videoJobs = data.videoJobs || {};
+            data.videoJobs[id] = job;
+        });
+    }
+
+    async deleteVideoJobs(ids) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.deleteVideoJobs(ids));
+        }
+        await this._update(data => {
+            data.videoJobs = data.videoJobs || {};
+            for (const id of ids) {
+                delete data.videoJobs[id];
+            }
+        });
+    }
+
+    async loadSettings() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadSettings(), {});
+        }
+        const data = await this._getData();
+        return data.settings || {};
+    }
+
+    async saveSettings(settings) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveSettings(settings), settings);
+        }
+        const data = await this._update(data => {
+            data.settings = { ...(data.settings || {}), ...settings };
+        });
+        return data.settings;
+    }
+
+    async loadApiKeys() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadApiKeys(), {});
+        }
+        const data = await this._getData();
+        return data.apiKeys || {};
+    }
+
+    async saveApiKeys(apiKeys) {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.saveApiKeys(apiKeys));
+        }
+        await this._update(data => {
+            data.apiKeys = apiKeys;
+        });
+    }
+
+    async loadUsage() {
+        if (this.mode === 'sqlite') {
+            return this._withSqlite(store => store.loadUsage(), {});
+        }
+        const data = await this._getData();
+        return data.usage || {};
+    }
+
+    /**
+     * 将用量增量合并到存储中
+     * 写入时在存储中的最新数据上累加，多个进程各自写入增量时不会互相覆盖
+     * @param {Object} deltas - 统计项ID -> 用量增量
+     * @param {string} cutoffDate - 早于该日期(YYYY-MM-DD)的统计项会被清理
+     * @returns {Promise<Object>} 合并后的全部用量
+     */
+    async mergeUsage(deltas, cutoffDate) {
+        // 写入失败时抛出错误，由调用方保留增量并重试
+        if (this.mode === 'sqlite') {
+            return this.getSqliteStore().mergeUsage(deltas, cutoffDate);
+        }
+        const data = await this._update(data => {
+            const usage = data.usage || {};
+            for (const [id, delta] of Object.entries(deltas)) {
+                const item = usage[id] || { ...delta, requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+                item.requests += delta.requests;
+                item.prompt_tokens += delta.prompt_tokens;
+                item.completion_tokens += delta.completion_tokens;
+                item.total_tokens += delta.total_tokens;
+                usage[id] = item;
+            }
+            for (const [id, item] of Object.entries(usage)) {
+                if (item.date < cutoffDate) {
+                    delete usage[id];
+                }
+            }
+            data.usage = usage;
+        }, true);
+        return data.usage;
+    }
+
+    /**
+     * 刷新缓存中由多个进程共享的设置和密钥，避免之后保存时覆盖其他进程的修改
+     * @param {Object|null} state - 其他进程广播的 { settings, apiKeys }，为空时从存储中重新读取
+     * @returns {Promise<Object|null>} 最新的 { settings, apiKeys }，读取失败时返回 null
+     */
+    async refreshSharedState(state = null) {
+        // SQLite 中的设置和密钥始终从数据库读取，没有需要刷新的缓存
+        if (this.mode === 'sqlite') {
+            return state || this._withSqlite(store => ({ settings: store.loadSettings(), apiKeys: store.loadApiKeys() }), null);
+        }
+        if (!state) {
+            try {
+                const stored = await this._readStorage();
+                if (!stored) {
+                    return null;
+                }
+                state = { settings: stored.settings || {}, apiKeys: stored.apiKeys || {} };
+            } catch (error) {
+                logger.error('重新读取共享配置失败', 'DATA', '', error);
+                return null;
+            }
+        }
+
+        const data = await this._getData();
+        data.settings = state.settings || {};
+        data.apiKeys = state.apiKeys || {};
+        this.cache = data;
+        return { settings: data.settings, apiKeys: data.apiKeys };
     }
 
 }
 
-module.exports = new DataPersistence();
+const dataPersistence = new DataPersistence();
+
+// 是否已开始退出，重复收到信号时不再处理
+let shuttingDown = false;
+
+/**
+ * 收到终止信号时写入队列中的修改并关闭 Redis 连接后退出
+ * 超时或写入失败时仍然退出，文件模式下剩余的修改由 exit 事件同步写入
+ * @param {string} signal - 信号名称
+ */
+const flushAndExit = async (signal) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    logger.info(`收到${signal}信号，正在写入未保存的数据...`, 'DATA');
+
+    const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT).unref());
+    try {
+        await Promise.race([dataPersistence.flush(), timeout]);
+        if (dataPersistence.mode === 'redis' && redis) {
+            await Promise.race([redis.cleanup(), timeout]);
+        }
+    } catch (error) {
+        logger.error('退出前写入数据失败', 'DATA', '', error);
+    }
+    process.exit(0);
+};
+
+// 进程退出时写入尚未写入的修改
+process.on('exit', () => dataPersistence._flushSync());
+process.on('SIGTERM', () => flushAndExit('SIGTERM'));
+process.on('SIGINT', () => flushAndExit('SIGINT'));
+
+module.exports = dataPersistence;
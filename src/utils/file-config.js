@@ -111,11 +111,9 @@ class FileConfig {
                 await accountManager.addAccount(email, password);
             }
         } else if (upperKey === 'SOCKS5_PROXIES') {
-            const proxies = value.split(/\r?\n|,/).map(proxy => proxy.trim()).filter(proxy => proxy.length > 0);
-            if (proxies.length > 0) {
-                await dataPersistence.saveProxies(proxies);
-                logger.info(`已通过文件动态添加/更新 ${proxies.length} 个代理。请重启服务以应用更改。`, 'FILE_CONFIG');
-            }
+            const proxyImporter = require('./proxy-import');
+            const { added, existing, invalid } = await proxyImporter.importList(value.split(',').join('\n'));
+            logger.info(`已通过文件添加 ${added.length} 个代理，已存在 ${existing.length} 个，无法解析 ${invalid.length} 个`, 'FILE_CONFIG');
         }
     }
 }
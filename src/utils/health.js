@@ -0,0 +1,184 @@
+const config = require('../config/index.js')
+const accountManager = require('./account.js')
+const redis = require('./redis')
+const dataPersistence = require('./data-persistence')
+const clusterState = require('./cluster-state')
+const { getLatestModels, getModelsCacheStatus } = require('../models/models-map.js')
+
+// 就绪检查结果的缓存时间，避免负载均衡器频繁探测时反复请求 Redis 和上游
+const READINESS_CACHE_TTL = 10 * 1000
+// 单项检查的超时时间
+const CHECK_TIMEOUT = 3000
+// 模型列表超过该时间未刷新视为过期
+const MODELS_STALE_AFTER = 6 * 60 * 60 * 1000
+
+let cachedResult = null
+let cachedAt = 0
+let pendingCheck = null
+
+/**
+ * 为检查加上超时
+ * @param {Promise} promise - 检查
+ * @param {string} name - 检查名称
+ * @returns {Promise<any>} 检查结果
+ */
+const withTimeout = (promise, name) => {
+    let timer = null
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} 检查超时`)), CHECK_TIMEOUT)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * 检查账户：管理器已初始化且有可用账户
+ * @returns {object} 检查结果
+ */
+const checkAccounts = () => {
+    const { accounts, rotation, initialized } = accountManager.getHealthStats()
+    let status = 'ok'
+    if (!initialized || rotation.available === 0) {
+        status = 'fail'
+    } else if (rotation.inCooldown > 0 || accounts.expired > 0 || accounts.invalid > 0) {
+        status = 'warn'
+    }
+    return {
+        status,
+        initialized,
+        total: rotation.total,
+        available: rotation.available,
+        inCooldown: rotation.inCooldown,
+        tokens: accounts
+    }
+}
+
+/**
+ * 检查代理：配置了代理时至少有一个未失效的代理
+ * @returns {object} 检查结果
+ */
+const checkProxies = () => {
+    const proxies = accountManager.proxyManager?.getProxies() || []
+    const counts = { available: 0, degraded: 0, untested: 0, failed: 0 }
+    for (const proxy of proxies) {
+        counts[proxy.status] = (counts[proxy.status] || 0) + 1
+    }
+
+    let status = 'ok'
+    if (proxies.length > 0 && counts.failed === proxies.length) {
+        status = 'fail'
+    } else if (counts.failed > 0 || counts.degraded > 0) {
+        status = 'warn'
+    }
+    return { status, total: proxies.length, ...counts }
+}
+
+/**
+ * 检查 Redis：Redis 模式下执行 PING
+ * Redis 连接空闲时会自动断开，因此以 PING 结果而不是连接状态为准
+ * @returns {Promise<object>} 检查结果
+ */
+const checkRedis = async () => {
+    if (config.dataSaveMode !== 'redis' || !redis) {
+        return { status: 'ok', enabled: false }
+    }
+
+    const start = Date.now()
+    try {
+        await withTimeout(redis.ping(), 'Redis')
+        return { status: 'ok', enabled: true, latencyMs: Date.now() - start, connection: redis.getConnectionStatus().status, leader: clusterState.isLeader() }
+    } catch (error) {
+        return { status: 'fail', enabled: true, error: error.message, connection: redis.getConnectionStatus().status }
+    }
+}
+
+/**
+ * 检查 SQLite：SQLite 模式下执行一次查询
+ * @returns {object} 检查结果
+ */
+const checkSqlite = () => {
+    if (config.dataSaveMode !== 'sqlite') {
+        return { status: 'ok', enabled: false }
+    }
+
+    try {
+        dataPersistence.getSqliteStore().getDataVersion()
+        return { status: 'ok', enabled: true, path: dataPersistence.sqlitePath }
+    } catch (error) {
+        return { status: 'fail', enabled: true, error: error.message }
+    }
+}
+
+/**
+ * 检查模型列表缓存，尚未缓存时尝试从上游获取一次
+ * 模型列表获取失败不影响对话请求，因此只作为警告
+ * @returns {Promise<object>} 检查结果
+ */
+const checkModels = async () => {
+    let error = null
+    if (!getModelsCacheStatus().cached && accountManager.isInitialized) {
+        await withTimeout(getLatestModels(), '模型列表').catch(err => {
+            error = err.message
+        })
+    }
+
+    const cache = getModelsCacheStatus()
+    const ageSeconds = cache.fetchedAt ? Math.floor((Date.now() - cache.fetchedAt) / 1000) : null
+    let status = 'ok'
+    if (!cache.cached || cache.count === 0 || ageSeconds * 1000 > MODELS_STALE_AFTER) {
+        status = 'warn'
+    }
+    return {
+        status,
+        cached: cache.cached,
+        count: cache.count,
+        fetchedAt: cache.fetchedAt,
+        ageSeconds,
+        lastError: error || cache.lastError
+    }
+}
+
+/**
+ * 执行全部就绪检查
+ * @returns {Promise<object>} { ready, checkedAt, checks }
+ */
+const runReadinessChecks = async () => {
+    const [redisCheck, modelsCheck] = await Promise.all([checkRedis(), checkModels()])
+    const checks = {
+        accounts: checkAccounts(),
+        proxies: checkProxies(),
+        redis: redisCheck,
+        sqlite: checkSqlite(),
+        models: modelsCheck
+    }
+    return {
+        ready: Object.values(checks).every(check => check.status !== 'fail'),
+        checkedAt: Date.now(),
+        checks
+    }
+}
+
+/**
+ * 获取就绪状态，结果会缓存一段时间
+ * @returns {Promise<object>} { ready, checkedAt, checks }
+ */
+const getReadiness = async () => {
+    if (cachedResult && Date.now() - cachedAt < READINESS_CACHE_TTL) {
+        return cachedResult
+    }
+    if (!pendingCheck) {
+        pendingCheck = runReadinessChecks()
+            .then(result => {
+                cachedResult = result
+                cachedAt = Date.now()
+                return result
+            })
+            .finally(() => {
+                pendingCheck = null
+            })
+    }
+    return pendingCheck
+}
+
+module.exports = {
+    getReadiness
+}
@@ -2,16 +2,32 @@ const fs = require('fs')
 const path = require('path')
 const config = require('../config')
 const { logger } = require('./logger')
+const clusterState = require('./cluster-state')
+
+// 多进程共享缓存的名称和过期时间（秒），避免 Redis 中的缓存无限增长
+const SHARED_CACHE_NAME = 'img'
+const SHARED_CACHE_TTL = 24 * 60 * 60
 
 class imgCacheManager {
   constructor() {
     this.cacheMap = new Map()
   }
 
-  cacheIsExist(signature) {
+  async cacheIsExist(signature) {
     try {
       if (config.cacheMode === 'default') {
-        return this.cacheMap.has(signature)
+        if (this.cacheMap.has(signature)) {
+          return true
+        }
+        // 多进程共享状态时从 Redis 读取其他进程上传的图片
+        if (clusterState.enabled) {
+          const url = await clusterState.getCache(SHARED_CACHE_NAME, signature)
+          if (url) {
+            this.cacheMap.set(signature, url)
+            return true
+          }
+        }
+        return false
       } else {
         const cachePath = path.join(__dirname, '../../caches', `${signature}.txt`)
         return fs.existsSync(cachePath)
@@ -22,9 +38,9 @@ class imgCacheManager {
     }
   }
 
-  addCache(signature, url) {
+  async addCache(signature, url) {
     try {
-      const isExist = this.cacheIsExist(signature)
+      const isExist = await this.cacheIsExist(signature)
 
       if (isExist) {
         return false
@@ -32,6 +48,9 @@ class imgCacheManager {
 
         if (config.cacheMode === 'default') {
           this.cacheMap.set(signature, url)
+          if (clusterState.enabled) {
+            await clusterState.setCache(SHARED_CACHE_NAME, signature, url, SHARED_CACHE_TTL)
+          }
         } else {
           const cachePath = path.join(__dirname, '../../caches', `${signature}.txt`)
           fs.writeFileSync(cachePath, url)
@@ -46,10 +65,10 @@ class imgCacheManager {
     }
   }
 
-  getCache(signature) {
+  async getCache(signature) {
     try {
       const cachePath = path.join(__dirname, '../../caches', `${signature}.txt`)
-      const isExist = this.cacheIsExist(signature)
+      const isExist = await this.cacheIsExist(signature)
 
       if (isExist) {
         if (config.cacheMode === 'default') {
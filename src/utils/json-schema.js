@@ -0,0 +1,260 @@
+// 单次校验最多收集的错误数，错误会作为修复提示发回给模型
+const MAX_ERRORS = 20
+// 单次校验最多检查的 Schema 节点数，避免 anyOf/oneOf 与 $ref 组合产生指数级的计算量
+const MAX_STEPS = 100000
+const TOO_COMPLEX_ERROR = 'schema is too complex to validate'
+// $ref 的最大展开深度，防止循环引用
+const MAX_REF_DEPTH = 32
+
+/**
+ * 获取 JSON 值的类型
+ * @param {any} value - JSON 值
+ * @returns {string} null/array/object/string/number/boolean
+ */
+const getJsonType = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    return typeof value
+}
+
+/**
+ * 值是否符合 JSON Schema 类型
+ * @param {any} value - JSON 值
+ * @param {string} type - Schema 类型
+ * @returns {boolean} 是否符合
+ */
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value)
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+    return getJsonType(value) === type
+}
+
+/**
+ * 比较两个 JSON 值是否相等
+ * @param {any} a - JSON 值
+ * @param {any} b - JSON 值
+ * @returns {boolean} 是否相等
+ */
+const isJsonEqual = (a, b) => {
+    if (a === b) return true
+    const type = getJsonType(a)
+    if (type !== getJsonType(b) || (type !== 'array' && type !== 'object')) {
+        return false
+    }
+    const keysA = Object.keys(a)
+    const keysB = Object.keys(b)
+    return keysA.length === keysB.length && keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isJsonEqual(a[key], b[key]))
+}
+
+/**
+ * 解析文档内引用，支持 #、#/$defs/... 和 #/definitions/...
+ * @param {string} ref - $ref
+ * @param {object} root - 根 Schema
+ * @returns {object|undefined} 引用的 Schema
+ */
+const resolveRef = (ref, root) => {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        return undefined
+    }
+    return ref.slice(1).split('/').filter(Boolean)
+        .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root)
+}
+
+/**
+ * 拼接错误位置
+ * @param {string} path - 当前位置
+ * @param {string|number} key - 属性名或数组下标
+ * @returns {string} 新位置
+ */
+const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * 递归校验
+ * @param {any} value - JSON 值
+ * @param {object|boolean} schema - 当前 Schema
+ * @param {object} context - 一次校验共享的状态 { root, steps }，root 为根 Schema，steps 为已检查的节点数
+ * @param {string} path - 当前位置
+ * @param {Array<string>} errors - 错误列表
+ * @param {number} depth - 引用深度，防止循环引用
+ */
+const validateNode = (value, schema, context, path, errors, depth) => {
+    if (errors.length >= MAX_ERRORS || schema === true || schema === undefined || schema === null) {
+        return
+    }
+    if (++context.steps > MAX_STEPS) {
+        errors.push(`${path}: ${TOO_COMPLEX_ERROR}`)
+        return
+    }
+    if (schema === false) {
+        errors.push(`${path}: no value is allowed here`)
+        return
+    }
+    if (typeof schema !== 'object') {
+        return
+    }
+
+    if (schema.$ref !== undefined) {
+        const target = resolveRef(schema.$ref, context.root)
+        if (target === undefined || depth > MAX_REF_DEPTH) {
+            errors.push(`${path}: cannot resolve schema reference ${schema.$ref}`)
+            return
+        }
+        validateNode(value, target, context, path, errors, depth + 1)
+    }
+
+    // 类型不匹配时不再检查其他约束，避免产生无意义的错误
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${getJsonType(value)}`)
+            return
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(item => isJsonEqual(item, value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`)
+    }
+    if (schema.const !== undefined && !isJsonEqual(schema.const, value)) {
+        errors.push(`${path}: must be ${JSON.stringify(schema.const)}`)
+    }
+
+    if (typeof value === 'string') {
+        const length = [...value].length
+        if (typeof schema.minLength === 'number' && length < schema.minLength) {
+            errors.push(`${path}: must have at least ${schema.minLength} characters`)
+        }
+        if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+            errors.push(`${path}: must have at most ${schema.maxLength} characters`)
+        }
+        if (typeof schema.pattern === 'string') {
+            try {
+                if (!new RegExp(schema.pattern, 'u').test(value)) {
+                    errors.push(`${path}: must match pattern ${schema.pattern}`)
+                }
+            } catch (error) {
+                // 无法识别的正则不做限制
+            }
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`)
+        }
+        if (typeof schema.maximum === 'number' && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`)
+        }
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            errors.push(`${path}: must be > ${schema.exclusiveMinimum}`)
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            errors.push(`${path}: must be < ${schema.exclusiveMaximum}`)
+        }
+        if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && !Number.isInteger(Number((value / schema.multipleOf).toFixed(10)))) {
+            errors.push(`${path}: must be a multiple of ${schema.multipleOf}`)
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`)
+        }
+        if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`)
+        }
+        if (schema.uniqueItems === true && value.some((item, index) => value.findIndex(other => isJsonEqual(other, item)) !== index)) {
+            errors.push(`${path}: items must be unique`)
+        }
+        const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : []
+        value.forEach((item, index) => {
+            const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items
+            validateNode(item, itemSchema, context, joinPath(path, index), errors, depth)
+        })
+    }
+
+    if (getJsonType(value) === 'object') {
+        const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {}
+        if (Array.isArray(schema.required)) {
+            for (const key of schema.required) {
+                if (!Object.prototype.hasOwnProperty.call(value, key)) {
+                    errors.push(`${path}: missing required property "${key}"`)
+                }
+            }
+        }
+        if (typeof schema.minProperties === 'number' && Object.keys(value).length < schema.minProperties) {
+            errors.push(`${path}: must have at least ${schema.minProperties} properties`)
+        }
+        if (typeof schema.maxProperties === 'number' && Object.keys(value).length > schema.maxProperties) {
+            errors.push(`${path}: must have at most ${schema.maxProperties} properties`)
+        }
+        for (const [key, item] of Object.entries(value)) {
+            if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                validateNode(item, properties[key], context, joinPath(path, key), errors, depth)
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${key}"`)
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                validateNode(item, schema.additionalProperties, context, joinPath(path, key), errors, depth)
+            }
+        }
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(item => validateNode(value, item, context, path, errors, depth))
+    }
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(item => matchesSchema(value, item, context, path, depth))) {
+        errors.push(`${path}: must match at least one schema in anyOf`)
+    }
+    if (Array.isArray(schema.oneOf)) {
+        const matched = schema.oneOf.filter(item => matchesSchema(value, item, context, path, depth)).length
+        if (matched !== 1) {
+            errors.push(`${path}: must match exactly one schema in oneOf (matched ${matched})`)
+        }
+    }
+    if (schema.not !== undefined && matchesSchema(value, schema.not, context, path, depth)) {
+        errors.push(`${path}: must not match the schema in not`)
+    }
+}
+
+/**
+ * 值是否符合子 Schema，用于 anyOf/oneOf/not，与外层共享引用深度和检查次数
+ * @param {any} value - JSON 值
+ * @param {object|boolean} schema - 子 Schema
+ * @param {object} context - 一次校验共享的状态
+ * @param {string} path - 当前位置
+ * @param {number} depth - 引用深度
+ * @returns {boolean} 是否符合
+ */
+const matchesSchema = (value, schema, context, path, depth) => {
+    const errors = []
+    validateNode(value, schema, context, path, errors, depth)
+    return errors.length === 0
+}
+
+/**
+ * 按 JSON Schema 校验数据
+ * 支持结构化输出常用的关键字：type、enum、const、properties、required、additionalProperties、
+ * items、prefixItems、长度和数值范围、pattern、allOf/anyOf/oneOf/not 以及文档内的 $ref，
+ * 不认识的关键字（如 format）会被忽略
+ * @param {any} value - JSON 值
+ * @param {object|boolean} schema - JSON Schema
+ * @param {object} root - 根 Schema，用于解析 $ref，默认为 schema
+ * @returns {Array<string>} 错误列表，为空时表示通过
+ */
+const validateJsonSchema = (value, schema, root = schema) => {
+    const errors = []
+    const context = { root, steps: 0 }
+    validateNode(value, schema, context, '$', errors, 0)
+    // 超出检查次数时，anyOf/oneOf 内的错误不会返回，在结果中说明
+    if (context.steps > MAX_STEPS && !errors.some(error => error.endsWith(TOO_COMPLEX_ERROR))) {
+        errors.push(`$: ${TOO_COMPLEX_ERROR}`)
+    }
+    return errors
+}
+
+module.exports = {
+    validateJsonSchema
+}
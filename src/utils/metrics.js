@@ -0,0 +1,304 @@
+const accountManager = require('./account.js')
+const config = require('../config/index.js')
+const { getLatestModels } = require('../models/models-map.js')
+const { getCliModels } = require('../models/cli-models.js')
+const { resolveModelAlias } = require('../models/model-aliases.js')
+
+// 请求耗时直方图的分桶（秒），覆盖普通请求到长时间的流式输出
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+// 标签值的最大长度，避免客户端传入的超长模型名
+const MAX_LABEL_LENGTH = 64
+// 未认证或不在模型列表中的请求统一记到该模型标签下，避免客户端制造无限多的时间序列
+const OTHER_MODEL = 'other'
+// 网页对话模型的变体后缀
+const WEB_MODEL_SUFFIX = /-(thinking-search|thinking|search|image-edit|image|video)$/
+
+/**
+ * 转义 Prometheus 标签值
+ * @param {any} value - 标签值
+ * @returns {string} 转义后的标签值
+ */
+const escapeLabel = (value) => String(value ?? '').slice(0, MAX_LABEL_LENGTH).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+/**
+ * 格式化标签
+ * @param {object} labels - 标签
+ * @returns {string} 如 {route="/v1/models",status="200"}
+ */
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels)
+    if (entries.length === 0) {
+        return ''
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+/**
+ * 计数器
+ */
+class Counter {
+    constructor(name, help) {
+        this.name = name
+        this.help = help
+        this.values = new Map()
+    }
+
+    /**
+     * 增加计数
+     * @param {object} labels - 标签
+     * @param {number} value - 增加的值
+     */
+    inc(labels = {}, value = 1) {
+        const key = formatLabels(labels)
+        this.values.set(key, (this.values.get(key) || 0) + value)
+    }
+
+    /**
+     * 输出为 Prometheus 文本格式
+     * @returns {string} 指标文本
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`]
+        for (const [key, value] of this.values) {
+            lines.push(`${this.name}${key} ${value}`)
+        }
+        return lines.join('\n')
+    }
+}
+
+/**
+ * 直方图
+ */
+class Histogram {
+    constructor(name, help, buckets) {
+        this.name = name
+        this.help = help
+        this.buckets = buckets
+        // 标签 -> { labels, counts, sum, count }
+        this.values = new Map()
+    }
+
+    /**
+     * 记录观测值
+     * @param {object} labels - 标签
+     * @param {number} value - 观测值
+     */
+    observe(labels, value) {
+        const key = formatLabels(labels)
+        let entry = this.values.get(key)
+        if (!entry) {
+            entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+            this.values.set(key, entry)
+        }
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) {
+                entry.counts[index]++
+            }
+        })
+        entry.sum += value
+        entry.count++
+    }
+
+    /**
+     * 输出为 Prometheus 文本格式
+     * @returns {string} 指标文本
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`]
+        for (const [key, entry] of this.values) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bucket })} ${entry.counts[index]}`)
+            })
+            lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`)
+            lines.push(`${this.name}_sum${key} ${entry.sum}`)
+            lines.push(`${this.name}_count${key} ${entry.count}`)
+        }
+        return lines.join('\n')
+    }
+}
+
+/**
+ * 输出仪表盘指标
+ * @param {string} name - 指标名称
+ * @param {string} help - 说明
+ * @param {Array<{labels: object, value: number}>} samples - 采样值
+ * @returns {string} 指标文本
+ */
+const renderGauge = (name, help, samples) => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`]
+    for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`)
+    }
+    return lines.join('\n')
+}
+
+const httpRequests = new Counter('qwen2api_http_requests_total', 'HTTP requests by route, model and status')
+const httpDuration = new Histogram('qwen2api_http_request_duration_seconds', 'HTTP request duration in seconds by route, model and status', DURATION_BUCKETS)
+const upstreamErrors = new Counter('qwen2api_upstream_errors_total', 'Upstream request errors by operation and type')
+const upstreamRetries = new Counter('qwen2api_upstream_retries_total', 'Upstream request retries by operation')
+const modelRoutes = new Counter('qwen2api_model_routes_total', 'Chat completion requests by selected backend and whether it was a fallback')
+
+/**
+ * 将上游请求错误归类，避免产生过多的标签值
+ * @param {Error} error - axios 错误
+ * @returns {string} 错误类型，如 http_429、timeout、ECONNRESET
+ */
+const classifyUpstreamError = (error) => {
+    if (error?.response?.status) {
+        return `http_${error.response.status}`
+    }
+    if (error?.code === 'ECONNABORTED' || /timeout/i.test(error?.message || '')) {
+        return 'timeout'
+    }
+    if (error?.code && /^E[A-Z_]+$/.test(error.code)) {
+        return error.code
+    }
+    return 'unknown'
+}
+
+/**
+ * 记录上游请求错误
+ * @param {string} operation - 请求类型，如 chat、chat_id
+ * @param {Error} error - 错误
+ */
+const recordUpstreamError = (operation, error) => {
+    upstreamErrors.inc({ operation, type: classifyUpstreamError(error) })
+}
+
+/**
+ * 记录上游请求重试
+ * @param {string} operation - 请求类型
+ */
+const recordUpstreamRetry = (operation) => {
+    upstreamRetries.inc({ operation })
+}
+
+/**
+ * 记录 /v1/chat/completions 选择的后端
+ * @param {string} backend - 后端，web 或 cli
+ * @param {boolean} fallback - 是否因为首选后端没有可用账户而回退
+ */
+const recordModelRoute = (backend, fallback) => {
+    modelRoutes.inc({ backend, fallback: String(fallback) })
+}
+
+/**
+ * 获取请求的模型标签，只有已认证且在模型列表（含别名和变体）中的模型才单独统计
+ * @param {object} req - Express请求对象
+ * @param {any} model - 客户端请求的模型
+ * @returns {Promise<string>} 模型标签，请求没有模型时为空
+ */
+const getModelLabel = async (req, model) => {
+    if (typeof model !== 'string' || !model) {
+        return ''
+    }
+    if (!req.apiKey) {
+        return OTHER_MODEL
+    }
+    if (resolveModelAlias(model)) {
+        return model
+    }
+
+    let id = model
+    if (config.cliModelPrefix && id.startsWith(config.cliModelPrefix)) {
+        id = id.slice(config.cliModelPrefix.length)
+    }
+    const cliModels = await getCliModels()
+    if (cliModels.some(item => item.id === id)) {
+        return model
+    }
+    const webModels = await getLatestModels()
+    const baseId = id.replace(WEB_MODEL_SUFFIX, '')
+    return webModels.some(item => item.id === baseId) ? model : OTHER_MODEL
+}
+
+/**
+ * 记录请求数和耗时的中间件
+ * 路由使用 Express 的路由模板，未匹配的请求记为 unmatched
+ */
+const metricsMiddleware = (req, res, next) => {
+    const start = process.hrtime.bigint()
+    // 在请求体被中间件改写之前记录客户端请求的模型
+    const requestedModel = typeof req.body?.model === 'string' ? req.body.model : null
+
+    res.once('finish', async () => {
+        const duration = Number(process.hrtime.bigint() - start) / 1e9
+        const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched'
+        let model = OTHER_MODEL
+        try {
+            model = await getModelLabel(req, requestedModel ?? req.body?.model)
+        } catch (error) {
+            // 获取模型列表失败时记为 other
+        }
+        const labels = { route, model, status: res.statusCode }
+        httpRequests.inc(labels)
+        httpDuration.observe(labels, duration)
+    })
+    next()
+}
+
+/**
+ * 采集账户、令牌、代理和 CLI 的当前状态
+ * @returns {Array<string>} 指标文本
+ */
+const collectAccountMetrics = () => {
+    const { accounts, rotation, initialized } = accountManager.getHealthStats()
+    const output = [
+        renderGauge('qwen2api_accounts_initialized', 'Whether the account manager finished initialization', [{ labels: {}, value: initialized ? 1 : 0 }]),
+        renderGauge('qwen2api_accounts', 'Accounts by rotation state', [
+            { labels: { state: 'total' }, value: rotation.total },
+            { labels: { state: 'available' }, value: rotation.available },
+            { labels: { state: 'cooldown' }, value: rotation.inCooldown }
+        ]),
+        renderGauge('qwen2api_account_tokens', 'Account tokens by health state', ['valid', 'expiringSoon', 'expired', 'invalid'].map(state => ({
+            labels: { state: state === 'expiringSoon' ? 'expiring_soon' : state },
+            value: accounts[state] || 0
+        }))),
+        renderGauge('qwen2api_account_failures', 'Consecutive failures recorded per account', Object.entries(rotation.usageStats).map(([email, stats]) => ({
+            labels: { account: email },
+            value: stats.failures
+        })))
+    ]
+
+    const proxyCounts = {}
+    for (const proxy of accountManager.proxyManager?.getProxies() || []) {
+        proxyCounts[proxy.status] = (proxyCounts[proxy.status] || 0) + 1
+    }
+    output.push(renderGauge('qwen2api_proxies', 'Proxies by status', Object.entries(proxyCounts).map(([status, value]) => ({
+        labels: { status },
+        value
+    }))))
+
+    output.push(renderGauge('qwen2api_cli_requests', 'CLI requests made per account in the current period', accountManager.accountTokens
+        .filter(account => account.cli_info)
+        .map(account => ({ labels: { account: account.email }, value: account.cli_info.request_number || 0 }))))
+
+    return output
+}
+
+/**
+ * 输出全部指标
+ * @returns {string} Prometheus 文本格式
+ */
+const renderMetrics = () => {
+    const memory = process.memoryUsage()
+    return [
+        httpRequests.render(),
+        httpDuration.render(),
+        upstreamErrors.render(),
+        upstreamRetries.render(),
+        modelRoutes.render(),
+        ...collectAccountMetrics(),
+        renderGauge('qwen2api_process_uptime_seconds', 'Process uptime in seconds', [{ labels: {}, value: process.uptime() }]),
+        renderGauge('qwen2api_process_resident_memory_bytes', 'Resident memory size in bytes', [{ labels: {}, value: memory.rss }]),
+        renderGauge('qwen2api_process_heap_used_bytes', 'V8 heap used in bytes', [{ labels: {}, value: memory.heapUsed }])
+    ].join('\n\n') + '\n'
+}
+
+module.exports = {
+    metricsMiddleware,
+    renderMetrics,
+    recordUpstreamError,
+    recordUpstreamRetry,
+    recordModelRoute
+}
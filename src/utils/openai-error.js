@@ -0,0 +1,24 @@
+/**
+ * 返回 OpenAI 格式的错误
+ * @param {object} res - Express 响应对象
+ * @param {number} status - HTTP 状态码
+ * @param {string} message - 错误信息
+ * @param {object} options - 可选字段
+ * @param {string} options.type - 错误类型，默认按状态码推断
+ * @param {string|null} options.param - 出错的参数
+ * @param {string|null} options.code - 错误代码
+ */
+const sendOpenAIError = (res, status, message, { type = null, param = null, code = null } = {}) => {
+    res.status(status).json({
+        error: {
+            message,
+            type: type || (status >= 500 ? 'server_error' : 'invalid_request_error'),
+            param,
+            code
+        }
+    })
+}
+
+module.exports = {
+    sendOpenAIError
+}
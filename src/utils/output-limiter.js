@@ -0,0 +1,104 @@
+const { countTokens, truncateToTokens } = require('./precise-tokenizer.js')
+
+/**
+ * 输出限制器
+ * 在代理侧模拟 stop 序列和最大输出token数
+ * stop 序列可能跨越多个流式分片，因此会暂存末尾可能构成 stop 前缀的文本
+ */
+class OutputLimiter {
+    /**
+     * @param {object} options - 配置
+     * @param {Array<string>} options.stop - stop 序列
+     * @param {number|null} options.maxTokens - 最大输出token数
+     */
+    constructor({ stop = [], maxTokens = null } = {}) {
+        this.stop = stop.filter(item => typeof item === 'string' && item.length > 0)
+        this.maxTokens = Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : null
+        this.holdback = this.stop.reduce((max, item) => Math.max(max, item.length - 1), 0)
+
+        this.pending = ''
+        this.usedTokens = 0
+        this.finished = false
+        // 'stop' | 'length' | null
+        this.finishReason = null
+        this.stopSequence = null
+    }
+
+    /**
+     * 写入一段增量文本
+     * @param {string} text - 增量文本
+     * @returns {string} 可以立即输出的文本
+     */
+    push(text) {
+        if (this.finished || !text) {
+            return ''
+        }
+
+        this.pending += text
+
+        if (this.stop.length > 0) {
+            let stopIndex = -1
+            for (const sequence of this.stop) {
+                const index = this.pending.indexOf(sequence)
+                if (index !== -1 && (stopIndex === -1 || index < stopIndex)) {
+                    stopIndex = index
+                    this.stopSequence = sequence
+                }
+            }
+
+            if (stopIndex !== -1) {
+                const output = this.pending.substring(0, stopIndex)
+                this.pending = ''
+                this.finished = true
+                this.finishReason = 'stop'
+                return this._take(output)
+            }
+        }
+
+        const releaseLength = Math.max(0, this.pending.length - this.holdback)
+        const output = this.pending.substring(0, releaseLength)
+        this.pending = this.pending.substring(releaseLength)
+        return this._take(output)
+    }
+
+    /**
+     * 上游结束时输出暂存的文本
+     * @returns {string} 剩余文本
+     */
+    flush() {
+        if (this.finished) {
+            return ''
+        }
+        const output = this.pending
+        this.pending = ''
+        return this._take(output)
+    }
+
+    /**
+     * 按最大token数放行文本
+     * @param {string} text - 待输出文本
+     * @returns {string} 放行的文本
+     * @private
+     */
+    _take(text) {
+        if (!text || this.maxTokens === null) {
+            return text
+        }
+
+        const tokens = countTokens(text)
+        if (this.usedTokens + tokens <= this.maxTokens) {
+            this.usedTokens += tokens
+            return text
+        }
+
+        const truncated = truncateToTokens(text, this.maxTokens - this.usedTokens)
+        this.usedTokens = this.maxTokens
+        this.pending = ''
+        this.finished = true
+        this.finishReason = 'length'
+        this.stopSequence = null
+        return truncated
+    }
+}
+
+module.exports = OutputLimiter
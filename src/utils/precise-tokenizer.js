@@ -5,6 +5,23 @@
 
 const tiktoken = require('tiktoken')
 
+// 创建编码器开销较大，按模型缓存复用，常驻内存不再释放
+const encodings = new Map()
+
+/**
+ * 获取模型对应的编码器
+ * @param {string} model - 模型名称
+ * @returns {object} tiktoken编码器
+ */
+function getEncoding(model) {
+  let encoding = encodings.get(model)
+  if (!encoding) {
+    encoding = tiktoken.encoding_for_model(model)
+    encodings.set(model, encoding)
+  }
+  return encoding
+}
+
 /**
  * 使用tiktoken进行精准token计数
  * @param {string} text - 要计数的文本
@@ -14,13 +31,27 @@ const tiktoken = require('tiktoken')
 function countTokens(text, model = 'gpt-3.5-turbo') {
   if (!text || typeof text !== 'string') return 0
 
-  const encoding = tiktoken.encoding_for_model(model)
-  const tokens = encoding.encode(text)
-  encoding.free() // 释放内存
-  return tokens.length
+  return getEncoding(model).encode(text).length
 }
 
+/**
+ * 按token数量截断文本
+ * @param {string} text - 要截断的文本
+ * @param {number} maxTokens - 保留的最大token数
+ * @param {string} model - 模型名称，默认为gpt-3.5-turbo
+ * @returns {string} 截断后的文本
+ */
+function truncateToTokens(text, maxTokens, model = 'gpt-3.5-turbo') {
+  if (!text || typeof text !== 'string' || maxTokens <= 0) return ''
 
+  const encoding = getEncoding(model)
+  const tokens = encoding.encode(text)
+  if (tokens.length <= maxTokens) return text
+
+  const bytes = encoding.decode(tokens.slice(0, maxTokens))
+  // 截断点可能落在多字节字符中间，丢弃不完整的字节
+  return new TextDecoder('utf-8').decode(bytes).replace(/\uFFFD+$/, '')
+}
 
 /**
  * 计算消息数组的token数量
@@ -105,6 +136,7 @@ function createUsageObject(promptMessages, completionText = '', realUsage = null
 
 module.exports = {
   countTokens,
+  truncateToTokens,
   countMessagesTokens,
   createUsageObject
 }
@@ -0,0 +1,321 @@
+const fs = require('fs').promises
+const path = require('path')
+const axios = require('axios')
+const config = require('../config/index.js')
+const dataPersistence = require('./data-persistence')
+const accountManager = require('./account')
+const clusterState = require('./cluster-state')
+const { parseProxyList } = require('./proxy-agent')
+const { logger } = require('./logger')
+
+// 订阅内容的最大长度
+const MAX_SUBSCRIPTION_SIZE = 5 * 1024 * 1024
+// 拉取订阅的超时时间
+const FETCH_TIMEOUT = 30 * 1000
+// 同步订阅后通知其他进程应用新增和移除的代理
+const PROXY_SUBSCRIPTION_EVENT = 'proxy-subscription'
+
+/**
+ * 判断订阅来源是否为远程地址
+ * @param {string} source - 订阅地址或本地文件路径
+ * @returns {boolean} 是否为 http(s) 地址
+ */
+const isRemoteSource = (source) => /^https?:\/\//i.test(source)
+
+/**
+ * 为尚未绑定代理的账户分配代理，在后台执行
+ */
+const assignUnboundAccountsInBackground = () => {
+    accountManager.assignProxiesToUnboundAccounts()
+        .then(assigned => {
+            if (assigned > 0) {
+                logger.info(`已为 ${assigned} 个未绑定代理的账户分配代理`, 'PROXY')
+            }
+        })
+        .catch(error => logger.error('为账户分配代理失败', 'PROXY', '', error))
+}
+
+/**
+ * 代理批量导入与订阅管理
+ * 订阅来源可以是 http(s) 地址或本地文件，内容为每行一个代理
+ */
+class ProxyImporter {
+    constructor() {
+        // 订阅来源 -> { proxies, owned, lastSyncedAt, lastError, invalid }
+        // owned 为由该订阅新增的代理，同步或删除订阅时只移除这些代理
+        this.subscriptions = {}
+        // 正在同步的订阅 订阅来源 -> Promise
+        this.syncing = new Map()
+        this.syncTimer = null
+    }
+
+    /**
+     * 加载已保存的订阅，合并环境变量中的订阅并开始定期同步
+     * 多进程运行时只有主进程定期同步，其他进程通过事件应用同步结果
+     */
+    async init() {
+        this.subscriptions = await dataPersistence.loadProxySubscriptions()
+        for (const source of config.proxySubscriptions) {
+            if (!this.subscriptions[source]) {
+                this.subscriptions[source] = { proxies: [], owned: [], lastSyncedAt: null, lastError: null, invalid: 0 }
+            }
+        }
+
+        if (Object.keys(this.subscriptions).length === 0) {
+            return
+        }
+
+        // 启动时在后台同步，不阻塞服务启动
+        this._scheduledSync()
+        if (config.proxySubscriptionInterval > 0) {
+            this.syncTimer = setInterval(() => this._scheduledSync(), config.proxySubscriptionInterval * 1000)
+            this.syncTimer.unref()
+        }
+    }
+
+    /**
+     * 执行定期同步，只在主进程执行
+     * @private
+     */
+    _scheduledSync() {
+        if (clusterState.isLeader()) {
+            this.syncAll()
+        }
+    }
+
+    /**
+     * 应用其他进程同步订阅的结果，不重复保存
+     * @param {object} payload - { source, subscription, added, removed }
+     * @returns {Promise<void>}
+     */
+    async applySync({ source, subscription, added = [], removed = [] }) {
+        this.subscriptions[source] = subscription
+        if (added.length === 0 && removed.length === 0) {
+            return
+        }
+        await accountManager.initializationPromise
+        const proxyManager = accountManager.ensureProxyManager()
+        await proxyManager.addProxies(added, false)
+        await proxyManager.removeProxies(removed, false)
+    }
+
+    /**
+     * 停止定期同步
+     */
+    stop() {
+        if (this.syncTimer) {
+            clearInterval(this.syncTimer)
+            this.syncTimer = null
+        }
+    }
+
+    /**
+     * 导入代理列表文本
+     * @param {string} text - 每行一个代理
+     * @param {string} protocol - host:port 格式使用的协议，默认为 PROXY_DEFAULT_PROTOCOL
+     * @returns {Promise<{added: Array<string>, existing: Array<string>, invalid: Array<string>}>} 导入结果
+     */
+    async importList(text, protocol = config.proxyDefaultProtocol) {
+        const { proxies, invalid } = parseProxyList(text, protocol)
+        if (proxies.length === 0) {
+            return { added: [], existing: [], invalid }
+        }
+
+        // 账户管理器初始化时会创建代理管理器，需等待初始化完成后再添加
+        await accountManager.initializationPromise
+
+        const { added, existing } = await accountManager.ensureProxyManager().addProxies(proxies)
+        logger.info(`批量导入代理: 新增 ${added.length} 个，已存在 ${existing.length} 个，无法解析 ${invalid.length} 行`, 'PROXY')
+        if (added.length > 0) {
+            assignUnboundAccountsInBackground()
+        }
+        return { added, existing, invalid }
+    }
+
+    /**
+     * 获取订阅列表
+     * @returns {Array<object>} 订阅信息
+     */
+    listSubscriptions() {
+        return Object.entries(this.subscriptions).map(([source, subscription]) => ({
+            source,
+            fromEnv: config.proxySubscriptions.includes(source),
+            count: subscription.proxies.length,
+            invalid: subscription.invalid,
+            lastSyncedAt: subscription.lastSyncedAt,
+            lastError: subscription.lastError
+        }))
+    }
+
+    /**
+     * 添加订阅并立即同步，首次拉取失败时不保存订阅
+     * @param {string} source - 订阅地址或本地文件路径
+     * @returns {Promise<object>} 同步结果
+     */
+    async addSubscription(source) {
+        if (this.subscriptions[source]) {
+            throw new Error('订阅已存在')
+        }
+        this.subscriptions[source] = { proxies: [], owned: [], lastSyncedAt: null, lastError: null, invalid: 0 }
+        const result = await this.syncSubscription(source)
+        if (result.error) {
+            delete this.subscriptions[source]
+            await dataPersistence.saveProxySubscriptions(this.subscriptions)
+        }
+        return result
+    }
+
+    /**
+     * 删除订阅
+     * @param {string} source - 订阅地址或本地文件路径
+     * @param {boolean} keepProxies - 是否保留该订阅导入的代理
+     * @returns {Promise<Array<string>>} 删除的代理
+     */
+    async removeSubscription(source, keepProxies = false) {
+        const subscription = this.subscriptions[source]
+        if (!subscription) {
+            throw new Error('订阅不存在')
+        }
+        if (config.proxySubscriptions.includes(source)) {
+            throw new Error('环境变量 PROXY_SUBSCRIPTIONS 中的订阅无法删除')
+        }
+
+        delete this.subscriptions[source]
+        await dataPersistence.saveProxySubscriptions(this.subscriptions)
+
+        if (keepProxies || !accountManager.proxyManager) {
+            return []
+        }
+        const removed = await accountManager.proxyManager.removeProxies(this._filterUnowned(subscription.owned || []))
+        if (removed.length > 0) {
+            logger.info(`删除订阅 ${source}，移除 ${removed.length} 个代理`, 'PROXY')
+            assignUnboundAccountsInBackground()
+        }
+        return removed
+    }
+
+    /**
+     * 同步全部订阅
+     * @returns {Promise<void>}
+     */
+    async syncAll() {
+        for (const source of Object.keys(this.subscriptions)) {
+            await this.syncSubscription(source).catch(error => {
+                logger.error(`同步代理订阅失败: ${source}`, 'PROXY', '', error)
+            })
+        }
+    }
+
+    /**
+     * 同步订阅：添加新出现的代理，移除由该订阅新增、但订阅中已不存在的代理
+     * 拉取失败时保留上一次同步的代理
+     * @param {string} source - 订阅地址或本地文件路径
+     * @returns {Promise<object>} { source, added, removed, invalid, total, error }
+     */
+    async syncSubscription(source) {
+        if (this.syncing.has(source)) {
+            return this.syncing.get(source)
+        }
+
+        const promise = this._syncSubscription(source).finally(() => {
+            this.syncing.delete(source)
+        })
+        this.syncing.set(source, promise)
+        return promise
+    }
+
+    /**
+     * 执行订阅同步
+     * @param {string} source - 订阅地址或本地文件路径
+     * @returns {Promise<object>} 同步结果
+     * @private
+     */
+    async _syncSubscription(source) {
+        const subscription = this.subscriptions[source]
+        if (!subscription) {
+            throw new Error('订阅不存在')
+        }
+
+        let content
+        try {
+            content = await this._fetchSource(source)
+        } catch (error) {
+            subscription.lastError = error.message
+            await dataPersistence.saveProxySubscriptions(this.subscriptions)
+            await clusterState.publish(PROXY_SUBSCRIPTION_EVENT, { source, subscription })
+            logger.error(`拉取代理订阅失败: ${source}: ${error.message}`, 'PROXY')
+            return { source, added: [], removed: [], invalid: 0, total: subscription.proxies.length, error: error.message }
+        }
+
+        await accountManager.initializationPromise
+        const { proxies, invalid } = parseProxyList(content, config.proxyDefaultProtocol)
+        const previousOwned = subscription.owned || []
+        const proxyManager = accountManager.ensureProxyManager()
+
+        const { added } = await proxyManager.addProxies(proxies)
+        subscription.proxies = proxies
+        subscription.owned = [...new Set([...previousOwned, ...added])].filter(proxyUrl => proxies.includes(proxyUrl))
+        subscription.invalid = invalid.length
+        subscription.lastSyncedAt = Date.now()
+        subscription.lastError = null
+
+        const stale = previousOwned.filter(proxyUrl => !proxies.includes(proxyUrl))
+        const removed = await proxyManager.removeProxies(this._filterUnowned(stale))
+        await dataPersistence.saveProxySubscriptions(this.subscriptions)
+        await clusterState.publish(PROXY_SUBSCRIPTION_EVENT, { source, subscription, added, removed })
+
+        logger.info(`同步代理订阅 ${source}: 共 ${proxies.length} 个，新增 ${added.length} 个，移除 ${removed.length} 个，无法解析 ${invalid.length} 行`, 'PROXY')
+        if (added.length > 0 || removed.length > 0) {
+            assignUnboundAccountsInBackground()
+        }
+        return { source, added, removed, invalid: invalid.length, total: proxies.length, error: null }
+    }
+
+    /**
+     * 过滤出不属于其他订阅和 SOCKS5_PROXIES 的代理，这些代理可以随订阅一起移除
+     * @param {Array<string>} proxyUrls - 代理地址
+     * @returns {Array<string>} 可以移除的代理
+     * @private
+     */
+    _filterUnowned(proxyUrls) {
+        const owned = new Set(config.socks5Proxies)
+        for (const subscription of Object.values(this.subscriptions)) {
+            subscription.proxies.forEach(proxyUrl => owned.add(proxyUrl))
+        }
+        return proxyUrls.filter(proxyUrl => !owned.has(proxyUrl))
+    }
+
+    /**
+     * 读取订阅内容
+     * @param {string} source - 订阅地址或本地文件路径
+     * @returns {Promise<string>} 订阅内容
+     * @private
+     */
+    async _fetchSource(source) {
+        if (isRemoteSource(source)) {
+            const response = await axios.get(source, {
+                timeout: FETCH_TIMEOUT,
+                responseType: 'text',
+                maxContentLength: MAX_SUBSCRIPTION_SIZE
+            })
+            return String(response.data)
+        }
+
+        const filePath = path.resolve(source)
+        const stat = await fs.stat(filePath)
+        if (stat.size > MAX_SUBSCRIPTION_SIZE) {
+            throw new Error(`订阅文件超过 ${MAX_SUBSCRIPTION_SIZE / 1024 / 1024}MB`)
+        }
+        return fs.readFile(filePath, 'utf8')
+    }
+}
+
+const proxyImporter = new ProxyImporter()
+
+clusterState.on(PROXY_SUBSCRIPTION_EVENT, (payload) => {
+    proxyImporter.applySync(payload).catch(error => {
+        logger.error(`应用代理订阅同步结果失败: ${payload?.source}`, 'PROXY', '', error)
+    })
+})
+
+module.exports = proxyImporter
@@ -1,24 +1,145 @@
-const { SocksProxyAgent } = require('socks-proxy-agent');
 const axios = require('axios');
 const config = require('../config/index.js');
 const { logger } = require('./logger');
 const { getProxyHost } = require('./tools');
+const { createProxyAgents } = require('./proxy-agent');
+
+// 计算成功率和平均延迟时保留的最近检测次数
+const HEALTH_HISTORY_SIZE = 20;
+// 成功率低于阈值前至少需要的检测次数，避免偶发失败直接判定为降级
+const MIN_SAMPLES_FOR_DEGRADE = 3;
+// 后台健康检查的并发数
+const CHECK_CONCURRENCY = 5;
+// 主进程完成健康检查后，将代理状态和账户绑定同步到其他进程
+const PROXY_STATE_EVENT = 'proxy-state';
 
 class ProxyManager {
   constructor(dataPersistence, initialProxies = []) {
     this.proxies = new Map(); // Key: proxyUrl, Value: { url, status, assignedAccounts }
     this.proxyAssignment = new Map(); // Key: email, Value: proxyUrl
     this.dataPersistence = dataPersistence;
+    this.healthCheckTimer = null;
+    this.checkingPromise = null;
 
     initialProxies.forEach(proxyUrl => {
-      this.proxies.set(proxyUrl, {
-        url: proxyUrl,
-        status: 'untested', // 'untested', 'available', 'failed'
-        assignedAccounts: new Set(),
-      });
+      this.proxies.set(proxyUrl, this._createProxyData(proxyUrl));
     });
   }
 
+  _createProxyData(proxyUrl) {
+    return {
+      url: proxyUrl,
+      status: 'untested', // 'untested', 'available', 'degraded', 'failed'
+      assignedAccounts: new Set(),
+      health: {
+        history: [], // 最近的检测结果 { ok, latencyMs }
+        lastLatencyMs: null,
+        lastCheckedAt: null,
+        lastError: null,
+        consecutiveFailures: 0,
+      },
+    };
+  }
+
+  /**
+   * 记录一次检测或请求结果
+   * @param {object} proxyData - 代理数据
+   * @param {boolean} ok - 是否成功
+   * @param {number|null} latencyMs - 延迟（毫秒）
+   * @param {string|null} error - 失败原因
+   */
+  _recordResult(proxyData, ok, latencyMs, error = null) {
+    const { health } = proxyData;
+    health.history.push({ ok, latencyMs });
+    if (health.history.length > HEALTH_HISTORY_SIZE) {
+      health.history.shift();
+    }
+    health.lastCheckedAt = Date.now();
+    if (ok) {
+      health.lastLatencyMs = latencyMs;
+      health.consecutiveFailures = 0;
+    } else {
+      health.lastError = error;
+      health.consecutiveFailures++;
+    }
+  }
+
+  /**
+   * 计算代理的成功率、平均延迟和评分
+   * 评分 = 成功率 × 延迟系数 × 100，延迟等于 PROXY_MAX_LATENCY 时延迟系数为 0.5
+   * @param {object} proxyData - 代理数据
+   * @returns {{successRate: number|null, avgLatencyMs: number|null, score: number|null}} 健康指标
+   */
+  _getHealthStats(proxyData) {
+    const { history } = proxyData.health;
+    if (history.length === 0) {
+      return { successRate: null, avgLatencyMs: null, score: null };
+    }
+
+    const successes = history.filter(item => item.ok && item.latencyMs !== null);
+    const successRate = history.filter(item => item.ok).length / history.length;
+    const avgLatencyMs = successes.length > 0
+      ? Math.round(successes.reduce((sum, item) => sum + item.latencyMs, 0) / successes.length)
+      : null;
+    const latencyFactor = avgLatencyMs === null ? 1 : 1 / (1 + avgLatencyMs / config.proxyMaxLatency);
+    return {
+      successRate: Math.round(successRate * 1000) / 1000,
+      avgLatencyMs,
+      score: Math.round(successRate * latencyFactor * 100),
+    };
+  }
+
+  /**
+   * 根据最近的检测结果更新代理状态
+   * 最近一次失败为 failed；成功但成功率过低或平均延迟过高为 degraded
+   * @param {object} proxyData - 代理数据
+   */
+  _updateStatus(proxyData) {
+    const { history } = proxyData.health;
+    if (history.length === 0) {
+      return;
+    }
+    if (!history[history.length - 1].ok) {
+      proxyData.status = 'failed';
+      return;
+    }
+
+    const { successRate, avgLatencyMs } = this._getHealthStats(proxyData);
+    const lowSuccessRate = history.length >= MIN_SAMPLES_FOR_DEGRADE && successRate < config.proxyMinSuccessRate;
+    const highLatency = avgLatencyMs !== null && avgLatencyMs > config.proxyMaxLatency;
+    proxyData.status = lowSuccessRate || highLatency ? 'degraded' : 'available';
+  }
+
+  /**
+   * 通过代理请求检测地址，记录延迟并更新状态
+   * 检测地址返回任意非 5xx 响应即视为代理可用，407 表示代理认证失败
+   * @param {object} proxyData - 代理数据
+   * @returns {Promise<boolean>} 代理是否可用
+   */
+  async _probeProxy(proxyData) {
+    const start = Date.now();
+    try {
+      const { httpAgent, httpsAgent } = createProxyAgents(proxyData.url);
+      await axios.get(config.proxyCheckUrl, {
+        httpAgent,
+        httpsAgent,
+        proxy: false,
+        timeout: config.proxyCheckTimeout,
+        maxRedirects: 0,
+        validateStatus: (status) => status < 500 && status !== 407,
+      });
+      this._recordResult(proxyData, true, Date.now() - start);
+      this._updateStatus(proxyData);
+      return true;
+    } catch (error) {
+      // 只记录错误消息，避免记录包含循环引用的整个错误对象
+      const errorMessage = error.isAxiosError ? error.message : (error instanceof Error ? error.message : String(error));
+      this._recordResult(proxyData, false, null, errorMessage);
+      this._updateStatus(proxyData);
+      return false;
+    }
+  }
+
   async initialize(savedStatuses = {}, savedBindings = {}) {
     // Load statuses
     for (const [proxyUrl, status] of Object.entries(savedStatuses)) {
@@ -43,27 +164,136 @@ class ProxyManager {
 
     logger.info(`正在测试代理: ${proxyUrl}`, 'PROXY');
     try {
-      const agent = new SocksProxyAgent(proxyUrl);
-      await axios.get('https://www.google.com/generate_204', {
-        httpAgent: agent,
-        httpsAgent: agent,
-        timeout: 10000,
-        validateStatus: (status) => status === 204,
-      });
-      proxyData.status = 'available';
-      logger.info(`代理 ${proxyUrl} 测试成功`, 'PROXY');
-      return true;
-    } catch (error) {
-      proxyData.status = 'failed';
-      // 只记录错误消息，避免记录包含循环引用的整个错误对象
-      const errorMessage = error.isAxiosError ? error.message : (error instanceof Error ? error.message : String(error));
-      logger.error(`代理 ${proxyUrl} 测试失败: ${errorMessage}`, 'PROXY');
-      return false;
+      const ok = await this._probeProxy(proxyData);
+      if (ok) {
+        logger.info(`代理 ${proxyUrl} 测试成功 (${proxyData.health.lastLatencyMs}ms)`, 'PROXY');
+      } else {
+        logger.error(`代理 ${proxyUrl} 测试失败: ${proxyData.health.lastError}`, 'PROXY');
+      }
+      return ok;
     } finally {
       await this.persistStatuses();
     }
   }
 
+  /**
+   * 检测全部代理，并将账户从失效或降级的代理迁移到可用代理
+   * 同一时间只会执行一轮检测
+   * @returns {Promise<void>}
+   */
+  async checkAllProxies() {
+    if (this.checkingPromise) {
+      return this.checkingPromise;
+    }
+
+    this.checkingPromise = (async () => {
+      const proxies = [...this.proxies.values()];
+      for (let i = 0; i < proxies.length; i += CHECK_CONCURRENCY) {
+        await Promise.all(proxies.slice(i, i + CHECK_CONCURRENCY).map(proxyData => this._probeProxy(proxyData)));
+      }
+      await this.persistStatuses();
+
+      const counts = {};
+      proxies.forEach(proxyData => {
+        counts[proxyData.status] = (counts[proxyData.status] || 0) + 1;
+      });
+      logger.info(`代理健康检查完成: ${Object.entries(counts).map(([status, count]) => `${status} ${count}`).join(', ')}`, 'PROXY');
+
+      await this._rebindUnhealthyAccounts();
+    })().catch(error => {
+      logger.error('代理健康检查失败', 'PROXY', '', error);
+    }).finally(() => {
+      this.checkingPromise = null;
+    });
+
+    return this.checkingPromise;
+  }
+
+  /**
+   * 将绑定在失效或降级代理上的账户重新分配到其他代理
+   * 没有可用代理时保留原绑定，避免账户失去代理后直接连接
+   */
+  async _rebindUnhealthyAccounts() {
+    if (![...this.proxies.values()].some(proxyData => proxyData.status === 'available' && this._hasCapacity(proxyData))) {
+      return;
+    }
+
+    for (const proxyData of this.proxies.values()) {
+      if (proxyData.status !== 'failed' && proxyData.status !== 'degraded') {
+        continue;
+      }
+      for (const email of [...proxyData.assignedAccounts]) {
+        const newProxy = await this.assignProxy(email, true);
+        if (newProxy && newProxy !== proxyData.url) {
+          logger.info(`账户 ${email} 已从${proxyData.status === 'failed' ? '失效' : '降级'}代理 ${getProxyHost(proxyData.url)} 迁移到 ${getProxyHost(newProxy)}`, 'PROXY');
+        }
+      }
+    }
+  }
+
+  /**
+   * 执行一轮定时健康检查，只在主进程执行，完成后通知其他进程
+   * @returns {Promise<void>}
+   */
+  async _runHealthCheck() {
+    // 延迟加载，避免与 redis.js 循环依赖
+    const clusterState = require('./cluster-state');
+    if (!clusterState.isLeader()) {
+      return;
+    }
+    await this.checkAllProxies();
+    await clusterState.publish(PROXY_STATE_EVENT, {
+      statuses: this._collectStatuses(),
+      bindings: Object.fromEntries(this.proxyAssignment),
+    });
+  }
+
+  /**
+   * 应用主进程同步的代理状态和账户绑定，只更新当前进程已有的代理
+   * @param {object} state - { statuses, bindings }
+   */
+  applySharedState({ statuses = {}, bindings = {} } = {}) {
+    for (const [proxyUrl, status] of Object.entries(statuses)) {
+      const proxyData = this.proxies.get(proxyUrl);
+      if (proxyData) {
+        proxyData.status = status;
+      }
+    }
+    for (const [email, proxyUrl] of Object.entries(bindings)) {
+      const proxyData = this.proxies.get(proxyUrl);
+      if (!proxyData || this.proxyAssignment.get(email) === proxyUrl) {
+        continue;
+      }
+      this.proxies.get(this.proxyAssignment.get(email))?.assignedAccounts.delete(email);
+      this.proxyAssignment.set(email, proxyUrl);
+      proxyData.assignedAccounts.add(email);
+    }
+  }
+
+  /**
+   * 启动后台代理健康检查，多进程运行时只有主进程执行检查
+   */
+  startHealthCheck() {
+    if (this.healthCheckTimer || !(config.proxyCheckInterval > 0)) {
+      return;
+    }
+    this._runHealthCheck();
+    this.healthCheckTimer = setInterval(() => this._runHealthCheck(), config.proxyCheckInterval * 1000);
+    // 不阻止进程退出
+    this.healthCheckTimer.unref();
+    logger.info(`代理健康检查已启动，间隔 ${config.proxyCheckInterval} 秒`, 'PROXY');
+  }
+
+  /**
+   * 停止后台代理健康检查
+   */
+  stopHealthCheck() {
+    if (this.healthCheckTimer) {
+      clearInterval(this.healthCheckTimer);
+      this.healthCheckTimer = null;
+    }
+  }
+
   async assignProxy(email, forceNew = false) {
     if (this.proxyAssignment.has(email) && !forceNew) {
       return this.proxyAssignment.get(email);
@@ -79,8 +309,9 @@ class ProxyManager {
         this.proxyAssignment.delete(email);
     }
 
-    // P1: Find and verify an unused 'available' proxy
+    // P1: Find and verify an unused 'available' proxy, best score first
     const availableUnusedProxies = [...this.proxies.values()].filter(p => p.status === 'available' && p.assignedAccounts.size === 0);
+    availableUnusedProxies.sort((a, b) => this._compareScore(a, b));
     for (const proxy of availableUnusedProxies) {
       if (await this._testProxy(proxy.url)) {
         return this._bindProxyToAccount(email, proxy);
@@ -88,7 +319,7 @@ class ProxyManager {
     }
 
     // P2: Find and test an 'untested' proxy
-    const untestedProxies = [...this.proxies.values()].filter(p => p.status === 'untested');
+    const untestedProxies = [...this.proxies.values()].filter(p => p.status === 'untested' && this._hasCapacity(p));
     if (untestedProxies.length > 0) {
         untestedProxies.sort(() => Math.random() - 0.5); // Randomize
         for (const proxy of untestedProxies) {
@@ -99,7 +330,7 @@ class ProxyManager {
     }
 
     // P3: Find and re-test a 'failed' proxy
-    const failedProxies = [...this.proxies.values()].filter(p => p.status === 'failed');
+    const failedProxies = [...this.proxies.values()].filter(p => p.status === 'failed' && this._hasCapacity(p));
     if (failedProxies.length > 0) {
         failedProxies.sort(() => Math.random() - 0.5); // Randomize
         for (const proxy of failedProxies) {
@@ -109,10 +340,10 @@ class ProxyManager {
         }
     }
     
-    // P4: Find, verify and share an 'available' proxy
-    const availableProxies = [...this.proxies.values()].filter(p => p.status === 'available');
+    // P4: Find, verify and share an 'available' proxy that has not reached PROXY_MAX_ACCOUNTS
+    const availableProxies = [...this.proxies.values()].filter(p => p.status === 'available' && this._hasCapacity(p));
     if (availableProxies.length > 0) {
-        availableProxies.sort((a, b) => a.assignedAccounts.size - b.assignedAccounts.size);
+        availableProxies.sort((a, b) => a.assignedAccounts.size - b.assignedAccounts.size || this._compareScore(a, b));
         for (const proxy of availableProxies) {
             if (await this._testProxy(proxy.url)) {
                 return this._bindProxyToAccount(email, proxy);
@@ -120,10 +351,33 @@ class ProxyManager {
         }
     }
 
+    // P5: Fall back to a 'degraded' proxy, best score first
+    const degradedProxies = [...this.proxies.values()].filter(p => p.status === 'degraded' && this._hasCapacity(p));
+    if (degradedProxies.length > 0) {
+        degradedProxies.sort((a, b) => this._compareScore(a, b));
+        for (const proxy of degradedProxies) {
+            if (await this._testProxy(proxy.url)) {
+                return this._bindProxyToAccount(email, proxy);
+            }
+        }
+    }
+
+    if (config.proxyMaxAccounts > 0 && [...this.proxies.values()].every(p => !this._hasCapacity(p))) {
+      logger.error(`所有代理绑定的账户数均已达到上限 ${config.proxyMaxAccounts}，账户 ${email} 无法分配代理`, 'PROXY');
+      return null;
+    }
     logger.error(`没有可用的代理供账户 ${email} 使用`, 'PROXY');
     return null;
   }
 
+  _hasCapacity(proxyData) {
+    return !(config.proxyMaxAccounts > 0) || proxyData.assignedAccounts.size < config.proxyMaxAccounts;
+  }
+
+  _compareScore(a, b) {
+    return (this._getHealthStats(b).score ?? -1) - (this._getHealthStats(a).score ?? -1);
+  }
+
   _bindProxyToAccount(email, proxyData) {
     this.proxyAssignment.set(email, proxyData.url);
     proxyData.assignedAccounts.add(email);
@@ -139,34 +393,58 @@ class ProxyManager {
   async markProxyAsFailed(proxyUrl) {
     const proxyData = this.proxies.get(proxyUrl);
     if (proxyData) {
+      this._recordResult(proxyData, false, null, '上游请求网络错误');
       proxyData.status = 'failed';
       await this.persistStatuses();
       logger.warn(`代理 ${proxyUrl} 已被标记为失败`, 'PROXY');
     }
   }
 
-  async persistStatuses() {
+  _collectStatuses() {
     const statuses = {};
     for (const [url, data] of this.proxies.entries()) {
       statuses[url] = data.status;
     }
-    await this.dataPersistence.saveProxyStatuses(statuses);
+    return statuses;
+  }
+
+  async persistStatuses() {
+    await this.dataPersistence.saveProxyStatuses(this._collectStatuses());
   }
 
   addProxy(proxyUrl) {
     if (this.proxies.has(proxyUrl)) {
       return false; // Proxy already exists
     }
-    this.proxies.set(proxyUrl, {
-      url: proxyUrl,
-      status: 'untested',
-      assignedAccounts: new Set(),
-    });
+    this.proxies.set(proxyUrl, this._createProxyData(proxyUrl));
     this.persistStatuses();
     return true;
   }
 
-  removeProxy(proxyUrl) {
+  /**
+   * 批量添加代理，只保存一次状态
+   * @param {Array<string>} proxyUrls - 代理地址
+   * @param {boolean} persist - 是否保存状态，应用其他进程的修改时不重复保存
+   * @returns {Promise<{added: Array<string>, existing: Array<string>}>} 新增和已存在的代理
+   */
+  async addProxies(proxyUrls, persist = true) {
+    const added = [];
+    const existing = [];
+    for (const proxyUrl of proxyUrls) {
+      if (this.proxies.has(proxyUrl)) {
+        existing.push(proxyUrl);
+      } else {
+        this.proxies.set(proxyUrl, this._createProxyData(proxyUrl));
+        added.push(proxyUrl);
+      }
+    }
+    if (added.length > 0 && persist) {
+      await this.persistStatuses();
+    }
+    return { added, existing };
+  }
+
+  removeProxy(proxyUrl, persist = true) {
     if (!this.proxies.has(proxyUrl)) {
       return false; // Proxy not found
     }
@@ -178,17 +456,50 @@ class ProxyManager {
     });
 
     this.proxies.delete(proxyUrl);
-    this.persistStatuses();
+    if (persist) {
+      this.persistStatuses();
+    }
     return true;
   }
 
+  /**
+   * 批量删除代理，只保存一次状态
+   * @param {Array<string>} proxyUrls - 代理地址
+   * @param {boolean} persist - 是否保存状态，应用其他进程的修改时不重复保存
+   * @returns {Promise<Array<string>>} 实际删除的代理
+   */
+  async removeProxies(proxyUrls, persist = true) {
+    const removed = proxyUrls.filter(proxyUrl => this.removeProxy(proxyUrl, false));
+    if (removed.length > 0 && persist) {
+      await this.persistStatuses();
+    }
+    return removed;
+  }
+
+  /**
+   * 删除全部状态为 failed 的代理
+   * @returns {Promise<Array<string>>} 删除的代理
+   */
+  async removeFailedProxies() {
+    const failed = [...this.proxies.values()].filter(p => p.status === 'failed').map(p => p.url);
+    return this.removeProxies(failed);
+  }
+
   getProxies() {
     return Array.from(this.proxies.values()).map(p => ({
       url: p.url,
       status: p.status,
       assignedAccounts: Array.from(p.assignedAccounts),
+      ...this._getHealthStats(p),
+      latencyMs: p.health.lastLatencyMs,
+      checks: p.health.history.length,
+      consecutiveFailures: p.health.consecutiveFailures,
+      lastCheckedAt: p.health.lastCheckedAt,
+      lastError: p.health.lastError,
     }));
   }
 }
 
+ProxyManager.STATE_EVENT = PROXY_STATE_EVENT;
+
 module.exports = ProxyManager;
\ No newline at end of file
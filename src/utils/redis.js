@@ -27,6 +27,8 @@ let isConnecting = false
 let connectionPromise = null
 let lastActivity = 0
 let idleTimer = null
+// 订阅专用连接
+const subscribers = []
 
 // 空闲超时时间 (5分钟)
 const IDLE_TIMEOUT = 5 * 60 * 1000
@@ -334,12 +336,58 @@ const getConnectionStatus = () => {
   }
 }
 
+/**
+ * 发布消息到频道
+ * @param {string} channel - 频道名称
+ * @param {string} message - 消息内容
+ * @returns {Promise<number>} 收到消息的订阅者数量
+ */
+const publish = async (channel, message) => {
+  const client = await ensureConnection()
+  return client.publish(channel, message)
+}
+
+/**
+ * 订阅频道
+ * 订阅状态的连接不能执行其他命令，因此使用独立的常驻连接，不受空闲超时影响
+ * @param {string} channel - 频道名称
+ * @param {Function} handler - 消息处理函数 (message) => void
+ * @returns {Promise<void>}
+ */
+const subscribe = async (channel, handler) => {
+  const subscriber = new Redis(config.redisURL, {
+    ...createRedisConfig(),
+    lazyConnect: false,
+    enableOfflineQueue: true,
+    connectionName: 'qwen2api_subscriber',
+    // 订阅连接需要一直保持，断开后持续重连
+    retryStrategy: (times) => Math.min(100 * Math.pow(2, times), 30000)
+  })
+
+  subscriber.on('error', (err) => {
+    logger.error('Redis订阅连接错误', 'REDIS', '', err)
+  })
+
+  subscriber.on('message', (receivedChannel, message) => {
+    if (receivedChannel === channel) {
+      handler(message)
+    }
+  })
+
+  subscribers.push(subscriber)
+  await subscriber.subscribe(channel)
+  logger.success(`已订阅Redis频道: ${channel}`, 'REDIS')
+}
+
 /**
  * 手动断开连接（用于应用关闭时清理）
  */
 const cleanup = async () => {
   logger.info('清理Redis连接...', 'REDIS', '🧹')
   await disconnectRedis()
+  for (const subscriber of subscribers.splice(0)) {
+    subscriber.disconnect()
+  }
 }
 
 // 创建兼容的Redis客户端对象
@@ -350,6 +398,8 @@ const redisClient = {
   checkKeyExists,
   getConnectionStatus,
   cleanup,
+  publish,
+  subscribe,
   // 为 Redis 模式实现的代理绑定管理方法
   // 使用 Redis 的 hash 存储 'proxy_bindings' -> { email: proxy_url }
   async getAllProxyBindings() {
@@ -425,13 +475,41 @@ const redisClient = {
   async del(key) {
     const client = await ensureConnection()
     return client.del(key)
+  },
+
+  async hdel(key, ...fields) {
+    const client = await ensureConnection()
+    return client.hdel(key, ...fields)
+  },
+
+  async hincrby(key, field, increment) {
+    const client = await ensureConnection()
+    return client.hincrby(key, field, increment)
+  },
+
+  async get(key) {
+    const client = await ensureConnection()
+    return client.get(key)
+  },
+
+  async set(key, value, ...args) {
+    const client = await ensureConnection()
+    return client.set(key, value, ...args)
+  },
+
+  async eval(script, numKeys, ...args) {
+    const client = await ensureConnection()
+    return client.eval(script, numKeys, ...args)
+  },
+
+  async ping() {
+    const client = await ensureConnection()
+    return client.ping()
   }
 }
 
-// 进程退出时清理连接
+// 进程退出时清理连接，收到终止信号时由 data-persistence 写入数据后再清理
 process.on('exit', cleanup)
-process.on('SIGINT', cleanup)
-process.on('SIGTERM', cleanup)
 
 // 根据配置决定是否导出Redis客户端
 module.exports = config.dataSaveMode === 'redis' ? redisClient : null
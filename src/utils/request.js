@@ -2,23 +2,27 @@ const axios = require('axios')
 const config = require('../config/index.js')
 const accountManager = require('./account.js')
 const { logger } = require('./logger')
-const { SocksProxyAgent } = require('socks-proxy-agent')
+const { recordUpstreamError, recordUpstreamRetry } = require('./metrics')
+const { getAxiosProxyConfig } = require('./proxy-agent')
 
 
 /**
  * 发送聊天请求
  * @param {Object} body - 请求体
- * @param {number} retryCount - 当前重试次数
- * @param {string} lastUsedEmail - 上次使用的邮箱（用于错误记录）
- * @returns {Promise<Object>} 响应结果
+ * @param {Object|null} session - 上游会话 { chat_id, email, parent_id }，存在时在原会话中续写
+ * @returns {Promise<Object>} 响应结果，会话失效时 sessionExpired 为 true
  */
-const sendChatRequest = async (body) => {
+const sendChatRequest = async (body, session = null) => {
     const MAX_RETRIES = 3;
     let lastError = null;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        const accountInfo = accountManager.getNextAccount();
+        const accountInfo = session ? accountManager.getAccountByEmail(session.email) : accountManager.getNextAccount();
         if (!accountInfo) {
+            if (session) {
+                logger.warn(`会话绑定的账户 ${session.email} 不可用`, 'CONVERSATION');
+                return { status: false, response: null, sessionExpired: true };
+            }
             logger.error('无法获取有效的账户信息', 'ACCOUNT');
             return { status: false, response: null };
         }
@@ -41,19 +45,10 @@ const sendChatRequest = async (body) => {
                 },
                 responseType: body.stream ? 'stream' : 'json',
                 timeout: 60 * 1000,
+                ...getAxiosProxyConfig(proxy)
             };
 
-            if (proxy) {
-                try {
-                    const agent = new SocksProxyAgent(proxy);
-                    requestConfig.httpAgent = agent;
-                    requestConfig.httpsAgent = agent;
-                } catch (agentError) {
-                    logger.error(`为 sendChatRequest 创建代理Agent失败 (${proxy}): ${agentError.message}`, 'PROXY');
-                }
-            }
-
-            const chat_id = await generateChatID(currentToken, body.model, email, proxy);
+            const chat_id = session ? session.chat_id : await generateChatID(currentToken, body.model, email, proxy);
             if (!chat_id) {
                 // generateChatID 内部已经处理了代理失败和重试，如果仍然失败，则终止
                 logger.error('无法生成 chat_id，终止聊天请求', 'CHAT');
@@ -61,20 +56,40 @@ const sendChatRequest = async (body) => {
             }
 
             logger.network(`发送聊天请求 (账户: ${email}, 尝试: ${attempt}/${MAX_RETRIES})`, 'REQUEST');
-            const response = await axios.post(`https://chat.qwen.ai/api/v2/chat/completions?chat_id=${chat_id}`, {
+            const payload = {
                 ...body,
                 chat_id: chat_id
-            }, requestConfig);
+            };
+            // 续写会话时将新消息挂到上一条回复之后
+            if (session) {
+                payload.parent_id = session.parent_id;
+                payload.messages = body.messages.map(message => ({
+                    ...message,
+                    parent_id: session.parent_id,
+                    parentId: session.parent_id
+                }));
+            }
+            const response = await axios.post(`https://chat.qwen.ai/api/v2/chat/completions?chat_id=${chat_id}`, payload, requestConfig);
+
+            // 续写失败时上游以 JSON 错误代替事件流返回
+            if (session && String(response.headers?.['content-type'] || '').includes('application/json')) {
+                response.data?.destroy?.();
+                logger.warn(`上游会话 ${session.chat_id} 已失效`, 'CONVERSATION');
+                return { status: false, response: null, sessionExpired: true };
+            }
 
             if (response.status === 200) {
                 return {
                     currentToken: currentToken,
                     status: true,
-                    response: response.data
+                    response: response.data,
+                    email: email,
+                    chat_id: chat_id
                 };
             }
             // 对于非200的状态码，也视为一种需要记录的错误
             lastError = new Error(`Request failed with status code ${response.status}`);
+            recordUpstreamError('chat', { response: { status: response.status } });
 
 
         } catch (error) {
@@ -87,11 +102,19 @@ const sendChatRequest = async (body) => {
                 } catch (e) { /* ignore */ }
             }
             logger.error(`发送聊天请求失败 (账户: ${email} (${proxyHostForLog}), 尝试: ${attempt}/${MAX_RETRIES}): ${error.message}`, 'REQUEST');
+            recordUpstreamError('chat', error);
+
+            // 上游拒绝续写（会话被删除或已过期），交由调用方回退
+            if (session && error.response && error.response.status >= 400 && error.response.status < 500) {
+                logger.warn(`上游会话 ${session.chat_id} 已失效`, 'CONVERSATION');
+                return { status: false, response: null, sessionExpired: true };
+            }
 
             const networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN'];
             if (proxy && (networkErrorCodes.includes(error.code) || error.message.includes('timeout') || error.message.includes('ECONN') || error.message.includes('socket'))) {
                 logger.warn(`检测到网络错误，可能由代理引起，正在更换代理并重试...`, 'PROXY');
                 await accountManager.handleNetworkFailure(email, proxy);
+                recordUpstreamRetry('chat');
                 // 继续下一次循环
                 continue;
             } else {
@@ -118,7 +141,7 @@ const generateChatID = async (initialToken, model, email, initialProxy) => {
     let currentProxy = initialProxy;
 
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-        const account = accountManager.getAccountByEmail(email);
+        const account = email ? accountManager.getAccountByEmail(email) : null;
         const userAgent = account ? account.userAgent : 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36';
 
         const requestConfig = {
@@ -131,18 +154,9 @@ const generateChatID = async (initialToken, model, email, initialProxy) => {
                 "Accept-Encoding": "gzip, deflate, br"
             },
             timeout: 60 * 1000,
+            ...getAxiosProxyConfig(currentProxy)
         };
 
-        if (currentProxy) {
-            try {
-                const agent = new SocksProxyAgent(currentProxy);
-                requestConfig.httpAgent = agent;
-                requestConfig.httpsAgent = agent;
-            } catch (agentError) {
-                logger.error(`为generateChatID创建代理Agent失败 (${currentProxy}): ${agentError.message}`, 'PROXY');
-            }
-        }
-
         try {
             const response_data = await axios.post("https://chat.qwen.ai/api/v2/chats/new", {
                 "title": "New Chat",
@@ -167,6 +181,7 @@ const generateChatID = async (initialToken, model, email, initialProxy) => {
                 } catch (e) { /* ignore */ }
             }
             logger.error(`生成chat_id失败 (账户: ${email} (${proxyHostForLog}), 尝试: ${attempt}/${MAX_RETRIES}): ${error.message}`, 'CHAT');
+            recordUpstreamError('chat_id', error);
 
             const networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN'];
             if (currentProxy && (networkErrorCodes.includes(error.code) || error.message.includes('timeout') || error.message.includes('ECONN') || error.message.includes('socket'))) {
@@ -174,6 +189,7 @@ const generateChatID = async (initialToken, model, email, initialProxy) => {
                 await accountManager.handleNetworkFailure(email, currentProxy);
                 // 更新代理以供下一次循环使用
                 currentProxy = accountManager.getProxyForAccount(email);
+                recordUpstreamRetry('chat_id');
                 continue;
             } else {
                 break;
@@ -185,7 +201,99 @@ const generateChatID = async (initialToken, model, email, initialProxy) => {
     return null;
 }
 
+/**
+ * 发送图片视频请求
+ * @param {object} reqBody - 请求体，chat_id 会在此处生成
+ * @param {string} token - 账户令牌
+ * @returns {Promise<any>} 上游响应数据，t2i 为事件流，其余为 JSON
+ */
+const sendImageVideoRequest = async (reqBody, token) => {
+    const account = accountManager.accountTokens.find(acc => acc.token === token);
+    const proxy = account ? accountManager.getProxyForAccount(account.email) : null;
+    const chat_id = await generateChatID(token, reqBody.model, account?.email, proxy);
+    if (!chat_id) {
+        throw new Error('无法生成 chat_id');
+    }
+    reqBody.chat_id = chat_id;
+
+    const response_data = await axios.post(`https://chat.qwen.ai/api/v2/chat/completions?chat_id=${chat_id}`, reqBody, {
+        headers: {
+            "Authorization": `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            ...(config.ssxmodItna && { 'Cookie': `ssxmod_itna=${config.ssxmodItna};ssxmod_itna2=${config.ssxmodItna2}` })
+        },
+        responseType: reqBody.messages[0].chat_type == 't2i' ? 'stream' : 'json',
+        timeout: 1000 * 60 * 5,
+        ...getAxiosProxyConfig(proxy)
+    });
+    return response_data.data;
+};
+
+/**
+ * 提交视频生成任务，不等待任务完成
+ * @param {object} options - 生成参数
+ * @param {string} options.model - 模型名称
+ * @param {string} options.prompt - 提示词
+ * @param {string|null} options.size - 视频比例
+ * @param {string} token - 账户令牌
+ * @returns {Promise<string>} 上游任务ID
+ */
+const submitVideoTask = async ({ model, prompt, size = null }, token) => {
+    const reqBody = {
+        "stream": false,
+        "chat_id": null,
+        "model": model,
+        "messages": [
+            {
+                "role": "user",
+                "content": prompt,
+                "files": [],
+                "chat_type": "t2v",
+                "feature_config": {
+                    "output_schema": "phase"
+                }
+            }
+        ]
+    };
+    if (size) {
+        reqBody.size = size;
+    }
+
+    const response_data = await sendImageVideoRequest(reqBody, token);
+    const videoTaskID = response_data?.data?.messages?.[0]?.extra?.wanx?.task_id;
+    if (!response_data?.success || !videoTaskID) {
+        throw new Error(response_data?.data?.code || '可能该帐号今日生成次数已用完');
+    }
+    return videoTaskID;
+};
+
+/**
+ * 查询上游视频任务状态
+ * @param {string} videoTaskID - 上游任务ID
+ * @param {string} token - 提交任务的账户令牌
+ * @returns {Promise<{status: string, content: string|null}>} 任务状态和视频地址
+ */
+const fetchVideoTaskStatus = async (videoTaskID, token) => {
+    const response_data = await axios.get(`https://chat.qwen.ai/api/v1/tasks/status/${videoTaskID}`, {
+        headers: {
+            "Authorization": `Bearer ${token}`,
+            'Content-Type': 'application/json',
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            ...(config.ssxmodItna && { 'Cookie': `ssxmod_itna=${config.ssxmodItna};ssxmod_itna2=${config.ssxmodItna2}` })
+        },
+        ...getAxiosProxyConfig(accountManager.getProxyForToken(token))
+    });
+    return {
+        status: response_data.data?.task_status,
+        content: response_data.data?.content || null
+    };
+};
+
 module.exports = {
     sendChatRequest,
-    generateChatID
+    generateChatID,
+    sendImageVideoRequest,
+    submitVideoTask,
+    fetchVideoTaskStatus
 }
\ No newline at end of file
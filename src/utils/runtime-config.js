@@ -0,0 +1,139 @@
+const config = require('../config/index.js')
+const dataPersistence = require('./data-persistence')
+const apiKeyManager = require('./api-keys')
+const accountManager = require('./account')
+const configSync = require('./config-sync')
+const { logger } = require('./logger')
+
+// 可在管理页面修改的设置，键名与环境变量保持一致，持久化到 settings 中
+const SETTING_FIELDS = {
+    OUTPUT_THINK: { field: 'outThink', parse: value => value === 'true' },
+    SEARCH_INFO_MODE: { field: 'searchInfoMode', parse: value => value === 'table' ? 'table' : 'text' },
+    SIMPLE_MODEL_MAP: { field: 'simpleModelMap', parse: value => value === 'true' },
+    AUTO_REFRESH: { field: 'autoRefresh', parse: value => value === 'true' },
+    AUTO_REFRESH_INTERVAL: { field: 'autoRefreshInterval', parse: value => parseInt(value) || 6 * 60 * 60 },
+    PROXY_MAX_ACCOUNTS: { field: 'proxyMaxAccounts', parse: value => parseInt(value) || 0 },
+    MODEL_ALIASES: { field: 'modelAliases', parse: value => value },
+    HIDDEN_MODELS: { field: 'hiddenModels', parse: value => value }
+}
+
+/**
+ * 运行时配置管理器
+ * 负责持久化管理页面修改的设置和 API Key，并同步到其他工作进程
+ */
+class RuntimeConfig {
+    constructor() {
+        // 最近一次应用的共享配置，用于忽略重复的变更通知
+        this.lastState = null
+    }
+
+    /**
+     * 加载已保存的设置和 API Key，并开始接收其他进程的变更
+     */
+    async init() {
+        const state = {
+            settings: await dataPersistence.loadSettings(),
+            apiKeys: await dataPersistence.loadApiKeys()
+        }
+        this._apply(state)
+        await configSync.start(state => this._onRemoteChange(state))
+    }
+
+    /**
+     * 更新设置并持久化
+     * @param {object} changes - 以环境变量名为键的设置，如 { OUTPUT_THINK: true }
+     */
+    async updateSettings(changes) {
+        const settings = {}
+        for (const [name, value] of Object.entries(changes)) {
+            settings[name] = String(value)
+        }
+
+        await dataPersistence.saveSettings(settings)
+        this._applySettings(settings)
+        await this._publish()
+    }
+
+    /**
+     * 持久化当前的 API Key 记录
+     */
+    async saveApiKeys() {
+        await dataPersistence.saveApiKeys(apiKeyManager.exportRecords())
+        await this._publish()
+    }
+
+    /**
+     * 从存储中重新加载设置和 API Key，并同步到其他进程
+     */
+    async reload() {
+        const state = {
+            settings: await dataPersistence.loadSettings(),
+            apiKeys: await dataPersistence.loadApiKeys()
+        }
+        this._apply(state)
+        await configSync.publish(state)
+    }
+
+    /**
+     * 将设置应用到运行中的配置
+     * @param {object} settings - 以环境变量名为键的设置
+     * @private
+     */
+    _applySettings(settings) {
+        let autoRefreshChanged = false
+        for (const [name, { field, parse }] of Object.entries(SETTING_FIELDS)) {
+            if (settings[name] === undefined) {
+                continue
+            }
+            const value = parse(String(settings[name]))
+            if (config[field] !== value && name.startsWith('AUTO_REFRESH')) {
+                autoRefreshChanged = true
+            }
+            config[field] = value
+        }
+
+        if (autoRefreshChanged) {
+            accountManager.applyAutoRefresh()
+        }
+    }
+
+    /**
+     * 应用共享配置
+     * @param {object} state - { settings, apiKeys }
+     * @private
+     */
+    _apply(state) {
+        this.lastState = JSON.stringify(state)
+        this._applySettings(state.settings || {})
+        apiKeyManager.applyRecords(state.apiKeys || {})
+    }
+
+    /**
+     * 处理其他进程的配置变更
+     * @param {object|null} state - 广播的共享配置，为空时从存储中读取
+     * @private
+     */
+    async _onRemoteChange(state) {
+        const latest = await dataPersistence.refreshSharedState(state)
+        if (!latest || JSON.stringify(latest) === this.lastState) {
+            return
+        }
+        this._apply(latest)
+        logger.info('已同步其他进程修改的设置和API Key', 'SYNC')
+    }
+
+    /**
+     * 广播当前的共享配置
+     * @private
+     */
+    async _publish() {
+        const state = {
+            settings: await dataPersistence.loadSettings(),
+            apiKeys: await dataPersistence.loadApiKeys()
+        }
+        this.lastState = JSON.stringify(state)
+        await configSync.publish(state)
+    }
+}
+
+module.exports = new RuntimeConfig()
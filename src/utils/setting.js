@@ -5,11 +5,28 @@ let settings = {};
 
 try {
     const dataSaveMode = process.env.DATA_SAVE_MODE || 'none';
-    if (dataSaveMode === 'file') {
-        const filePath = path.join(__dirname, '../../data/data.json');
+    const filePath = path.join(__dirname, '../../data/data.json');
+    const sqlitePath = process.env.SQLITE_PATH ? path.resolve(process.env.SQLITE_PATH) : path.join(__dirname, '../../data/data.db');
+    if (dataSaveMode === 'sqlite' && fs.existsSync(sqlitePath)) {
+        const Database = require('better-sqlite3');
+        const db = new Database(sqlitePath, { readonly: true, fileMustExist: true });
+        try {
+            for (const row of db.prepare('SELECT name, value FROM settings').all()) {
+                settings[row.name] = JSON.parse(row.value);
+            }
+        } finally {
+            db.close();
+        }
+    } else if (dataSaveMode === 'file' || dataSaveMode === 'sqlite') {
+        // SQLite 数据库尚未创建时，设置会在首次启动时从 data.json 迁移
         if (fs.existsSync(filePath)) {
-            const data = fs.readFileSync(filePath, 'utf8');
-            const jsonData = JSON.parse(data);
+            let jsonData;
+            try {
+                jsonData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                // data.json 损坏时读取上一次写入前保留的备份
+                jsonData = JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8'));
+            }
             if (jsonData && jsonData.settings) {
                 settings = jsonData.settings;
             }
@@ -0,0 +1,493 @@
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+// 数据库结构版本，修改表结构时递增并在 _migrateSchema 中处理升级
+const SCHEMA_VERSION = 1
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+);
+CREATE TABLE IF NOT EXISTS accounts (
+    email TEXT PRIMARY KEY,
+    password TEXT,
+    token TEXT,
+    expires INTEGER,
+    proxy TEXT,
+    user_agent TEXT,
+    cli_info TEXT,
+    updated_at INTEGER
+);
+CREATE TABLE IF NOT EXISTS proxy_statuses (
+    url TEXT PRIMARY KEY,
+    status TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS proxy_bindings (
+    email TEXT PRIMARY KEY,
+    proxy_url TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS proxy_subscriptions (
+    source TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS video_jobs (
+    id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS settings (
+    name TEXT PRIMARY KEY,
+    value TEXT
+);
+CREATE TABLE IF NOT EXISTS api_keys (
+    key TEXT PRIMARY KEY,
+    data TEXT
+);
+CREATE TABLE IF NOT EXISTS usage (
+    id TEXT PRIMARY KEY,
+    date TEXT NOT NULL,
+    api_key TEXT NOT NULL,
+    account TEXT NOT NULL,
+    model TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS usage_date ON usage (date);
+`
+
+/**
+ * 解析 JSON 字段
+ * @param {string|null} value - JSON 文本
+ * @returns {any} 解析结果，为空时返回 null
+ */
+const parseJson = (value) => value === null || value === undefined ? null : JSON.parse(value)
+
+/**
+ * 将数据库行转换为账户对象，省略为空的字段
+ * @param {object} row - accounts 表的行
+ * @returns {object} 账户
+ */
+const rowToAccount = (row) => {
+    const account = { email: row.email }
+    if (row.password !== null) account.password = row.password
+    if (row.token !== null) account.token = row.token
+    if (row.expires !== null) account.expires = row.expires
+    if (row.proxy !== null) account.proxy = row.proxy
+    if (row.user_agent !== null) account.userAgent = row.user_agent
+    if (row.cli_info !== null) account.cli_info = parseJson(row.cli_info)
+    return account
+}
+
+/**
+ * SQLite 存储
+ * 每类数据对应一张表，按行更新，多个进程通过 WAL 模式共享同一个数据库文件
+ */
+class SqliteStore {
+    /**
+     * @param {string} dbPath - 数据库文件路径
+     */
+    constructor(dbPath) {
+        this.dbPath = dbPath
+        this.db = null
+    }
+
+    /**
+     * 打开数据库并创建表结构
+     * @returns {SqliteStore} 当前实例
+     */
+    open() {
+        if (this.db) {
+            return this
+        }
+
+        // 只在使用 SQLite 模式时加载原生模块，better-sqlite3 为可选依赖，可能没有安装或编译失败
+        let Database
+        try {
+            Database = require('better-sqlite3')
+        } catch (error) {
+            throw new Error(`DATA_SAVE_MODE=sqlite 需要 better-sqlite3，请执行 npm install better-sqlite3 安装（需要预编译文件或 Python 和 C++ 编译工具）: ${error.message}`)
+        }
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true })
+        this.db = new Database(this.dbPath)
+        this.db.pragma('journal_mode = WAL')
+        // 多个进程同时写入时等待锁释放，而不是直接报错
+        this.db.pragma('busy_timeout = 5000')
+        this.db.exec(SCHEMA)
+        this._migrateSchema()
+        return this
+    }
+
+    /**
+     * 关闭数据库
+     */
+    close() {
+        if (this.db) {
+            this.db.close()
+            this.db = null
+        }
+    }
+
+    /**
+     * 升级表结构版本
+     * @private
+     */
+    _migrateSchema() {
+        const version = parseInt(this.getMeta('schema_version')) || 0
+        if (version < SCHEMA_VERSION) {
+            this.setMeta('schema_version', String(SCHEMA_VERSION))
+        }
+    }
+
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)
+        return row ? row.value : null
+    }
+
+    setMeta(key, value) {
+        this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value').run(key, value)
+    }
+
+    /**
+     * 获取数据库的数据版本，其他连接提交写入后会变化
+     * @returns {number} 数据版本
+     */
+    getDataVersion() {
+        return this.db.pragma('data_version', { simple: true })
+    }
+
+    /**
+     * 首次启动时从 data.json 导入数据，只执行一次
+     * @param {string} jsonPath - data.json 路径
+     * @returns {boolean} 是否执行了导入
+     */
+    migrateFromJson(jsonPath) {
+        if (this.getMeta('json_migrated_at') || !fs.existsSync(jsonPath)) {
+            return false
+        }
+
+        const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'))
+        // 多个进程同时启动时只有一个进程执行导入
+        const migrated = this.db.transaction(() => {
+            if (this.getMeta('json_migrated_at')) {
+                return false
+            }
+            this._importData(data)
+            this.setMeta('json_migrated_at', new Date().toISOString())
+            return true
+        }).immediate()
+
+        if (migrated) {
+            logger.success(`已从 ${jsonPath} 导入 ${(data.accounts || []).length} 个账户到 SQLite，原文件保留作为备份`, 'DATA')
+        }
+        return migrated
+    }
+
+    /**
+     * 导出全部数据，结构与 data.json 相同
+     * @returns {object} 全部数据
+     */
+    exportData() {
+        return {
+            accounts: this.loadAccounts(),
+            proxyBindings: this.loadProxyBindings(),
+            proxyStatuses: this.loadProxyStatuses(),
+            proxySubscriptions: this.loadProxySubscriptions(),
+            videoJobs: this.loadVideoJobs(),
+            settings: this.loadSettings(),
+            apiKeys: this.loadApiKeys(),
+            usage: this.loadUsage()
+        }
+    }
+
+    /**
+     * 用 data.json 结构的数据替换全部数据
+     * @param {object} data - 全部数据
+     */
+    importData(data) {
+        this.db.transaction(() => this._importData(data)).immediate()
+    }
+
+    /**
+     * 清空并写入全部数据，需在事务中调用
+     * @param {object} data - 全部数据
+     * @private
+     */
+    _importData(data) {
+        for (const table of ['accounts', 'proxy_statuses', 'proxy_bindings', 'proxy_subscriptions', 'video_jobs', 'settings', 'api_keys', 'usage']) {
+            this.db.prepare(`DELETE FROM ${table}`).run()
+        }
+
+        for (const account of data.accounts || []) {
+            if (account && account.email) {
+                this._upsertAccount(account)
+            }
+        }
+        for (const [email, proxyUrl] of Object.entries(data.proxyBindings || {})) {
+            if (proxyUrl) {
+                this.saveProxyBinding(email, proxyUrl)
+            }
+        }
+        this._replaceMap('proxy_statuses', 'url', 'status', data.proxyStatuses || {}, value => value)
+        this._replaceMap('proxy_subscriptions', 'source', 'data', data.proxySubscriptions || {}, value => JSON.stringify(value))
+        this._replaceMap('video_jobs', 'id', 'data', data.videoJobs || {}, value => JSON.stringify(value))
+        this._replaceMap('settings', 'name', 'value', data.settings || {}, value => JSON.stringify(value))
+        this._replaceMap('api_keys', 'key', 'data', data.apiKeys || {}, value => value === null ? null : JSON.stringify(value))
+
+        const insertUsage = this.db.prepare(`
+            INSERT INTO usage (id, date, api_key, account, model, requests, prompt_tokens, completion_tokens, total_tokens)
+            VALUES (@id, @date, @api_key, @account, @model, @requests, @prompt_tokens, @completion_tokens, @total_tokens)
+        `)
+        for (const [id, item] of Object.entries(data.usage || {})) {
+            insertUsage.run({
+                id,
+                date: item.date || '',
+                api_key: item.api_key || '',
+                account: item.account || '',
+                model: item.model || '',
+                requests: item.requests || 0,
+                prompt_tokens: item.prompt_tokens || 0,
+                completion_tokens: item.completion_tokens || 0,
+                total_tokens: item.total_tokens || 0
+            })
+        }
+    }
+
+    /**
+     * 用对象替换键值表：更新或插入对象中的键，删除对象中不存在的键
+     * @param {string} table - 表名
+     * @param {string} keyColumn - 键列
+     * @param {string} valueColumn - 值列
+     * @param {object} map - 键 -> 值
+     * @param {Function} serialize - 值的序列化方法
+     * @private
+     */
+    _replaceMap(table, keyColumn, valueColumn, map, serialize) {
+        const upsert = this.db.prepare(`
+            INSERT INTO ${table} (${keyColumn}, ${valueColumn}) VALUES (?, ?)
+            ON CONFLICT(${keyColumn}) DO UPDATE SET ${valueColumn} = excluded.${valueColumn}
+        `)
+        const keys = Object.keys(map)
+        for (const key of keys) {
+            upsert.run(key, serialize(map[key]))
+        }
+
+        const remove = this.db.prepare(`DELETE FROM ${table} WHERE ${keyColumn} = ?`)
+        for (const row of this.db.prepare(`SELECT ${keyColumn} AS key FROM ${table}`).all()) {
+            if (!Object.prototype.hasOwnProperty.call(map, row.key)) {
+                remove.run(row.key)
+            }
+        }
+    }
+
+    /**
+     * 读取键值表
+     * @param {string} table - 表名
+     * @param {string} keyColumn - 键列
+     * @param {string} valueColumn - 值列
+     * @param {Function} deserialize - 值的反序列化方法
+     * @returns {object} 键 -> 值
+     * @private
+     */
+    _loadMap(table, keyColumn, valueColumn, deserialize) {
+        const result = {}
+        for (const row of this.db.prepare(`SELECT ${keyColumn} AS key, ${valueColumn} AS value FROM ${table}`).all()) {
+            result[row.key] = deserialize(row.value)
+        }
+        return result
+    }
+
+    loadAccounts() {
+        return this.db.prepare('SELECT * FROM accounts ORDER BY rowid').all().map(rowToAccount)
+    }
+
+    /**
+     * 合并保存单个账户
+     * @param {string} email - 邮箱
+     * @param {object} accountData - 需要更新的字段
+     */
+    saveAccount(email, accountData) {
+        this.db.transaction(() => {
+            const row = this.db.prepare('SELECT * FROM accounts WHERE email = ?').get(email)
+            this._upsertAccount({ ...(row ? rowToAccount(row) : {}), ...accountData, email })
+        }).immediate()
+    }
+
+    /**
+     * 合并保存账户的 CLI 信息
+     * @param {string} email - 邮箱
+     * @param {object|null} cliInfo - 需要更新的 CLI 字段，为 null 时删除
+     */
+    saveCliInfo(email, cliInfo) {
+        this.db.transaction(() => {
+            const row = this.db.prepare('SELECT * FROM accounts WHERE email = ?').get(email)
+            if (!row) {
+                return
+            }
+            const account = rowToAccount(row)
+            account.cli_info = cliInfo === null ? null : { ...account.cli_info, ...cliInfo }
+            this._upsertAccount(account)
+        }).immediate()
+    }
+
+    /**
+     * 写入账户的全部字段
+     * @param {object} account - 账户
+     * @private
+     */
+    _upsertAccount(account) {
+        let cliInfo = null
+        if (account.cli_info) {
+            cliInfo = { ...account.cli_info }
+            // 定时器无法序列化
+            delete cliInfo.refresh_timer
+        }
+
+        this.db.prepare(`
+            INSERT INTO accounts (email, password, token, expires, proxy, user_agent, cli_info, updated_at)
+            VALUES (@email, @password, @token, @expires, @proxy, @user_agent, @cli_info, @updated_at)
+            ON CONFLICT(email) DO UPDATE SET
+                password = excluded.password,
+                token = excluded.token,
+                expires = excluded.expires,
+                proxy = excluded.proxy,
+                user_agent = excluded.user_agent,
+                cli_info = excluded.cli_info,
+                updated_at = excluded.updated_at
+        `).run({
+            email: account.email,
+            password: account.password ?? null,
+            token: account.token ?? null,
+            expires: account.expires ?? null,
+            proxy: account.proxy ?? null,
+            user_agent: account.userAgent ?? null,
+            cli_info: cliInfo ? JSON.stringify(cliInfo) : null,
+            updated_at: Date.now()
+        })
+    }
+
+    loadProxyBindings() {
+        return this._loadMap('proxy_bindings', 'email', 'proxy_url', value => value)
+    }
+
+    saveProxyBinding(email, proxyUrl) {
+        if (proxyUrl) {
+            this.db.prepare(`
+                INSERT INTO proxy_bindings (email, proxy_url) VALUES (?, ?)
+                ON CONFLICT(email) DO UPDATE SET proxy_url = excluded.proxy_url
+            `).run(email, proxyUrl)
+        } else {
+            this.db.prepare('DELETE FROM proxy_bindings WHERE email = ?').run(email)
+        }
+    }
+
+    loadProxyStatuses() {
+        return this._loadMap('proxy_statuses', 'url', 'status', value => value)
+    }
+
+    saveProxyStatuses(statuses) {
+        this.db.transaction(() => this._replaceMap('proxy_statuses', 'url', 'status', statuses, value => value)).immediate()
+    }
+
+    loadProxySubscriptions() {
+        return this._loadMap('proxy_subscriptions', 'source', 'data', parseJson)
+    }
+
+    saveProxySubscriptions(subscriptions) {
+        this.db.transaction(() => this._replaceMap('proxy_subscriptions', 'source', 'data', subscriptions, value => JSON.stringify(value))).immediate()
+    }
+
+    loadVideoJobs() {
+        return this._loadMap('video_jobs', 'id', 'data', parseJson)
+    }
+
+    saveVideoJob(id, job) {
+        this.db.prepare(`
+            INSERT INTO video_jobs (id, data) VALUES (?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `).run(id, JSON.stringify(job))
+    }
+
+    deleteVideoJobs(ids) {
+        const remove = this.db.prepare('DELETE FROM video_jobs WHERE id = ?')
+        this.db.transaction(() => ids.forEach(id => remove.run(id))).immediate()
+    }
+
+    loadSettings() {
+        return this._loadMap('settings', 'name', 'value', parseJson)
+    }
+
+    /**
+     * 合并保存设置
+     * @param {object} settings - 需要更新的设置
+     * @returns {object} 合并后的全部设置
+     */
+    saveSettings(settings) {
+        const upsert = this.db.prepare(`
+            INSERT INTO settings (name, value) VALUES (?, ?)
+            ON CONFLICT(name) DO UPDATE SET value = excluded.value
+        `)
+        this.db.transaction(() => {
+            for (const [name, value] of Object.entries(settings)) {
+                upsert.run(name, JSON.stringify(value))
+            }
+        }).immediate()
+        return this.loadSettings()
+    }
+
+    loadApiKeys() {
+        return this._loadMap('api_keys', 'key', 'data', parseJson)
+    }
+
+    saveApiKeys(apiKeys) {
+        this.db.transaction(() => this._replaceMap('api_keys', 'key', 'data', apiKeys, value => value === null ? null : JSON.stringify(value))).immediate()
+    }
+
+    loadUsage() {
+        const usage = {}
+        for (const row of this.db.prepare('SELECT * FROM usage').all()) {
+            const { id, ...item } = row
+            usage[id] = item
+        }
+        return usage
+    }
+
+    /**
+     * 累加用量增量并清理过期统计
+     * @param {object} deltas - 统计项ID -> 用量增量
+     * @param {string} cutoffDate - 早于该日期(YYYY-MM-DD)的统计项会被清理
+     * @returns {object} 合并后的全部用量
+     */
+    mergeUsage(deltas, cutoffDate) {
+        const upsert = this.db.prepare(`
+            INSERT INTO usage (id, date, api_key, account, model, requests, prompt_tokens, completion_tokens, total_tokens)
+            VALUES (@id, @date, @api_key, @account, @model, @requests, @prompt_tokens, @completion_tokens, @total_tokens)
+            ON CONFLICT(id) DO UPDATE SET
+                requests = requests + excluded.requests,
+                prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+                completion_tokens = completion_tokens + excluded.completion_tokens,
+                total_tokens = total_tokens + excluded.total_tokens
+        `)
+        this.db.transaction(() => {
+            for (const [id, delta] of Object.entries(deltas)) {
+                upsert.run({
+                    id,
+                    date: delta.date,
+                    api_key: delta.api_key,
+                    account: delta.account,
+                    model: delta.model,
+                    requests: delta.requests,
+                    prompt_tokens: delta.prompt_tokens,
+                    completion_tokens: delta.completion_tokens,
+                    total_tokens: delta.total_tokens
+                })
+            }
+            this.db.prepare('DELETE FROM usage WHERE date < ?').run(cutoffDate)
+        }).immediate()
+        return this.loadUsage()
+    }
+}
+
+module.exports = SqliteStore
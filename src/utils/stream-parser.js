@@ -0,0 +1,61 @@
+const { isJson } = require('./tools.js')
+
+/**
+ * 解析上游 SSE 流，按顺序产出结构化事件
+ * 调用方中途 break 时会自动销毁上游流
+ *
+ * 事件类型:
+ * - { type: 'created', chat_id, parent_id, response_id }  上游创建响应
+ * - { type: 'usage', usage }                             上游返回的token用量
+ * - { type: 'web_search', info }                         搜索结果信息
+ * - { type: 'delta', phase, content }                    think/answer 阶段的增量内容
+ *
+ * @param {object} response - 上游响应流
+ * @returns {AsyncGenerator<object>} 事件迭代器
+ */
+async function* parseUpstreamStream(response) {
+    const decoder = new TextDecoder('utf-8')
+    let buffer = ''
+
+    for await (const chunk of response) {
+        buffer += decoder.decode(chunk, { stream: true })
+
+        let dataEnd
+        while ((dataEnd = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.substring(0, dataEnd)
+            buffer = buffer.substring(dataEnd + 2)
+
+            const dataStart = block.indexOf('data:')
+            if (dataStart === -1) continue
+
+            const dataContent = block.substring(dataStart + 5).trim()
+            const decodeJson = isJson(dataContent) ? JSON.parse(dataContent) : null
+            if (!decodeJson) continue
+
+            if (decodeJson['response.created']) {
+                yield { type: 'created', ...decodeJson['response.created'] }
+            }
+
+            if (decodeJson.usage) {
+                yield { type: 'usage', usage: decodeJson.usage }
+            }
+
+            if (!decodeJson.choices || decodeJson.choices.length === 0) continue
+
+            const delta = decodeJson.choices[0].delta
+            if (!delta) continue
+
+            if (delta.name === 'web_search' && delta.extra?.web_search_info) {
+                yield { type: 'web_search', info: delta.extra.web_search_info }
+            }
+
+            if (delta.content && (delta.phase === 'think' || delta.phase === 'answer')) {
+                yield { type: 'delta', phase: delta.phase, content: delta.content }
+            }
+        }
+    }
+}
+
+module.exports = {
+    parseUpstreamStream
+}
@@ -0,0 +1,196 @@
+const { validateJsonSchema } = require('./json-schema.js')
+
+// 在回答中查找 JSON 时最多尝试的起始位置数
+const MAX_JSON_CANDIDATES = 10
+
+/**
+ * 校验并解析 response_format 参数
+ * @param {any} response_format - 请求中的 response_format
+ * @returns {{format: object|null, error: string|null}} format 为 { type, name, description, schema, strict }，text 或未指定时为 null
+ */
+const parseResponseFormat = (response_format) => {
+    if (response_format === undefined || response_format === null) {
+        return { format: null, error: null }
+    }
+    if (typeof response_format !== 'object' || Array.isArray(response_format)) {
+        return { format: null, error: 'response_format must be an object' }
+    }
+
+    const { type } = response_format
+    if (type === 'text') {
+        return { format: null, error: null }
+    }
+    if (type === 'json_object') {
+        return { format: { type }, error: null }
+    }
+    if (type !== 'json_schema') {
+        return { format: null, error: `Invalid response_format type '${type}', expected 'text', 'json_object' or 'json_schema'` }
+    }
+
+    const jsonSchema = response_format.json_schema
+    if (!jsonSchema || typeof jsonSchema !== 'object' || Array.isArray(jsonSchema)) {
+        return { format: null, error: 'response_format.json_schema must be an object' }
+    }
+    const schema = jsonSchema.schema === undefined ? {} : jsonSchema.schema
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return { format: null, error: 'response_format.json_schema.schema must be a JSON Schema object' }
+    }
+
+    return {
+        format: {
+            type,
+            name: typeof jsonSchema.name === 'string' && jsonSchema.name ? jsonSchema.name : 'response',
+            description: typeof jsonSchema.description === 'string' ? jsonSchema.description : '',
+            schema,
+            strict: jsonSchema.strict === true
+        },
+        error: null
+    }
+}
+
+/**
+ * 构建要求模型只输出 JSON 的提示词
+ * @param {object} format - parseResponseFormat 返回的 format
+ * @returns {string} 提示词
+ */
+const buildJsonPrompt = (format) => {
+    if (format.type === 'json_object') {
+        return '# Response Format\n\n'
+            + 'Respond with a single valid JSON object and nothing else. '
+            + 'Do not wrap it in Markdown code fences and do not add any explanation before or after it.'
+    }
+
+    let prompt = '# Response Format\n\n'
+        + `Respond with a single valid JSON value named "${format.name}" that conforms to the JSON Schema within <schema></schema> XML tags.`
+    if (format.description) {
+        prompt += `\nDescription: ${format.description}`
+    }
+    prompt += `\n<schema>\n${JSON.stringify(format.schema)}\n</schema>\n\n`
+        + 'Include every required property, use exactly the declared types and do not add properties the schema does not allow. '
+        + 'Do not wrap the JSON in Markdown code fences and do not add any explanation before or after it.'
+    return prompt
+}
+
+/**
+ * 截取从 start 开始括号配平的 JSON 片段
+ * @param {string} text - 文本
+ * @param {number} start - { 或 [ 的位置
+ * @returns {string|null} 片段，括号未闭合时返回 null
+ */
+const sliceBalanced = (text, start) => {
+    const stack = []
+    let inString = false
+    let escaped = false
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i]
+        if (inString) {
+            if (escaped) {
+                escaped = false
+            } else if (char === '\\') {
+                escaped = true
+            } else if (char === '"') {
+                inString = false
+            }
+            continue
+        }
+
+        if (char === '"') {
+            inString = true
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']')
+        } else if (char === '}' || char === ']') {
+            if (stack.pop() !== char) {
+                return null
+            }
+            if (stack.length === 0) {
+                return text.slice(start, i + 1)
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * 从模型回答中提取 JSON，去掉思考内容和 Markdown 代码块，并跳过 JSON 前后的说明文字
+ * @param {string} text - 回答内容
+ * @returns {{value: any}|null} 解析出的 JSON，找不到时返回 null
+ */
+const extractJson = (text) => {
+    const cleaned = String(text || '')
+        .replace(/<think>[\s\S]*?<\/think>/g, '')
+        .replace(/^[\s\S]*?<\/think>/, '')
+        .trim()
+
+    const candidates = []
+    const fenced = cleaned.match(/```[\w-]*[ \t]*\r?\n?([\s\S]*?)```/)
+    if (fenced) {
+        candidates.push(fenced[1].trim())
+    }
+    candidates.push(cleaned)
+
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate) }
+        } catch (error) {
+            // 继续在文本中查找 JSON 片段
+        }
+
+        let tried = 0
+        for (let i = 0; i < candidate.length && tried < MAX_JSON_CANDIDATES; i++) {
+            if (candidate[i] !== '{' && candidate[i] !== '[') {
+                continue
+            }
+            tried++
+            const slice = sliceBalanced(candidate, i)
+            if (!slice) {
+                continue
+            }
+            try {
+                return { value: JSON.parse(slice) }
+            } catch (error) {
+                // 尝试下一个起始位置
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * 从回答中提取 JSON 并按 response_format 校验
+ * @param {string} text - 回答内容
+ * @param {object} format - parseResponseFormat 返回的 format
+ * @returns {{value: any, errors: Array<string>}} 解析出的 JSON 和错误列表，错误列表为空时表示通过
+ */
+const checkJsonOutput = (text, format) => {
+    const extracted = extractJson(text)
+    if (!extracted) {
+        return { value: undefined, errors: ['the response does not contain valid JSON'] }
+    }
+
+    const { value } = extracted
+    if (format.type === 'json_object') {
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray(value)
+        return { value, errors: isObject ? [] : ['$: expected a JSON object'] }
+    }
+    return { value, errors: validateJsonSchema(value, format.schema) }
+}
+
+/**
+ * 构建要求模型修正回答的提示词
+ * @param {Array<string>} errors - 上一次回答的错误
+ * @returns {string} 提示词
+ */
+const buildJsonRepairPrompt = (errors) => {
+    return 'Your previous response did not satisfy the required JSON format:\n'
+        + errors.map(error => `- ${error}`).join('\n')
+        + '\n\nReply again with only the corrected JSON, without code fences or any explanation.'
+}
+
+module.exports = {
+    parseResponseFormat,
+    buildJsonPrompt,
+    extractJson,
+    checkJsonOutput,
+    buildJsonRepairPrompt
+}
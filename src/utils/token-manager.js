@@ -1,6 +1,7 @@
 const axios = require('axios')
 const { sha256Encrypt, JwtDecode, getProxyHost } = require('./tools')
 const { logger } = require('./logger')
+const { getAxiosProxyConfig } = require('./proxy-agent')
 
 /**
  * 令牌管理器
@@ -28,7 +29,8 @@ class TokenManager {
         password: sha256Encrypt(password)
       }, {
         headers: this.defaultHeaders,
-        timeout: 10000 // 10秒超时
+        timeout: 10000, // 10秒超时
+        ...getAxiosProxyConfig(proxy)
       })
 
       if (response.data && response.data.token) {
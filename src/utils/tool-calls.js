@@ -0,0 +1,252 @@
+const { generateUUID } = require('./tools.js')
+
+const TOOL_CALL_OPEN = '<tool_call>'
+const TOOL_CALL_CLOSE = '</tool_call>'
+
+/**
+ * 生成工具调用ID
+ * @returns {string} 工具调用ID
+ */
+const generateToolCallId = () => {
+    return `call_${generateUUID().replace(/-/g, '').substring(0, 24)}`
+}
+
+/**
+ * 构建工具定义提示词（沿用 Qwen 原生的 <tools>/<tool_call> 模板）
+ * @param {Array} tools - OpenAI 格式的工具定义
+ * @param {string|object} tool_choice - 工具选择策略
+ * @returns {string} 提示词
+ */
+const buildToolPrompt = (tools, tool_choice = 'auto') => {
+    const definitions = tools
+        .filter(tool => tool && tool.type === 'function' && tool.function)
+        .map(tool => JSON.stringify({ type: 'function', function: tool.function }))
+        .join('\n')
+
+    let prompt = '# Tools\n\n'
+        + 'You may call one or more functions to assist with the user query.\n\n'
+        + 'You are provided with function signatures within <tools></tools> XML tags:\n'
+        + `<tools>\n${definitions}\n</tools>\n\n`
+        + 'For each function call, return a json object with function name and arguments within <tool_call></tool_call> XML tags:\n'
+        + '<tool_call>\n{"name": <function-name>, "arguments": <args-json-object>}\n</tool_call>\n\n'
+        + 'After calling functions, stop and wait: the results will be provided within <tool_response></tool_response> XML tags.'
+
+    if (tool_choice === 'required') {
+        prompt += '\nYou MUST call at least one function in this turn.'
+    } else if (tool_choice && typeof tool_choice === 'object' && tool_choice.function?.name) {
+        prompt += `\nYou MUST call the function "${tool_choice.function.name}" in this turn.`
+    }
+
+    return prompt
+}
+
+/**
+ * 将参数统一为 JSON 字符串
+ * @param {string|object} args - 参数
+ * @returns {string} JSON 字符串
+ */
+const stringifyArguments = (args) => {
+    if (typeof args === 'string') {
+        return args
+    }
+    return JSON.stringify(args ?? {})
+}
+
+/**
+ * 将工具调用相关消息渲染为普通文本消息，使历史能被上游理解
+ * - assistant.tool_calls 渲染为 <tool_call> 块
+ * - role 为 tool/function 的消息渲染为 <tool_response> 块
+ * @param {Array} messages - OpenAI 格式的消息数组
+ * @returns {Array} 转换后的消息数组
+ */
+const renderToolMessages = (messages) => {
+    return messages.map(message => {
+        if (message.role === 'assistant' && (Array.isArray(message.tool_calls) || message.function_call)) {
+            const calls = message.tool_calls ? message.tool_calls.map(call => call.function) : [message.function_call]
+            const text = typeof message.content === 'string'
+                ? message.content
+                : Array.isArray(message.content) ? message.content.filter(item => item.type === 'text').map(item => item.text).join('') : ''
+
+            const rendered = calls.filter(Boolean).map(call => {
+                let args = call.arguments
+                try {
+                    args = JSON.parse(call.arguments)
+                } catch (e) { /* 保留原始字符串 */ }
+                return `${TOOL_CALL_OPEN}\n${JSON.stringify({ name: call.name, arguments: args })}\n${TOOL_CALL_CLOSE}`
+            })
+
+            return {
+                role: 'assistant',
+                content: [text, ...rendered].filter(item => item).join('\n')
+            }
+        }
+
+        if (message.role === 'tool' || message.role === 'function') {
+            const text = typeof message.content === 'string'
+                ? message.content
+                : Array.isArray(message.content) ? message.content.filter(item => item.type === 'text').map(item => item.text).join('') : JSON.stringify(message.content)
+
+            return {
+                role: 'user',
+                content: `<tool_response>\n${text}\n</tool_response>`
+            }
+        }
+
+        return message
+    })
+}
+
+/**
+ * 将工具提示词注入到消息中（合并到首条 system 消息）
+ * @param {Array} messages - 消息数组
+ * @param {string} toolPrompt - 工具提示词
+ * @returns {Array} 注入后的消息数组
+ */
+const injectToolPrompt = (messages, toolPrompt) => {
+    if (messages.length > 0 && messages[0].role === 'system') {
+        const system = messages[0]
+        const systemText = typeof system.content === 'string'
+            ? system.content
+            : Array.isArray(system.content) ? system.content.filter(item => item.type === 'text').map(item => item.text).join('') : ''
+        return [{ role: 'system', content: `${systemText}\n\n${toolPrompt}` }, ...messages.slice(1)]
+    }
+    return [{ role: 'system', content: toolPrompt }, ...messages]
+}
+
+/**
+ * 解析单个 <tool_call> 块的内容
+ * @param {string} raw - 块内文本
+ * @returns {object|null} OpenAI 格式的工具调用
+ */
+const parseToolCallBlock = (raw) => {
+    const text = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '')
+    try {
+        const parsed = JSON.parse(text)
+        if (!parsed || typeof parsed.name !== 'string') {
+            return null
+        }
+        return {
+            id: generateToolCallId(),
+            type: 'function',
+            function: {
+                name: parsed.name,
+                arguments: stringifyArguments(parsed.arguments ?? parsed.parameters)
+            }
+        }
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * 工具调用解析器
+ * 从流式文本中识别 <tool_call> 块，其余内容作为普通文本输出
+ */
+class ToolCallParser {
+    constructor() {
+        this.buffer = ''
+        this.inside = false
+        this.toolCalls = []
+    }
+
+    /**
+     * 写入增量文本
+     * @param {string} text - 增量文本
+     * @returns {{content: string, toolCalls: Array}} 可输出的文本和新解析出的工具调用
+     */
+    push(text) {
+        this.buffer += text
+        let content = ''
+        const toolCalls = []
+
+        while (this.buffer) {
+            if (!this.inside) {
+                const openIndex = this.buffer.indexOf(TOOL_CALL_OPEN)
+                if (openIndex !== -1) {
+                    content += this.buffer.substring(0, openIndex)
+                    this.buffer = this.buffer.substring(openIndex + TOOL_CALL_OPEN.length)
+                    this.inside = true
+                    continue
+                }
+
+                // 暂存可能是起始标签前缀的末尾文本
+                const keep = this._partialPrefixLength(this.buffer)
+                content += this.buffer.substring(0, this.buffer.length - keep)
+                this.buffer = this.buffer.substring(this.buffer.length - keep)
+                break
+            }
+
+            const closeIndex = this.buffer.indexOf(TOOL_CALL_CLOSE)
+            if (closeIndex === -1) break
+
+            const raw = this.buffer.substring(0, closeIndex)
+            this.buffer = this.buffer.substring(closeIndex + TOOL_CALL_CLOSE.length)
+            this.inside = false
+
+            const toolCall = parseToolCallBlock(raw)
+            if (toolCall) {
+                toolCalls.push(toolCall)
+            } else {
+                content += `${TOOL_CALL_OPEN}${raw}${TOOL_CALL_CLOSE}`
+            }
+        }
+
+        return this._result(content, toolCalls)
+    }
+
+    /**
+     * 上游结束时处理剩余内容（容忍缺失的结束标签）
+     * @returns {{content: string, toolCalls: Array}}
+     */
+    flush() {
+        let content = ''
+        const toolCalls = []
+
+        if (this.inside) {
+            const toolCall = parseToolCallBlock(this.buffer)
+            if (toolCall) {
+                toolCalls.push(toolCall)
+            } else {
+                content = `${TOOL_CALL_OPEN}${this.buffer}`
+            }
+        } else {
+            content = this.buffer
+        }
+
+        this.buffer = ''
+        this.inside = false
+        return this._result(content, toolCalls)
+    }
+
+    /**
+     * @private
+     */
+    _result(content, toolCalls) {
+        this.toolCalls.push(...toolCalls)
+        // 工具调用之间的空白不作为正文输出
+        if (this.toolCalls.length > 0 && content.trim() === '') {
+            content = ''
+        }
+        return { content, toolCalls }
+    }
+
+    /**
+     * 计算文本末尾与起始标签前缀重合的长度
+     * @private
+     */
+    _partialPrefixLength(text) {
+        for (let length = Math.min(text.length, TOOL_CALL_OPEN.length - 1); length > 0; length--) {
+            if (TOOL_CALL_OPEN.startsWith(text.substring(text.length - length))) {
+                return length
+            }
+        }
+        return 0
+    }
+}
+
+module.exports = {
+    buildToolPrompt,
+    renderToolMessages,
+    injectToolPrompt,
+    ToolCallParser
+}
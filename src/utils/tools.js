@@ -57,11 +57,32 @@ const getProxyHost = (proxyUrl) => {
   }
 };
 
+/**
+ * 获取本地日期字符串
+ * @param {Date} date - 日期，默认为当前时间
+ * @returns {string} YYYY-MM-DD
+ */
+const getLocalDate = (date = new Date()) => {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * 将通配符规则转换为正则，* 匹配任意字符，不区分大小写
+ * @param {string} pattern - 规则，如 qwen3-coder-*
+ * @returns {RegExp} 正则
+ */
+const patternToRegExp = (pattern) => {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')
+  return new RegExp(`^${escaped}$`, 'i')
+}
+
 module.exports = {
   isJson,
   sleep,
   sha256Encrypt,
   JwtDecode,
   generateUUID,
-  getProxyHost
+  getProxyHost,
+  getLocalDate,
+  patternToRegExp
 }
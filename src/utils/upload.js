@@ -3,6 +3,8 @@ const OSS = require('ali-oss')
 const mimetypes = require('mime-types')
 const { logger } = require('./logger')
 const { generateUUID } = require('./tools.js')
+const accountManager = require('./account.js')
+const { getAxiosProxyConfig } = require('./proxy-agent')
 
 /**
  * 文件上传管理器
@@ -67,10 +69,11 @@ const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
  * @param {number} filesize - 文件大小（字节）
  * @param {string} filetypeSimple - 简化文件类型
  * @param {string} authToken - 认证Token
+ * @param {string|null} proxy - 账户绑定的代理URL
  * @param {number} retryCount - 重试次数
  * @returns {Promise<Object>} STS Token响应数据
  */
-const requestStsToken = async (filename, filesize, filetypeSimple, authToken, retryCount = 0) => {
+const requestStsToken = async (filename, filesize, filetypeSimple, authToken, proxy = null, retryCount = 0) => {
   try {
     // 参数验证
     if (!filename || !authToken) {
@@ -103,7 +106,8 @@ const requestStsToken = async (filename, filesize, filetypeSimple, authToken, re
 
     const response = await axios.post(UPLOAD_CONFIG.stsTokenUrl, payload, {
       headers,
-      timeout: UPLOAD_CONFIG.timeout
+      timeout: UPLOAD_CONFIG.timeout,
+      ...getAxiosProxyConfig(proxy)
     })
 
     if (response.status === 200 && response.data) {
@@ -161,7 +165,7 @@ const requestStsToken = async (filename, filesize, filetypeSimple, authToken, re
       logger.warn(`等待 ${delayMs}ms 后重试...`, 'UPLOAD', '⏳')
       await delay(delayMs)
 
-      return requestStsToken(filename, filesize, filetypeSimple, authToken, retryCount + 1)
+      return requestStsToken(filename, filesize, filetypeSimple, authToken, proxy, retryCount + 1)
     }
 
     throw error
@@ -174,10 +178,11 @@ const requestStsToken = async (filename, filesize, filetypeSimple, authToken, re
  * @param {Object} stsCredentials - STS凭证
  * @param {Object} ossInfo - OSS信息
  * @param {string} fileContentTypeFull - 文件的完整MIME类型
+ * @param {string|null} proxy - 账户绑定的代理URL
  * @param {number} retryCount - 重试次数
  * @returns {Promise<Object>} 上传结果
  */
-const uploadToOssWithSts = async (fileBuffer, stsCredentials, ossInfo, fileContentTypeFull, retryCount = 0) => {
+const uploadToOssWithSts = async (fileBuffer, stsCredentials, ossInfo, fileContentTypeFull, proxy = null, retryCount = 0) => {
   try {
     // 参数验证
     if (!fileBuffer || !stsCredentials || !ossInfo) {
@@ -185,6 +190,7 @@ const uploadToOssWithSts = async (fileBuffer, stsCredentials, ossInfo, fileConte
       throw new Error('缺少必要的上传参数')
     }
 
+    const { httpAgent, httpsAgent } = getAxiosProxyConfig(proxy)
     const client = new OSS({
       accessKeyId: stsCredentials.access_key_id,
       accessKeySecret: stsCredentials.access_key_secret,
@@ -192,7 +198,10 @@ const uploadToOssWithSts = async (fileBuffer, stsCredentials, ossInfo, fileConte
       bucket: ossInfo.bucket,
       endpoint: ossInfo.endpoint,
       secure: true,
-      timeout: UPLOAD_CONFIG.timeout
+      timeout: UPLOAD_CONFIG.timeout,
+      // 未配置代理时 ali-oss 使用默认 Agent
+      agent: httpAgent,
+      httpsAgent
     })
 
     logger.info(`上传文件到OSS: ${ossInfo.path} (${fileBuffer.length} bytes)`, 'UPLOAD', '📤')
@@ -219,7 +228,7 @@ const uploadToOssWithSts = async (fileBuffer, stsCredentials, ossInfo, fileConte
       logger.warn(`等待 ${delayMs}ms 后重试OSS上传...`, 'UPLOAD', '⏳')
       await delay(delayMs)
 
-      return uploadToOssWithSts(fileBuffer, stsCredentials, ossInfo, fileContentTypeFull, retryCount + 1)
+      return uploadToOssWithSts(fileBuffer, stsCredentials, ossInfo, fileContentTypeFull, proxy, retryCount + 1)
     }
 
     throw error
@@ -254,16 +263,20 @@ const uploadFileToQwenOss = async (fileBuffer, originalFilename, authToken) => {
 
     logger.info(`开始上传文件: ${originalFilename} (${filesize} bytes, ${mimeType})`, 'UPLOAD', '📤')
 
+    // 上传请求与对话请求使用同一账户代理
+    const proxy = accountManager.getProxyForToken(authToken.replace(/^Bearer /, ''))
+
     // 第一步：获取STS Token
     const { credentials, file_info } = await requestStsToken(
       originalFilename,
       filesize,
       filetypeSimple,
-      authToken
+      authToken,
+      proxy
     )
 
     // 第二步：上传到OSS
-    await uploadToOssWithSts(fileBuffer, credentials, file_info, mimeType)
+    await uploadToOssWithSts(fileBuffer, credentials, file_info, mimeType, proxy)
 
     logger.success('文件上传流程完成', 'UPLOAD')
 
@@ -0,0 +1,142 @@
+const dns = require('dns')
+const net = require('net')
+const http = require('http')
+const https = require('https')
+const axios = require('axios')
+
+// 下载客户端提供的远程文件时的默认大小上限
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024
+// 下载时最多跟随的重定向次数
+const MAX_REDIRECTS = 3
+
+// 不允许服务端访问的地址：本机、私有网络、链路本地、运营商 NAT、组播和保留地址
+const blockedAddresses = new net.BlockList()
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv6')
+}
+
+/**
+ * 判断 IP 是否为内网或保留地址
+ * @param {string} address - IP 地址
+ * @returns {boolean} 是否禁止访问
+ */
+const isPrivateAddress = (address) => {
+    const mapped = String(address).match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+    if (mapped) {
+        return blockedAddresses.check(mapped[1], 'ipv4')
+    }
+    const family = net.isIP(address)
+    if (family === 0) {
+        return true
+    }
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+/**
+ * 解析域名并拒绝内网地址，连接时使用，防止校验后域名被解析到其他地址
+ * 参数与 dns.lookup 相同
+ */
+const guardedLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options
+        options = {}
+    }
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error)
+        }
+        const blocked = addresses.find(item => isPrivateAddress(item.address))
+        if (blocked) {
+            return callback(new Error(`禁止访问内网地址: ${hostname} (${blocked.address})`))
+        }
+        if (options.all) {
+            return callback(null, addresses)
+        }
+        callback(null, addresses[0].address, addresses[0].family)
+    })
+}
+
+const guardedHttpAgent = new http.Agent({ lookup: guardedLookup })
+const guardedHttpsAgent = new https.Agent({ lookup: guardedLookup })
+
+/**
+ * 校验客户端提供的地址只指向公网
+ * @param {string} url - 地址
+ * @param {Array<string>} protocols - 允许的协议，默认只允许 https
+ * @returns {Promise<URL>} 解析后的地址
+ * @throws {Error} 协议不允许、地址无效或指向内网时抛出
+ */
+const assertPublicUrl = async (url, protocols = ['https:']) => {
+    let parsed
+    try {
+        parsed = new URL(url)
+    } catch (error) {
+        throw new Error('无效的地址')
+    }
+    if (!protocols.includes(parsed.protocol)) {
+        throw new Error(`只允许 ${protocols.map(item => item.replace(':', '')).join('/')} 地址`)
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+    const addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true })
+    if (addresses.length === 0 || addresses.some(item => isPrivateAddress(item.address))) {
+        throw new Error(`禁止访问内网地址: ${hostname}`)
+    }
+    return parsed
+}
+
+/**
+ * 获取访问客户端提供的地址时使用的 axios 配置，连接时再次校验解析结果并限制重定向
+ * @param {Array<string>} protocols - 允许的协议
+ * @returns {object} axios 配置
+ */
+const getGuardedAxiosConfig = (protocols = ['https:']) => {
+    return {
+        httpAgent: guardedHttpAgent,
+        httpsAgent: guardedHttpsAgent,
+        proxy: false,
+        maxRedirects: MAX_REDIRECTS,
+        beforeRedirect: (options) => {
+            if (!protocols.includes(options.protocol)) {
+                throw new Error(`重定向到不允许的协议: ${options.protocol}`)
+            }
+        }
+    }
+}
+
+/**
+ * 下载客户端提供的 https 文件，拒绝内网地址并限制大小
+ * @param {string} url - 文件地址
+ * @param {object} options - 可选项
+ * @param {number} options.maxBytes - 最大字节数
+ * @param {number} options.timeout - 超时时间（毫秒）
+ * @returns {Promise<{data: Buffer, contentType: string|null}>} 文件内容和类型
+ */
+const fetchPublicFile = async (url, { maxBytes = DEFAULT_MAX_BYTES, timeout = 30 * 1000 } = {}) => {
+    await assertPublicUrl(url)
+    const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout,
+        maxContentLength: maxBytes,
+        ...getGuardedAxiosConfig()
+    })
+    return {
+        data: Buffer.from(response.data),
+        contentType: response.headers['content-type'] ? String(response.headers['content-type']).split(';')[0] : null
+    }
+}
+
+module.exports = {
+    isPrivateAddress,
+    assertPublicUrl,
+    getGuardedAxiosConfig,
+    fetchPublicFile
+}
@@ -0,0 +1,173 @@
+const config = require('../config/index.js')
+const dataPersistence = require('./data-persistence')
+const apiKeyManager = require('./api-keys')
+const { getLocalDate } = require('./tools')
+const { logger } = require('./logger')
+
+// 用量增量写入数据存储的间隔
+const FLUSH_INTERVAL = 10 * 1000
+// 支持的分组字段
+const GROUP_FIELDS = ['date', 'api_key', 'account', 'model']
+
+/**
+ * 创建空的用量合计
+ * @returns {object} 用量合计
+ */
+const createTotals = () => ({
+    requests: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0
+})
+
+/**
+ * 累加用量
+ * @param {object} target - 被累加的合计
+ * @param {object} item - 用量
+ */
+const addTotals = (target, item) => {
+    target.requests += item.requests
+    target.prompt_tokens += item.prompt_tokens
+    target.completion_tokens += item.completion_tokens
+    target.total_tokens += item.total_tokens
+}
+
+/**
+ * 用量统计
+ * 按 日期 + API Key + 上游账户 + 模型 汇总请求数和token，定期合并到数据存储
+ */
+class UsageStats {
+    constructor() {
+        // 尚未写入存储的增量 统计项ID -> 用量
+        this.pending = {}
+        this.flushing = null
+        this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL)
+        this.flushTimer.unref()
+    }
+
+    /**
+     * 记录一次请求的用量，同时计入密钥的每日token额度
+     * @param {object} entry - 用量信息
+     * @param {string} entry.apiKey - 请求使用的 API Key
+     * @param {string} entry.account - 上游账户邮箱
+     * @param {string} entry.model - 模型名称
+     * @param {object} entry.usage - { prompt_tokens, completion_tokens, total_tokens }
+     */
+    record({ apiKey, account, model, usage }) {
+        const prompt_tokens = Math.max(0, Number(usage?.prompt_tokens) || 0)
+        const completion_tokens = Math.max(0, Number(usage?.completion_tokens) || 0)
+        const total_tokens = Math.max(0, Number(usage?.total_tokens) || prompt_tokens + completion_tokens)
+
+        apiKeyManager.recordTokens(apiKey, total_tokens)
+
+        const item = {
+            date: getLocalDate(),
+            api_key: apiKey || '',
+            account: account || '',
+            model: model || ''
+        }
+        const id = [item.date, item.api_key, item.account, item.model].join('|')
+        const pending = this.pending[id] || (this.pending[id] = { ...item, ...createTotals() })
+        addTotals(pending, { requests: 1, prompt_tokens, completion_tokens, total_tokens })
+    }
+
+    /**
+     * 将增量合并到数据存储，并清理超过保留天数的统计
+     * @returns {Promise<object>} 合并后的全部用量
+     */
+    flush() {
+        // 排在上一次合并之后执行，增量在执行时再取出，避免并发合并丢失计数
+        const flushing = (this.flushing || Promise.resolve()).then(() => {
+            const deltas = this.pending
+            this.pending = {}
+            const cutoff = new Date()
+            cutoff.setDate(cutoff.getDate() - config.usageRetentionDays)
+
+            return dataPersistence.mergeUsage(deltas, getLocalDate(cutoff))
+                .catch(error => {
+                    logger.error('保存用量统计失败', 'USAGE', '', error)
+                    // 写入失败时保留增量，下次重试
+                    for (const [id, delta] of Object.entries(deltas)) {
+                        if (this.pending[id]) {
+                            addTotals(this.pending[id], delta)
+                        } else {
+                            this.pending[id] = delta
+                        }
+                    }
+                    return dataPersistence.loadUsage()
+                })
+        })
+        // 失败不影响后续合并继续排队执行
+        const queued = flushing.catch(() => {}).then(() => {
+            if (this.flushing === queued) {
+                this.flushing = null
+            }
+        })
+        this.flushing = queued
+        return flushing
+    }
+
+    /**
+     * 查询用量
+     * @param {object} options - 查询条件
+     * @param {string} options.start - 开始日期 YYYY-MM-DD（包含）
+     * @param {string} options.end - 结束日期 YYYY-MM-DD（包含）
+     * @param {string} [options.apiKey] - 只统计该 API Key
+     * @param {string} [options.account] - 只统计该上游账户
+     * @param {string} [options.model] - 只统计该模型
+     * @param {Array<string>} [options.groupBy] - 分组字段，取值为 date/api_key/account/model
+     * @returns {Promise<object>} { start, end, totals, groups, series }
+     */
+    async query({ start, end, apiKey, account, model, groupBy = [] }) {
+        const usage = await this.flush()
+        const items = Object.values(usage).filter(item =>
+            item.date >= start && item.date <= end &&
+            (!apiKey || item.api_key === apiKey) &&
+            (!account || item.account === account) &&
+            (!model || item.model === model)
+        )
+
+        const totals = createTotals()
+        const groups = new Map()
+        const series = new Map()
+
+        for (const item of items) {
+            addTotals(totals, item)
+
+            const groupKey = groupBy.map(field => item[field]).join('|')
+            if (!groups.has(groupKey)) {
+                const group = {}
+                for (const field of groupBy) {
+                    group[field] = item[field]
+                }
+                groups.set(groupKey, { ...group, ...createTotals() })
+            }
+            addTotals(groups.get(groupKey), item)
+
+            if (!series.has(item.date)) {
+                series.set(item.date, { date: item.date, ...createTotals() })
+            }
+            addTotals(series.get(item.date), item)
+        }
+
+        // 补充 API Key 名称，便于按团队核算
+        const result = [...groups.values()].sort((a, b) => b.total_tokens - a.total_tokens)
+        if (groupBy.includes('api_key')) {
+            for (const group of result) {
+                group.api_key_name = apiKeyManager.getRecord(group.api_key)?.name || ''
+            }
+        }
+
+        return {
+            start,
+            end,
+            group_by: groupBy,
+            totals,
+            groups: groupBy.length > 0 ? result : [],
+            series: [...series.values()].sort((a, b) => a.date.localeCompare(b.date))
+        }
+    }
+}
+
+module.exports = new UsageStats()
+module.exports.GROUP_FIELDS = GROUP_FIELDS
@@ -0,0 +1,272 @@
+const axios = require('axios')
+const accountManager = require('./account.js')
+const dataPersistence = require('./data-persistence.js')
+const clusterState = require('./cluster-state')
+const { assertPublicUrl, getGuardedAxiosConfig } = require('./url-guard.js')
+const { submitVideoTask, fetchVideoTaskStatus } = require('./request.js')
+const { generateUUID, sleep } = require('./tools.js')
+const { logger } = require('./logger')
+
+// 轮询间隔和最大次数，与聊天接口的视频生成保持一致
+const POLL_INTERVAL = 20 * 1000
+const MAX_POLL_ATTEMPTS = 60
+// 已结束任务的保留时间
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000
+// 回调最大尝试次数
+const MAX_CALLBACK_ATTEMPTS = 3
+// 回调地址允许的协议
+const CALLBACK_PROTOCOLS = ['http:', 'https:']
+// 主进程清理过期任务、接管无人处理任务的间隔
+const MAINTENANCE_INTERVAL = 60 * 1000
+// 未完成的任务超过该时间没有更新时，视为处理它的进程已退出
+const ORPHAN_TIMEOUT = 5 * 60 * 1000
+
+/**
+ * 异步视频任务管理器
+ * 提交上游 wanx 任务后立即返回，在后台轮询结果并通过回调地址通知
+ * 任务通过 DataPersistence 持久化，由创建任务的进程轮询；进程退出后由主进程接管未完成的任务
+ */
+class VideoJobManager {
+    constructor() {
+        // 当前进程正在处理的任务，其他任务从存储中读取
+        this.jobs = new Map()
+        this.pollInterval = POLL_INTERVAL
+        this.maintenanceTimer = null
+    }
+
+    /**
+     * 恢复未完成的任务，并定时清理过期任务
+     */
+    async init() {
+        await this._maintain()
+        this.maintenanceTimer = setInterval(() => this._maintain(), MAINTENANCE_INTERVAL)
+        this.maintenanceTimer.unref()
+    }
+
+    /**
+     * 清理过期任务，接管长时间没有更新的未完成任务，只在主进程执行
+     * @private
+     */
+    async _maintain() {
+        if (!clusterState.isLeader()) {
+            return
+        }
+
+        try {
+            const savedJobs = await dataPersistence.loadVideoJobs(true)
+            const expired = []
+
+            for (const [id, job] of Object.entries(savedJobs)) {
+                if (job.completed_at && Date.now() - job.completed_at * 1000 > JOB_RETENTION) {
+                    expired.push(id)
+                    continue
+                }
+                const pending = job.status === 'queued' || job.status === 'in_progress'
+                if (pending && !this.jobs.has(id) && Date.now() - (job.heartbeat_at || 0) > ORPHAN_TIMEOUT) {
+                    logger.info(`恢复视频任务 ${id}`, 'VIDEO')
+                    this._start(job)
+                }
+            }
+
+            if (expired.length > 0) {
+                await dataPersistence.deleteVideoJobs(expired)
+                logger.info(`清理过期视频任务 ${expired.length} 个`, 'VIDEO')
+            }
+        } catch (error) {
+            logger.error('视频任务维护失败', 'VIDEO', '', error)
+        }
+    }
+
+    /**
+     * 创建视频任务
+     * @param {object} options - 任务参数
+     * @param {string} options.model - 模型名称
+     * @param {string} options.prompt - 提示词
+     * @param {string|null} options.size - 视频比例
+     * @param {string|null} options.callback_url - 任务结束后通知的地址
+     * @param {string} options.api_key - 创建任务的 API Key，只有该 API Key 可以查询任务
+     * @returns {Promise<object>} 任务
+     */
+    async createJob({ model, prompt, size = null, callback_url = null, api_key = '' }) {
+        const job = {
+            id: `video_${generateUUID().replace(/-/g, '')}`,
+            object: 'video',
+            model,
+            prompt,
+            size,
+            status: 'queued',
+            url: null,
+            error: null,
+            created_at: Math.floor(Date.now() / 1000),
+            completed_at: null,
+            callback_url,
+            callback_status: null,
+            api_key,
+            // 上游任务只能由提交任务的账户查询
+            task_id: null,
+            email: null
+        }
+
+        await this._save(job)
+        this._start(job)
+        return job
+    }
+
+    /**
+     * 获取任务，不在当前进程处理的任务从存储中读取
+     * @param {string} id - 任务ID
+     * @returns {Promise<object|null>} 任务
+     */
+    async getJob(id) {
+        if (this.jobs.has(id)) {
+            return this.jobs.get(id)
+        }
+        const savedJobs = await dataPersistence.loadVideoJobs(true)
+        return savedJobs[id] || null
+    }
+
+    /**
+     * 转换为对外返回的任务信息，隐藏账户、API Key 等内部字段
+     * @param {object} job - 任务
+     * @returns {object} 任务信息
+     */
+    toPublic(job) {
+        return {
+            id: job.id,
+            object: job.object,
+            model: job.model,
+            prompt: job.prompt,
+            size: job.size,
+            status: job.status,
+            url: job.url,
+            error: job.error,
+            created_at: job.created_at,
+            completed_at: job.completed_at
+        }
+    }
+
+    /**
+     * 在当前进程中处理任务，结束后从正在处理的任务中移除
+     * @param {object} job - 任务
+     * @private
+     */
+    _start(job) {
+        this.jobs.set(job.id, job)
+        this._run(job).finally(() => {
+            this.jobs.delete(job.id)
+        })
+    }
+
+    /**
+     * 提交并轮询任务，直到任务结束
+     * @param {object} job - 任务
+     * @private
+     */
+    async _run(job) {
+        try {
+            if (!job.task_id) {
+                const account = accountManager.getNextAccount()
+                if (!account) {
+                    throw new Error('无法获取有效的账户信息')
+                }
+
+                job.task_id = await submitVideoTask({ model: job.model, prompt: job.prompt, size: job.size }, account.token)
+                job.email = account.email
+                job.status = 'in_progress'
+                await this._save(job)
+                logger.info(`视频任务 ${job.id} 已提交，上游任务ID: ${job.task_id}`, 'VIDEO')
+            }
+
+            for (let i = 0; i < MAX_POLL_ATTEMPTS; i++) {
+                await sleep(this.pollInterval)
+                // 每轮都更新心跳，账户暂不可用或查询失败时主进程也不会把任务当作无人处理
+                await this._save(job)
+
+                const account = accountManager.getAccountByEmail(job.email)
+                if (!account) {
+                    logger.warn(`视频任务 ${job.id} 的账户 ${job.email} 暂不可用`, 'VIDEO')
+                    continue
+                }
+
+                try {
+                    const { status, content } = await fetchVideoTaskStatus(job.task_id, account.token)
+                    if (status === 'success' && content) {
+                        return this._finish(job, { status: 'completed', url: content })
+                    } else if (status === 'failed' || status === 'error') {
+                        return this._finish(job, { status: 'failed', error: { message: `上游任务失败: ${status}` } })
+                    }
+                    logger.info(`视频任务 ${job.id} 状态: ${status}`, 'VIDEO')
+                } catch (error) {
+                    logger.warn(`查询视频任务 ${job.id} 状态失败: ${error.message}`, 'VIDEO')
+                }
+            }
+
+            await this._finish(job, { status: 'failed', error: { message: '视频生成超时' } })
+        } catch (error) {
+            logger.error(`视频任务 ${job.id} 执行失败`, 'VIDEO', '', error)
+            await this._finish(job, { status: 'failed', error: { message: error.message || '视频任务提交失败' } })
+        }
+    }
+
+    /**
+     * 结束任务并通知回调地址
+     * @param {object} job - 任务
+     * @param {object} fields - 结束状态 { status, url, error }
+     * @private
+     */
+    async _finish(job, fields) {
+        Object.assign(job, fields, { completed_at: Math.floor(Date.now() / 1000) })
+        await this._save(job)
+        logger.info(`视频任务 ${job.id} 结束: ${job.status}`, 'VIDEO')
+
+        if (job.callback_url) {
+            await this._deliverCallback(job)
+        }
+    }
+
+    /**
+     * 将任务结果 POST 到回调地址，失败时按指数退避重试
+     * @param {object} job - 任务
+     * @private
+     */
+    async _deliverCallback(job) {
+        for (let attempt = 1; attempt <= MAX_CALLBACK_ATTEMPTS; attempt++) {
+            try {
+                // 发送时再次校验，防止域名在创建任务后被解析到内网地址
+                await assertPublicUrl(job.callback_url, CALLBACK_PROTOCOLS)
+                await axios.post(job.callback_url, this.toPublic(job), {
+                    timeout: 10 * 1000,
+                    ...getGuardedAxiosConfig(CALLBACK_PROTOCOLS)
+                })
+                job.callback_status = 'delivered'
+                await this._save(job)
+                logger.info(`视频任务 ${job.id} 回调成功`, 'VIDEO')
+                return
+            } catch (error) {
+                logger.warn(`视频任务 ${job.id} 回调失败 (尝试: ${attempt}/${MAX_CALLBACK_ATTEMPTS}): ${error.message}`, 'VIDEO')
+                if (attempt < MAX_CALLBACK_ATTEMPTS) {
+                    await sleep(1000 * Math.pow(2, attempt))
+                }
+            }
+        }
+
+        job.callback_status = 'failed'
+        await this._save(job)
+    }
+
+    /**
+     * 持久化任务并更新心跳
+     * @param {object} job - 任务
+     * @private
+     */
+    async _save(job) {
+        job.heartbeat_at = Date.now()
+        try {
+            await dataPersistence.saveVideoJob(job.id, job)
+        } catch (error) {
+            logger.error(`保存视频任务 ${job.id} 失败`, 'VIDEO', '', error)
+        }
+    }
+}
+
+module.exports = new VideoJobManager()
@@ -0,0 +1,113 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const apiKeyManager = require('../src/utils/api-keys.js')
+
+let keyIndex = 0
+
+/**
+ * 添加一个测试用的密钥
+ * @param {object} limits - 限制配置
+ * @returns {object} 密钥记录
+ */
+const addTestKey = (limits = {}) => apiKeyManager.addKey(`sk-test-${process.pid}-${++keyIndex}`, limits)
+
+test('解析限制配置，未设置或为 0 表示不限制', () => {
+    const record = addTestKey({ rpm: '60', tokensPerDay: 0, allowedModels: 'qwen3-*, qwen-plus ,', expiresAt: '2030-01-01T00:00:00Z' })
+    assert.strictEqual(record.rpm, 60)
+    assert.strictEqual(record.tokensPerDay, null)
+    assert.strictEqual(record.maxConcurrentStreams, null)
+    assert.deepStrictEqual(record.allowedModels, ['qwen3-*', 'qwen-plus'])
+    assert.strictEqual(record.expiresAt, Date.parse('2030-01-01T00:00:00Z'))
+})
+
+test('拒绝无效的限制配置', () => {
+    assert.throws(() => addTestKey({ rpm: 1.5 }), /rpm 必须是正整数/)
+    assert.throws(() => addTestKey({ expiresAt: 'tomorrow' }), /expiresAt 不是有效的时间/)
+    const record = addTestKey()
+    assert.throws(() => apiKeyManager.addKey(record.key), /API Key已存在/)
+})
+
+test('updateKey 只更新传入的字段，null 清除限制', () => {
+    const record = addTestKey({ rpm: 10, maxConcurrentStreams: 2 })
+    const updated = apiKeyManager.updateKey(record.key, { rpm: null, tokensPerDay: 100 })
+    assert.strictEqual(updated.rpm, null)
+    assert.strictEqual(updated.tokensPerDay, 100)
+    assert.strictEqual(updated.maxConcurrentStreams, 2)
+    assert.strictEqual(updated.createdAt, record.createdAt)
+})
+
+test('isExpired 按过期时间判断', () => {
+    assert.strictEqual(apiKeyManager.isExpired(addTestKey({ expiresAt: Date.now() - 1000 })), true)
+    assert.strictEqual(apiKeyManager.isExpired(addTestKey({ expiresAt: Date.now() + 60000 })), false)
+    assert.strictEqual(apiKeyManager.isExpired(addTestKey()), false)
+})
+
+test('isModelAllowed 按通配符匹配，设置白名单时未指定模型视为不允许', () => {
+    const record = addTestKey({ allowedModels: ['qwen3-*', 'qwen-plus'] })
+    assert.strictEqual(apiKeyManager.isModelAllowed(record, 'qwen3-max'), true)
+    assert.strictEqual(apiKeyManager.isModelAllowed(record, 'qwen-plus'), true)
+    assert.strictEqual(apiKeyManager.isModelAllowed(record, 'qwen-plus-latest'), false)
+    assert.strictEqual(apiKeyManager.isModelAllowed(record, 'qwen-max-latest'), false)
+    assert.strictEqual(apiKeyManager.isModelAllowed(record, undefined), false)
+
+    const unrestricted = addTestKey()
+    assert.strictEqual(apiKeyManager.isModelAllowed(unrestricted, 'anything'), true)
+    assert.strictEqual(apiKeyManager.isModelAllowed(unrestricted, undefined), true)
+})
+
+test('超出每分钟请求数时返回 429 所需的信息', () => {
+    const record = addTestKey({ rpm: 2 })
+    const first = apiKeyManager.consume(record)
+    assert.strictEqual(first.allowed, true)
+    assert.strictEqual(first.headers['x-ratelimit-limit-requests'], '2')
+    assert.strictEqual(first.headers['x-ratelimit-remaining-requests'], '1')
+    assert.strictEqual(apiKeyManager.consume(record).allowed, true)
+
+    const limited = apiKeyManager.consume(record)
+    assert.strictEqual(limited.allowed, false)
+    assert.strictEqual(limited.type, 'requests')
+    assert.ok(limited.retryAfter >= 1 && limited.retryAfter <= 60)
+    assert.strictEqual(apiKeyManager.getUsage(record.key).requestsLastMinute, 2)
+})
+
+test('每日 token 用完后拒绝请求', () => {
+    const record = addTestKey({ tokensPerDay: 100 })
+    apiKeyManager.recordTokens(record.key, 60)
+    const allowed = apiKeyManager.consume(record)
+    assert.strictEqual(allowed.allowed, true)
+    assert.strictEqual(allowed.headers['x-ratelimit-remaining-tokens'], '40')
+
+    apiKeyManager.recordTokens(record.key, 40)
+    const limited = apiKeyManager.consume(record)
+    assert.strictEqual(limited.allowed, false)
+    assert.strictEqual(limited.type, 'tokens')
+    assert.strictEqual(apiKeyManager.getUsage(record.key).tokensToday, 100)
+})
+
+test('recordTokens 忽略未知密钥和无效的数量', () => {
+    const record = addTestKey()
+    apiKeyManager.recordTokens(record.key, -5)
+    apiKeyManager.recordTokens(record.key, NaN)
+    apiKeyManager.recordTokens('sk-unknown', 10)
+    assert.strictEqual(apiKeyManager.getUsage(record.key).tokensToday, 0)
+})
+
+test('并发流达到上限时拒绝，释放后恢复', () => {
+    const record = addTestKey({ maxConcurrentStreams: 1 })
+    assert.strictEqual(apiKeyManager.consume(record, true).allowed, true)
+    assert.strictEqual(apiKeyManager.consume(record, true).allowed, false)
+    // 非流式请求不受并发流限制
+    assert.strictEqual(apiKeyManager.consume(record, false).allowed, true)
+
+    apiKeyManager.releaseStream(record.key)
+    assert.strictEqual(apiKeyManager.getUsage(record.key).activeStreams, 0)
+    assert.strictEqual(apiKeyManager.consume(record, true).allowed, true)
+})
+
+test('删除密钥同时清除用量', () => {
+    const record = addTestKey()
+    apiKeyManager.recordTokens(record.key, 10)
+    assert.strictEqual(apiKeyManager.deleteKey(record.key), true)
+    assert.strictEqual(apiKeyManager.getRecord(record.key), null)
+    assert.strictEqual(apiKeyManager.usage.has(record.key), false)
+})
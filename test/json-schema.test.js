@@ -0,0 +1,72 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { validateJsonSchema } = require('../src/utils/json-schema.js')
+const { extractJson } = require('../src/utils/structured-output.js')
+
+const personSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 2 },
+        age: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { enum: ['a', 'b'] } }
+    },
+    required: ['name'],
+    additionalProperties: false
+}
+
+test('符合 Schema 的数据没有错误', () => {
+    assert.deepStrictEqual(validateJsonSchema({ name: 'Tom', age: 3, tags: ['a', 'b'] }, personSchema), [])
+})
+
+test('返回每个不符合的位置', () => {
+    assert.deepStrictEqual(validateJsonSchema({ age: 1.5, tags: ['c'], extra: true }, personSchema), [
+        '$: missing required property "name"',
+        '$.age: expected integer, got number',
+        '$.tags[0]: must be one of ["a","b"]',
+        '$: unexpected property "extra"'
+    ])
+})
+
+test('支持 pattern、const、not 和数值范围', () => {
+    assert.deepStrictEqual(validateJsonSchema('abc', { type: 'string', pattern: '^a' }), [])
+    assert.deepStrictEqual(validateJsonSchema('xbc', { type: 'string', pattern: '^a' }), ['$: must match pattern ^a'])
+    assert.deepStrictEqual(validateJsonSchema(1, { const: 2 }), ['$: must be 2'])
+    assert.deepStrictEqual(validateJsonSchema(3, { not: { type: 'number' } }), ['$: must not match the schema in not'])
+    assert.strictEqual(validateJsonSchema(-1, { type: 'integer', minimum: 0 }).length, 1)
+})
+
+test('anyOf 和 oneOf', () => {
+    const anyOf = { anyOf: [{ type: 'number' }, { type: 'boolean' }] }
+    assert.deepStrictEqual(validateJsonSchema(true, anyOf), [])
+    assert.deepStrictEqual(validateJsonSchema('x', anyOf), ['$: must match at least one schema in anyOf'])
+
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] }
+    assert.deepStrictEqual(validateJsonSchema(1.5, oneOf), [])
+    assert.deepStrictEqual(validateJsonSchema(1, oneOf), ['$: must match exactly one schema in oneOf (matched 2)'])
+})
+
+test('解析文档内的递归 $ref', () => {
+    const schema = {
+        $ref: '#/$defs/node',
+        $defs: { node: { type: 'object', properties: { child: { $ref: '#/$defs/node' } } } }
+    }
+    assert.deepStrictEqual(validateJsonSchema({ child: { child: {} } }, schema), [])
+    assert.deepStrictEqual(validateJsonSchema({ child: { child: 1 } }, schema), ['$.child.child: expected object, got number'])
+})
+
+test('指数级展开的 Schema 在检查次数上限内结束', () => {
+    const schema = {
+        $ref: '#/$defs/node',
+        $defs: { node: { anyOf: [{ $ref: '#/$defs/node' }, { $ref: '#/$defs/node' }] } }
+    }
+    const start = Date.now()
+    const errors = validateJsonSchema(1, schema)
+    assert.ok(Date.now() - start < 5000)
+    assert.ok(errors.includes('$: schema is too complex to validate'))
+})
+
+test('extractJson 跳过思考内容、代码块和说明文字', () => {
+    assert.deepStrictEqual(extractJson('<think>想一想</think>```json\n{"a": 1}\n```'), { value: { a: 1 } })
+    assert.deepStrictEqual(extractJson('结果如下：[1, 2] 以上'), { value: [1, 2] })
+    assert.strictEqual(extractJson('没有 JSON'), null)
+})
@@ -0,0 +1,77 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const OutputLimiter = require('../src/utils/output-limiter.js')
+const { countTokens } = require('../src/utils/precise-tokenizer.js')
+
+/**
+ * 按分片写入并在结束时输出暂存的文本
+ * @param {OutputLimiter} limiter - 输出限制器
+ * @param {Array<string>} chunks - 流式分片
+ * @returns {string} 全部输出
+ */
+const run = (limiter, chunks) => chunks.map(chunk => limiter.push(chunk)).join('') + limiter.flush()
+
+test('没有限制时原样输出', () => {
+    const limiter = new OutputLimiter()
+    assert.strictEqual(run(limiter, ['hello ', 'world']), 'hello world')
+    assert.strictEqual(limiter.finished, false)
+    assert.strictEqual(limiter.finishReason, null)
+})
+
+test('遇到 stop 序列时截断，不包含该序列', () => {
+    const limiter = new OutputLimiter({ stop: ['END'] })
+    assert.strictEqual(run(limiter, ['answer END more']), 'answer ')
+    assert.strictEqual(limiter.finished, true)
+    assert.strictEqual(limiter.finishReason, 'stop')
+    assert.strictEqual(limiter.stopSequence, 'END')
+})
+
+test('stop 序列跨越多个分片时同样生效', () => {
+    const limiter = new OutputLimiter({ stop: ['STOP'] })
+    const outputs = ['abc S', 'T', 'OP tail'].map(chunk => limiter.push(chunk))
+    // 末尾可能构成 stop 前缀的文本暂存到下一个分片，不会输出 stop 序列的一部分
+    assert.strictEqual(outputs.join(''), 'abc ')
+    assert.strictEqual(limiter.finishReason, 'stop')
+    assert.strictEqual(limiter.flush(), '')
+})
+
+test('多个 stop 序列取最先出现的', () => {
+    const limiter = new OutputLimiter({ stop: ['zz', 'b'] })
+    assert.strictEqual(run(limiter, ['aab zz']), 'aa')
+    assert.strictEqual(limiter.stopSequence, 'b')
+})
+
+test('暂存的 stop 前缀在结束时输出', () => {
+    const limiter = new OutputLimiter({ stop: ['END'] })
+    assert.strictEqual(limiter.push('abc EN'), 'abc ')
+    assert.strictEqual(limiter.flush(), 'EN')
+    assert.strictEqual(limiter.finished, false)
+})
+
+test('达到 maxTokens 时截断并停止输出', () => {
+    const limiter = new OutputLimiter({ maxTokens: 3 })
+    const output = run(limiter, ['one two', ' three four five'])
+    assert.strictEqual(output, 'one two three')
+    assert.strictEqual(countTokens(output), 3)
+    assert.strictEqual(limiter.finishReason, 'length')
+    assert.strictEqual(limiter.push('more'), '')
+})
+
+test('恰好用完 maxTokens 时不截断', () => {
+    const limiter = new OutputLimiter({ maxTokens: 2 })
+    assert.strictEqual(run(limiter, ['hello world']), 'hello world')
+    assert.strictEqual(limiter.finished, false)
+})
+
+test('截断不会留下不完整的多字节字符', () => {
+    const limiter = new OutputLimiter({ maxTokens: 1 })
+    const output = run(limiter, ['你好世界'])
+    assert.ok(!output.includes('�'))
+    assert.ok('你好世界'.startsWith(output))
+})
+
+test('忽略无效的配置', () => {
+    const limiter = new OutputLimiter({ stop: ['', null], maxTokens: 0 })
+    assert.strictEqual(run(limiter, ['text']), 'text')
+    assert.strictEqual(limiter.maxTokens, null)
+})
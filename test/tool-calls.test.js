@@ -0,0 +1,96 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { ToolCallParser, buildToolPrompt, renderToolMessages, injectToolPrompt } = require('../src/utils/tool-calls.js')
+
+/**
+ * 按分片解析并汇总输出
+ * @param {Array<string>} chunks - 流式分片
+ * @returns {{content: string, toolCalls: Array}} 正文和工具调用
+ */
+const parse = (chunks) => {
+    const parser = new ToolCallParser()
+    let content = ''
+    const toolCalls = []
+    for (const result of [...chunks.map(chunk => parser.push(chunk)), parser.flush()]) {
+        content += result.content
+        toolCalls.push(...result.toolCalls)
+    }
+    return { content, toolCalls }
+}
+
+test('没有工具调用时原样输出正文', () => {
+    assert.deepStrictEqual(parse(['你好，', '世界 a < b']), { content: '你好，世界 a < b', toolCalls: [] })
+})
+
+test('解析工具调用，参数转为 JSON 字符串', () => {
+    const { content, toolCalls } = parse(['查询中<tool_call>\n{"name": "get_weather", "arguments": {"city": "北京"}}\n</tool_call>'])
+    assert.strictEqual(content, '查询中')
+    assert.strictEqual(toolCalls.length, 1)
+    assert.match(toolCalls[0].id, /^call_[0-9a-f]{24}$/)
+    assert.strictEqual(toolCalls[0].type, 'function')
+    assert.deepStrictEqual(toolCalls[0].function, { name: 'get_weather', arguments: '{"city":"北京"}' })
+})
+
+test('标签跨越多个分片时不输出标签片段', () => {
+    const parser = new ToolCallParser()
+    assert.deepStrictEqual(parser.push('text <tool_'), { content: 'text ', toolCalls: [] })
+    assert.deepStrictEqual(parser.push('call>{"name": "a", "argu'), { content: '', toolCalls: [] })
+    const result = parser.push('ments": {}}</tool_call>')
+    assert.strictEqual(result.toolCalls[0].function.name, 'a')
+    assert.strictEqual(result.toolCalls[0].function.arguments, '{}')
+})
+
+test('解析多个工具调用，忽略调用之间的空白', () => {
+    const { content, toolCalls } = parse([
+        '<tool_call>{"name": "a", "arguments": {"x": 1}}</tool_call>\n',
+        '<tool_call>```json\n{"name": "b", "parameters": {"y": 2}}\n```</tool_call>\n'
+    ])
+    assert.strictEqual(content, '')
+    assert.deepStrictEqual(toolCalls.map(call => call.function), [
+        { name: 'a', arguments: '{"x":1}' },
+        { name: 'b', arguments: '{"y":2}' }
+    ])
+})
+
+test('无法解析的块作为正文输出', () => {
+    assert.deepStrictEqual(parse(['<tool_call>not json</tool_call>']), { content: '<tool_call>not json</tool_call>', toolCalls: [] })
+})
+
+test('结束时容忍缺失的结束标签', () => {
+    const { toolCalls } = parse(['<tool_call>{"name": "a", "arguments": "{\\"k\\": 1}"}'])
+    assert.deepStrictEqual(toolCalls[0].function, { name: 'a', arguments: '{"k": 1}' })
+    assert.deepStrictEqual(parse(['<tool_call>{"name"']), { content: '<tool_call>{"name"', toolCalls: [] })
+})
+
+test('buildToolPrompt 列出函数定义并按 tool_choice 追加要求', () => {
+    const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }, { type: 'other' }]
+    const prompt = buildToolPrompt(tools)
+    assert.ok(prompt.includes('<tools>\n{"type":"function","function":{"name":"get_weather","parameters":{"type":"object"}}}\n</tools>'))
+    assert.ok(!prompt.includes('MUST'))
+    assert.ok(buildToolPrompt(tools, 'required').endsWith('You MUST call at least one function in this turn.'))
+    assert.ok(buildToolPrompt(tools, { type: 'function', function: { name: 'get_weather' } }).endsWith('You MUST call the function "get_weather" in this turn.'))
+})
+
+test('renderToolMessages 把工具调用历史渲染为文本', () => {
+    const messages = renderToolMessages([
+        { role: 'user', content: '天气' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"北京"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '晴' }
+    ])
+    assert.deepStrictEqual(messages, [
+        { role: 'user', content: '天气' },
+        { role: 'assistant', content: '<tool_call>\n{"name":"get_weather","arguments":{"city":"北京"}}\n</tool_call>' },
+        { role: 'user', content: '<tool_response>\n晴\n</tool_response>' }
+    ])
+})
+
+test('injectToolPrompt 合并到首条 system 消息', () => {
+    assert.deepStrictEqual(injectToolPrompt([{ role: 'system', content: 'S' }, { role: 'user', content: 'U' }], 'T'), [
+        { role: 'system', content: 'S\n\nT' },
+        { role: 'user', content: 'U' }
+    ])
+    assert.deepStrictEqual(injectToolPrompt([{ role: 'user', content: 'U' }], 'T'), [
+        { role: 'system', content: 'T' },
+        { role: 'user', content: 'U' }
+    ])
+})
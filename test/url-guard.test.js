@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const { isPrivateAddress, assertPublicUrl } = require('../src/utils/url-guard.js')
+
+test('isPrivateAddress 拒绝本机、内网、链路本地和保留地址', () => {
+    for (const address of [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+        '::1', '::', 'fc00::1', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1'
+    ]) {
+        assert.strictEqual(isPrivateAddress(address), true, address)
+    }
+})
+
+test('isPrivateAddress 允许公网地址', () => {
+    for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isPrivateAddress(address), false, address)
+    }
+})
+
+test('isPrivateAddress 把无法识别的地址视为禁止访问', () => {
+    assert.strictEqual(isPrivateAddress('localhost'), true)
+    assert.strictEqual(isPrivateAddress(''), true)
+})
+
+test('assertPublicUrl 允许公网 IP 的 https 地址', async () => {
+    const parsed = await assertPublicUrl('https://8.8.8.8/image.png')
+    assert.strictEqual(parsed.hostname, '8.8.8.8')
+    await assertPublicUrl('https://[2606:4700:4700::1111]/')
+})
+
+test('assertPublicUrl 拒绝内网 IP', async () => {
+    for (const url of ['https://127.0.0.1/', 'https://10.0.0.1:8443/a', 'https://169.254.169.254/latest/meta-data', 'https://[::1]/', 'https://[::ffff:10.0.0.1]/']) {
+        await assert.rejects(assertPublicUrl(url), /禁止访问内网地址/, url)
+    }
+})
+
+test('assertPublicUrl 只允许指定的协议', async () => {
+    await assert.rejects(assertPublicUrl('http://8.8.8.8/'), /只允许 https 地址/)
+    await assert.rejects(assertPublicUrl('file:///etc/passwd', ['http:', 'https:']), /只允许 http\/https 地址/)
+    await assertPublicUrl('http://8.8.8.8/', ['http:', 'https:'])
+})
+
+test('assertPublicUrl 拒绝无效地址', async () => {
+    await assert.rejects(assertPublicUrl('not a url'), /无效的地址/)
+})